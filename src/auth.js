@@ -0,0 +1,186 @@
+/**
+ * Trakt OAuth Device Authentication
+ * Handles the device-code login flow and local token storage/refresh
+ */
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+
+const TRAKT_API_BASE = process.env.TRAKT_API_URL || 'https://api.trakt.tv';
+const REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob';
+
+// Refresh tokens that expire within this window (ms)
+const REFRESH_MARGIN = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the path of the local token file
+ * @returns {string} Token file path (TRAKT_TOKEN_FILE or .trakt-token.json in cwd)
+ */
+export function getTokenPath() {
+  return process.env.TRAKT_TOKEN_FILE || path.join(process.cwd(), '.trakt-token.json');
+}
+
+/**
+ * Read client credentials from the environment
+ */
+function getClientCredentials() {
+  const clientId = process.env.TRAKT_API_KEY;
+  const clientSecret = process.env.TRAKT_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new Error('TRAKT_API_KEY and TRAKT_CLIENT_SECRET must be set for OAuth login');
+  }
+  return { clientId, clientSecret };
+}
+
+/**
+ * POST JSON to a Trakt OAuth endpoint
+ * @returns {Object} { status, data } - data is null for empty responses
+ */
+async function oauthPost(endpoint, body) {
+  const response = await fetch(`${TRAKT_API_BASE}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TraktContributionGraph/1.0'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  return {
+    status: response.status,
+    data: text ? JSON.parse(text) : null
+  };
+}
+
+/**
+ * Normalize a Trakt token response for storage
+ */
+function toStoredToken(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresAt: (data.created_at + data.expires_in) * 1000,
+    scope: data.scope
+  };
+}
+
+/**
+ * Load the stored token from disk
+ * @returns {Object|null} Stored token or null if none exists
+ */
+export function loadToken() {
+  const tokenPath = getTokenPath();
+  if (!fs.existsSync(tokenPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not read token file ${tokenPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save a token to disk (readable by the current user only)
+ * @param {Object} token - Stored token object
+ */
+export function saveToken(token) {
+  fs.writeFileSync(getTokenPath(), JSON.stringify(token, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ * @param {Object} token - Stored token object
+ * @returns {Object} New stored token
+ */
+export async function refreshToken(token) {
+  const { clientId, clientSecret } = getClientCredentials();
+  const { status, data } = await oauthPost('/oauth/token', {
+    refresh_token: token.refreshToken,
+    client_id: clientId,
+    client_secret: clientSecret,
+    redirect_uri: REDIRECT_URI,
+    grant_type: 'refresh_token'
+  });
+
+  if (status !== 200) {
+    throw new Error(`Token refresh failed (${status}). Run "node src/cli.js login" again.`);
+  }
+
+  const refreshed = toStoredToken(data);
+  saveToken(refreshed);
+  return refreshed;
+}
+
+/**
+ * Get a valid access token, refreshing it if it is about to expire
+ * @returns {string|null} Access token or null if not logged in
+ */
+export async function getAccessToken() {
+  const token = loadToken();
+  if (!token) return null;
+
+  if (token.expiresAt - Date.now() < REFRESH_MARGIN) {
+    console.log('🔑 Refreshing Trakt access token...');
+    return (await refreshToken(token)).accessToken;
+  }
+
+  return token.accessToken;
+}
+
+/**
+ * Run the Trakt device-code OAuth flow and store the resulting token
+ * @returns {Object} Stored token
+ */
+export async function login() {
+  const { clientId, clientSecret } = getClientCredentials();
+
+  const { status, data: device } = await oauthPost('/oauth/device/code', { client_id: clientId });
+  if (status !== 200) {
+    throw new Error(`Could not request device code (${status})`);
+  }
+
+  console.log(`\n🔑 Go to ${device.verification_url} and enter the code: ${device.user_code}\n`);
+  console.log('   Waiting for authorization...');
+
+  const expiresAt = Date.now() + device.expires_in * 1000;
+  let interval = device.interval * 1000;
+
+  while (Date.now() < expiresAt) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+
+    const { status: pollStatus, data } = await oauthPost('/oauth/device/token', {
+      code: device.device_code,
+      client_id: clientId,
+      client_secret: clientSecret
+    });
+
+    switch (pollStatus) {
+      case 200: {
+        const token = toStoredToken(data);
+        saveToken(token);
+        console.log(`   ✓ Logged in, token saved to ${getTokenPath()}`);
+        return token;
+      }
+      case 400: // Pending - user has not authorized yet
+        break;
+      case 429: // Slow down
+        interval += 1000;
+        break;
+      case 404:
+        throw new Error('Invalid device code');
+      case 409:
+        throw new Error('Device code already used');
+      case 410:
+        throw new Error('Device code expired, please try again');
+      case 418:
+        throw new Error('Authorization denied by user');
+      default:
+        throw new Error(`Unexpected response while polling for token (${pollStatus})`);
+    }
+  }
+
+  throw new Error('Device code expired, please try again');
+}
@@ -0,0 +1,204 @@
+/**
+ * Local History Cache
+ * Stores raw Trakt history items on disk and syncs them incrementally
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchTraktHistory, fetchUserStats, isAuthenticatedAs } from './fetcher.js';
+
+// Every sync fetches the plays of this many days before the newest cached one again and
+// replaces them, so plays added with an earlier date or removed on Trakt are picked up
+const REFETCH_DAYS = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the cache directory
+ * @returns {string} Cache directory (TRAKT_CACHE_DIR or .trakt-cache in cwd)
+ */
+export function getCacheDir() {
+  return process.env.TRAKT_CACHE_DIR || path.join(process.cwd(), '.trakt-cache');
+}
+
+/**
+ * Get the cache file path for a user and content type
+ */
+function getCachePath(username, type) {
+  const safeName = username.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+  return path.join(getCacheDir(), `${safeName}-${type}.json`);
+}
+
+/**
+ * Load cached history for a user and content type
+ * @param {string} username - Trakt username
+ * @param {string} type - Content type: 'movies', 'shows', or 'all'
+ * @returns {Object|null} Cache data { username, type, updatedAt, extended, authenticated, plays, items } or null
+ */
+export function loadHistoryCache(username, type = 'all') {
+  const cachePath = getCachePath(username, type);
+  if (!fs.existsSync(cachePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not read cache ${cachePath}: ${error.message}. Rebuilding.`);
+    return null;
+  }
+}
+
+/**
+ * Save history items to the cache
+ * @param {string} username - Trakt username
+ * @param {string} type - Content type: 'movies', 'shows', or 'all'
+ * @param {Array} items - Raw Trakt history items
+ * @param {boolean} extended - Whether the items carry full media info (runtimes)
+ * @param {number|null} plays - Play count Trakt reported when syncing (null if unknown)
+ * @param {boolean} authenticated - Whether the items come from the logged-in /sync endpoints
+ */
+export function saveHistoryCache(username, type, items, extended = false, plays = null, authenticated = false) {
+  const dir = getCacheDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const data = {
+    username,
+    type,
+    updatedAt: new Date().toISOString(),
+    extended,
+    authenticated,
+    plays,
+    items
+  };
+  fs.writeFileSync(getCachePath(username, type), JSON.stringify(data));
+}
+
+/**
+ * Merge fresh history items into cached ones, de-duplicated by history id
+ * @param {Array} cached - Cached history items
+ * @param {Array} fresh - Newly fetched history items
+ * @returns {Array} Merged items, newest first
+ */
+export function mergeHistory(cached, fresh) {
+  const byId = new Map();
+  [...cached, ...fresh].forEach(item => byId.set(item.id, item));
+  return [...byId.values()].sort((a, b) => new Date(b.watched_at) - new Date(a.watched_at));
+}
+
+/**
+ * Get the number of plays Trakt counts for a content type
+ * @param {Object|null} stats - Stats from fetchUserStats (fetched if not given)
+ * @returns {Promise<number|null>} Play count, or null if the stats are unavailable
+ */
+async function fetchPlayCount(username, type, stats = null) {
+  const { moviePlays, episodePlays } = stats || await fetchUserStats(username);
+  if (type === 'movies') return moviePlays;
+  if (type === 'shows') return episodePlays;
+  return moviePlays === null || episodePlays === null ? null : moviePlays + episodePlays;
+}
+
+/**
+ * Fetch history through the cache
+ * Only the last REFETCH_DAYS days up to the newest cached item are requested again. When the item
+ * count then disagrees with the play count Trakt reports, and that count changed since the last
+ * sync, plays further back changed too and the full history is fetched instead
+ * @param {string} username - Trakt username
+ * @param {string} type - Content type: 'movies', 'shows', or 'all'
+ * @param {Object} options - Sync options
+ * @param {boolean} options.rebuild - Ignore the existing cache and fetch everything
+ * @param {boolean} options.extended - Items must carry full media info (runtimes)
+ * @param {Object|null} options.stats - Stats from fetchUserStats, if the caller has them already
+ * @returns {Array} Synced raw history items, newest first
+ */
+export async function syncHistoryCache(username, type = 'all', options = {}) {
+  const { rebuild = false, extended: needsExtended = false, stats = null } = options;
+  const existing = loadHistoryCache(username, type);
+  // Once a cache holds full media info, keep syncing (and rebuilding) it that way
+  const extended = needsExtended || !!existing?.extended;
+  // Logged in, the /sync endpoints include private plays the public history leaves out
+  const authenticated = isAuthenticatedAs(username);
+  let cache = rebuild ? null : existing;
+
+  if (cache && extended && !cache.extended) {
+    console.log(`🗄️  Cache for ${username} (${type}) has no runtimes, rebuilding...`);
+    cache = null;
+  }
+  if (cache && !!cache.authenticated !== authenticated) {
+    console.log(`🗄️  Cache for ${username} (${type}) was synced ${cache.authenticated ? 'while logged in' : 'without login'}, rebuilding...`);
+    cache = null;
+  }
+
+  const fetchFullHistory = async plays => {
+    const items = await fetchTraktHistory(username, type, null, { extended });
+    saveHistoryCache(username, type, items, extended, plays ?? await fetchPlayCount(username, type, stats), authenticated);
+    return items;
+  };
+
+  if (!cache || cache.items.length === 0) {
+    console.log(`🗄️  No cache for ${username} (${type}), fetching full history...`);
+    return fetchFullHistory();
+  }
+
+  // Items are stored newest first
+  const windowStart = new Date(new Date(cache.items[0].watched_at).getTime() - REFETCH_DAYS * MS_PER_DAY);
+  console.log(`🗄️  Cache: ${cache.items.length} items, syncing since ${windowStart.toISOString()} (${REFETCH_DAYS} days before the newest item)`);
+
+  const fresh = await fetchTraktHistory(username, type, null, { startAt: windowStart.toISOString(), extended });
+  const kept = cache.items.filter(item => new Date(item.watched_at) < windowStart);
+  const synced = mergeHistory(kept, fresh);
+
+  const plays = await fetchPlayCount(username, type, stats);
+  if (plays !== null && plays !== synced.length && plays !== cache.plays) {
+    console.log(`   Trakt counts ${plays} plays but the cache has ${synced.length}, fetching full history...`);
+    return fetchFullHistory(plays);
+  }
+
+  const added = synced.length - cache.items.length;
+  console.log(`   ✓ ${added >= 0 ? `${added} new items` : `${-added} items removed`}`);
+  saveHistoryCache(username, type, synced, extended, plays, authenticated);
+  return synced;
+}
+
+/**
+ * Describe all cache files, optionally limited to one user
+ * @param {string|null} username - Trakt username (null for all users)
+ * @returns {Array} Array of { file, username, type, authenticated, updatedAt, count, newest, oldest, size }
+ */
+export function getCacheInfo(username = null) {
+  const dir = getCacheDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return {
+          file: filePath,
+          username: data.username,
+          type: data.type,
+          authenticated: !!data.authenticated,
+          updatedAt: data.updatedAt,
+          count: data.items.length,
+          newest: data.items[0]?.watched_at || null,
+          oldest: data.items[data.items.length - 1]?.watched_at || null,
+          size: fs.statSync(filePath).size
+        };
+      } catch (error) {
+        return { file: filePath, username: null, type: null, error: error.message };
+      }
+    })
+    .filter(info => !username || info.username?.toLowerCase() === username.toLowerCase());
+}
+
+/**
+ * Delete cache files, optionally limited to one user
+ * @param {string|null} username - Trakt username (null for all users)
+ * @returns {number} Number of deleted cache files
+ */
+export function clearHistoryCache(username = null) {
+  const infos = getCacheInfo(username);
+  infos.forEach(info => fs.unlinkSync(info.file));
+  return infos.length;
+}
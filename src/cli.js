@@ -8,242 +8,946 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { fetchProfileData, fetchTraktHistory, fetchSpecificYears, processTraktHistory, imageToBase64, fetchUserStats } from './fetcher.js';
-import { generateSvg, generateMultiYearSvg } from './generator.js';
-import { svgToPng } from './exporter.js';
+import { fetchProfileData, fetchTraktHistory, fetchSpecificYears, processTraktHistory, imageToBase64, fetchUserStats, fetchUserRatings, authenticate, configureRequests, filterHistoryByType, filterHistoryByGenre, TRAKT_LOGO_URL } from './fetcher.js';
+import { generateSvg, generateMultiYearSvg, generateAltText } from './generator.js';
+import { svgToImage, RASTER_FORMATS } from './exporter.js';
+import { exportPoster, PAPER_SIZES } from './poster.js';
+import { startGraphServer } from './server.js';
+import { buildEmbedBlock, updateReadme } from './readme.js';
+import { login, getAccessToken } from './auth.js';
+import { syncHistoryCache, getCacheInfo, clearHistoryCache } from './cache.js';
+import { loadHistoryFile } from './importer.js';
+import { findConfigFile, loadConfig, parseGenreFilter, parseFormats } from './config.js';
+import { loadTheme, resolveTheme, BUILTIN_THEMES, DEFAULT_THEME } from './themes.js';
+import { resolveRange, getRangeYears, getToday } from './ranges.js';
+import { getEntryDay } from './stats.js';
+import { getSystemTimeZone, isValidTimeZone } from './timezone.js';
+import { parseScale, checkScaleUnit } from './scales.js';
+import { getDataPaths, buildDataset, formatDatasetJson, formatDatasetCsv } from './dataset.js';
+import { buildRunSummary, loadRunSummary, saveRunSummary, checkRunSummary, EXIT_CODE_SUSPICIOUS_DATA } from './safeguard.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Trakt logo URL
-const TRAKT_LOGO_URL = 'https://trakt.tv/assets/logos/logomark.square.gradient-b644b16c38ff775861b4b1f58c1230f6a097a2466ab33ae00445a505c33fcb91.svg';
+/**
+ * Handle "cache info|rebuild|clear" commands
+ */
+async function runCacheCommand(args) {
+  const [action, username] = args;
+  const typeIndex = args.findIndex(arg => arg === '-t' || arg === '--type');
+  const type = typeIndex !== -1 && ['movies', 'shows', 'all'].includes(args[typeIndex + 1]) ? args[typeIndex + 1] : 'all';
 
-async function main() {
-  try {
-    const args = process.argv.slice(2);
+  switch (action) {
+    case 'info': {
+      const infos = getCacheInfo(username);
+      if (infos.length === 0) {
+        console.log("No cached history found.");
+        return;
+      }
+      infos.forEach(info => {
+        if (info.error) {
+          console.log(`   ✗ ${info.file}: ${info.error}`);
+          return;
+        }
+        console.log(`   ${info.username} (${info.type}${info.authenticated ? ', logged in' : ''}): ${info.count} items, ${info.oldest} → ${info.newest}`);
+        console.log(`      Updated ${info.updatedAt}, ${(info.size / 1024).toFixed(1)} KB, ${info.file}`);
+      });
+      return;
+    }
+    case 'rebuild': {
+      if (!username) {
+        console.error("Error: Usage: node src/cli.js cache rebuild <username> [-t type]");
+        process.exit(1);
+      }
+      if (!process.env.TRAKT_API_KEY) {
+        console.error("Error: TRAKT_API_KEY environment variable is not set.");
+        process.exit(1);
+      }
+      await authenticateStoredToken(username);
+      await syncHistoryCache(username, type, { rebuild: true });
+      return;
+    }
+    case 'clear': {
+      const removed = clearHistoryCache(username);
+      console.log(`🗑️  Removed ${removed} cache file${removed !== 1 ? 's' : ''}`);
+      return;
+    }
+    default:
+      console.error(`Error: Unknown cache command "${action || ''}".`);
+      console.log("Usage: node src/cli.js cache <info|rebuild|clear> [username] [-t type]");
+      process.exit(1);
+  }
+}
+
+/**
+ * Handle the "serve" command: render graphs on demand over HTTP
+ */
+async function runServeCommand(args) {
+  const options = {
+    port: Number.parseInt(process.env.PORT, 10) || 3000,
+    host: '0.0.0.0',
+    ttl: 3600,
+    timeZone: null,
+    useCache: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].replace(/^-+/, '').toLowerCase();
+    const value = args[i + 1];
+    const hasValue = value && !value.startsWith('-');
+    switch (flag) {
+      case 'port':
+        if (hasValue) {
+          const port = Number.parseInt(value, 10);
+          if (!isNaN(port) && port >= 0) options.port = port;
+          i++;
+        }
+        break;
+      case 'host':
+        if (hasValue) {
+          options.host = value;
+          i++;
+        }
+        break;
+      case 'ttl':
+        if (hasValue) {
+          const ttl = Number.parseInt(value, 10);
+          if (!isNaN(ttl) && ttl >= 0) options.ttl = ttl;
+          i++;
+        }
+        break;
+      case 'timezone':
+        if (hasValue) {
+          options.timeZone = value;
+          i++;
+        }
+        break;
+      case 'cache':
+        options.useCache = true;
+        break;
+    }
+  }
+
+  if (!process.env.TRAKT_API_KEY) {
+    console.error("Error: TRAKT_API_KEY environment variable is not set.");
+    process.exit(1);
+  }
+  const { timeZone } = resolveTimeZone([{ timeZone: options.timeZone, source: '--timezone' }]);
+
+  const server = await startGraphServer({ ...options, timeZone });
+  console.log(`\n📺 Trakt graph server listening on http://${options.host}:${server.address().port}`);
+  console.log(`   Routes: /graph/<username>.svg, /graph/<username>.png`);
+  console.log(`   Cache: ${options.ttl}s${options.useCache ? ', history on disk' : ''}`);
+  console.log(`   Timezone: ${timeZone}\n`);
+}
+
+// Graph settings used when neither the config file nor the command line sets them
+const DEFAULT_GRAPH_OPTIONS = {
+  years: null, // Default to the current year in the graph timezone
+  weekStart: "sunday",
+  outputBasePath: path.join("images", "github-trakt"),
+  usernameGradient: true,
+  exportPng: false, // Same as adding png to formats
+  formats: ['svg'], // Files to write: svg (graph and alt text), png, webp, avif, jpeg, json and csv (data), pdf (poster)
+  imageScale: 2, // Raster image size relative to the SVG
+  imageWidth: null, // Raster image width in pixels (overrides imageScale)
+  density: null, // Raster render DPI, 72 = 1x (overrides imageScale)
+  transparent: false, // Raster images without card background and shadow
+  paper: "a4", // PDF poster paper size: a4, a3 or letter
+  contentType: "all", // 'movies', 'shows', or 'all'
+  mode: "count", // 'count' or 'rating'
+  metric: "items", // 'items' or 'minutes' (cell intensity by watch time)
+  genreFilter: null, // { include, exclude } genre slugs
+  topN: 0, // Titles in the top shows / rewatched movies section (0 = hidden)
+  bingeGap: 90, // Max minutes between episodes of one binge session
+  scale: { type: 'linear', thresholds: null }, // Color scale: linear, log, quantile or fixed thresholds
+  split: false, // Separate hues for movies and episodes in 'all' graphs
+  animate: false, // CSS animation: cells fill in, stats count up
+  themes: ['dark', 'light'],
+  palette: DEFAULT_THEME,
+  range: null, // 'last-365' (rolling window), overrides years
+  from: null, // YYYY-MM-DD, custom range start (overrides years)
+  to: null // YYYY-MM-DD, custom range end (default: today)
+};
+
+/**
+ * Print CLI usage
+ */
+function printUsage() {
+  console.log("Usage: node src/cli.js <username> [options]");
+  console.log("       node src/cli.js [username] -c trakt-graph.config.json");
+  console.log("       node src/cli.js login   (OAuth login for private profiles and own ratings)");
+  console.log("       node src/cli.js cache <info|rebuild|clear> [username] [-t type]");
+  console.log("       node src/cli.js serve [--port 3000] [--ttl 3600] [--timezone tz] [--cache]   (graphs over HTTP)");
+  console.log("Options:");
+  console.log("  -y <years>    Specify year(s), comma-separated (e.g. 2024,2023)");
+  console.log("  --range <r>   Rolling window instead of calendar years, e.g. last-365");
+  console.log("  --from <date> Custom range start (YYYY-MM-DD), with optional --to <date> (default: today)");
+  console.log("  -w <day>      Week start: sunday or monday (default: sunday)");
+  console.log("  --timezone <tz> IANA timezone for day boundaries, e.g. Europe/Berlin (default: Trakt account timezone, else system)");
+  console.log("  -o <path>     Output path (default: images/github-trakt)");
+  console.log("  -g <bool>     Username gradient: true or false (default: true)");
+  console.log("  -p            Also export PNG files");
+  console.log("  --format <f>  Files to write, comma-separated: svg, png, webp, avif, jpeg, json, csv, pdf (default: svg)");
+  console.log("  --image-scale <n> Raster image size relative to the SVG (default: 2)");
+  console.log("  --width <px>  Raster image width in pixels (overrides --image-scale)");
+  console.log("  --density <dpi> Raster render resolution, 72 = 1x (overrides --image-scale)");
+  console.log("  --transparent Raster images without card background and shadow (not JPEG)");
+  console.log("  --paper <p>   PDF poster paper size: a4, a3 or letter (default: a4)");
+  console.log("  -m <mode>     Graph mode: count or rating (default: count)");
+  console.log("  --metric <m>  Cell intensity: items or minutes watched per day (default: items)");
+  console.log("  --scale <s>   Color scale: linear, log, quantile or thresholds like 1,3,6,10 (default: linear)");
+  console.log("                Thresholds are per day in the unit of --metric: items, or minutes (e.g. 30,60,120,240)");
+  console.log("  --split       Color movies and episodes in separate hues (type all, count mode)");
+  console.log("  --animate     Animate the SVG: cells fill in through the year, stats count up");
+  console.log("  --top <n>     Add a section with the top N shows and most rewatched movies per year");
+  console.log("  --binge-gap <min> Max minutes between episodes of one binge session (default: 90)");
+  console.log("  -t <type>     Content type: movies, shows, or all (default: all)");
+  console.log("  --genre <g>   Only these genres, comma-separated; prefix with ! to exclude (e.g. horror or '!anime')");
+  console.log(`  --palette <p> Color theme: ${Object.keys(BUILTIN_THEMES).join(', ')} or a theme JSON file (default: ${DEFAULT_THEME})`);
+  console.log("  -c <file>     Config file with multiple outputs (default: trakt-graph.config.json/.yaml if present)");
+  console.log("  -i <file>     Read history from a Trakt export, /history JSON dump or CSV (offline)");
+  console.log("  --readme <file> Write the <picture> embed snippet between TRAKT-GRAPH markers in a markdown file");
+  console.log("  --no-cache    Fetch the full history without the local cache");
+  console.log("  --timeout <s> Trakt API request timeout in seconds (default: 30)");
+  console.log("  --retries <n> Retries for failed Trakt API requests (default: 5)");
+  console.log("  -f, --force   Overwrite existing graphs even if the new data looks incomplete");
+}
+
+/**
+ * Parse command line arguments
+ * Graph options only contain explicitly given flags so they can be layered over config values
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { username, configPath, inputPath, readmePath, useCache, force, timeZone, graph }
+ */
+function parseArgs(args) {
+  const parsed = {
+    username: null,
+    configPath: null,
+    inputPath: null,
+    readmePath: null,
+    useCache: null,
+    force: false,
+    timeZone: null,
+    graph: {}
+  };
+  const graph = parsed.graph;
 
-    let username = null;
-    let years = [new Date().getFullYear()]; // Default to current year
-    let weekStart = "sunday";
-    let outputBasePath = path.join("images", "github-trakt");
-    let usernameGradient = true;
-    let exportPng = false;
-    let contentType = "all"; // 'movies', 'shows', or 'all'
-    let yearsSpecified = false;
-
-    // Parse arguments
-    for (let i = 0; i < args.length; i++) {
-      const arg = args[i];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg.startsWith('-')) {
+      const flag = arg.replace(/^-+/, '').toLowerCase();
+      const value = args[i + 1];
       
-      if (arg.startsWith('-')) {
-        const flag = arg.replace(/^-+/, '').toLowerCase();
-        const value = args[i + 1];
-        
-        switch (flag) {
-          case 'y':
-          case 'year':
-          case 'years':
-            if (value && !value.startsWith('-')) {
-              if (value.includes(',')) {
-                years = value.split(',').map(y => parseInt(y.trim())).filter(y => !isNaN(y));
-                yearsSpecified = true;
-              } else {
-                const parsed = Number.parseInt(value);
-                if (!isNaN(parsed)) {
-                  years = [parsed];
-                  yearsSpecified = true;
-                }
+      switch (flag) {
+        case 'y':
+        case 'year':
+        case 'years':
+          if (value && !value.startsWith('-')) {
+            if (value.includes(',')) {
+              graph.years = value.split(',').map(y => parseInt(y.trim())).filter(y => !isNaN(y));
+            } else {
+              const year = Number.parseInt(value);
+              if (!isNaN(year)) {
+                graph.years = [year];
               }
-              i++;
-            }
-            break;
-          case 'w':
-          case 'weekstart':
-            if (value && !value.startsWith('-')) {
-              weekStart = ['sunday', 'monday'].includes(value.toLowerCase()) ? value.toLowerCase() : 'sunday';
-              i++;
-            }
-            break;
-          case 'o':
-          case 'output':
-            if (value && !value.startsWith('-')) {
-              outputBasePath = path.join(path.dirname(value), path.basename(value));
-              i++;
             }
-            break;
-          case 'g':
-          case 'gradient':
-            if (value && !value.startsWith('-')) {
-              usernameGradient = value.toLowerCase() !== 'false';
-              i++;
-            }
-            break;
-          case 'p':
-          case 'png':
-            exportPng = true;
-            break;
-          case 't':
-          case 'type':
-            if (value && !value.startsWith('-')) {
-              contentType = ['movies', 'shows', 'all'].includes(value.toLowerCase()) ? value.toLowerCase() : 'all';
-              i++;
-            }
-            break;
-          default:
-            console.warn(`Unknown flag "${flag}", ignoring`);
+            i++;
+          }
+          break;
+        case 'w':
+        case 'weekstart':
+          if (value && !value.startsWith('-')) {
+            graph.weekStart = ['sunday', 'monday'].includes(value.toLowerCase()) ? value.toLowerCase() : 'sunday';
+            i++;
+          }
+          break;
+        case 'o':
+        case 'output':
+          if (value && !value.startsWith('-')) {
+            graph.outputBasePath = path.join(path.dirname(value), path.basename(value));
+            i++;
+          }
+          break;
+        case 'g':
+        case 'gradient':
+          if (value && !value.startsWith('-')) {
+            graph.usernameGradient = value.toLowerCase() !== 'false';
+            i++;
+          }
+          break;
+        case 'p':
+        case 'png':
+          graph.exportPng = true;
+          break;
+        case 'format':
+        case 'formats':
+          if (value && !value.startsWith('-')) {
+            graph.formats = parseFormats(value);
+            i++;
+          }
+          break;
+        case 'image-scale':
+          if (value && !value.startsWith('-')) {
+            const imageScale = Number.parseFloat(value);
+            if (!isNaN(imageScale) && imageScale > 0) graph.imageScale = imageScale;
+            i++;
+          }
+          break;
+        case 'width':
+          if (value && !value.startsWith('-')) {
+            const imageWidth = Number.parseInt(value);
+            if (!isNaN(imageWidth) && imageWidth > 0) graph.imageWidth = imageWidth;
+            i++;
+          }
+          break;
+        case 'density':
+          if (value && !value.startsWith('-')) {
+            const density = Number.parseFloat(value);
+            if (!isNaN(density) && density > 0) graph.density = density;
+            i++;
+          }
+          break;
+        case 'transparent':
+          graph.transparent = true;
+          break;
+        case 'paper':
+          if (value && !value.startsWith('-')) {
+            if (PAPER_SIZES[value.toLowerCase()]) graph.paper = value.toLowerCase();
+            i++;
+          }
+          break;
+        case 'split':
+          graph.split = true;
+          break;
+        case 'animate':
+          graph.animate = true;
+          break;
+        case 't':
+        case 'type':
+          if (value && !value.startsWith('-')) {
+            graph.contentType = ['movies', 'shows', 'all'].includes(value.toLowerCase()) ? value.toLowerCase() : 'all';
+            i++;
+          }
+          break;
+        case 'm':
+        case 'mode':
+          if (value && !value.startsWith('-')) {
+            graph.mode = ['count', 'rating'].includes(value.toLowerCase()) ? value.toLowerCase() : 'count';
+            i++;
+          }
+          break;
+        case 'genre':
+        case 'genres':
+          if (value && !value.startsWith('-')) {
+            graph.genreFilter = parseGenreFilter(value);
+            i++;
+          }
+          break;
+        case 'top':
+          if (value && !value.startsWith('-')) {
+            const topN = Number.parseInt(value);
+            if (!isNaN(topN) && topN >= 0) graph.topN = topN;
+            i++;
+          }
+          break;
+        case 'binge-gap':
+          if (value && !value.startsWith('-')) {
+            const bingeGap = Number.parseFloat(value);
+            if (!isNaN(bingeGap) && bingeGap > 0) graph.bingeGap = bingeGap;
+            i++;
+          }
+          break;
+        case 'scale':
+          if (value && !value.startsWith('-')) {
+            graph.scale = parseScale(value);
+            i++;
+          }
+          break;
+        case 'metric':
+          if (value && !value.startsWith('-')) {
+            graph.metric = ['items', 'minutes'].includes(value.toLowerCase()) ? value.toLowerCase() : 'items';
+            i++;
+          }
+          break;
+        case 'range':
+          if (value && !value.startsWith('-')) {
+            graph.range = value.toLowerCase();
+            i++;
+          }
+          break;
+        case 'from':
+          if (value && !value.startsWith('-')) {
+            graph.from = value;
+            i++;
+          }
+          break;
+        case 'to':
+          if (value && !value.startsWith('-')) {
+            graph.to = value;
+            i++;
+          }
+          break;
+        case 'palette':
+          if (value && !value.startsWith('-')) {
+            graph.palette = value;
+            i++;
+          }
+          break;
+        case 'c':
+        case 'config':
+          if (value && !value.startsWith('-')) {
+            parsed.configPath = value;
+            i++;
+          }
+          break;
+        case 'no-cache':
+          parsed.useCache = false;
+          break;
+        case 'i':
+        case 'input':
+          if (value && !value.startsWith('-')) {
+            parsed.inputPath = value;
+            i++;
+          }
+          break;
+        case 'readme':
+          if (value && !value.startsWith('-')) {
+            parsed.readmePath = value;
+            i++;
+          }
+          break;
+        case 'f':
+        case 'force':
+          parsed.force = true;
+          break;
+        case 'tz':
+        case 'timezone':
+          if (value && !value.startsWith('-')) {
+            parsed.timeZone = value;
+            i++;
+          }
+          break;
+        case 'timeout':
+          if (value && !value.startsWith('-')) {
+            const timeout = Number.parseFloat(value);
+            if (!isNaN(timeout) && timeout > 0) configureRequests({ timeout });
+            i++;
+          }
+          break;
+        case 'retries':
+          if (value && !value.startsWith('-')) {
+            const retries = Number.parseInt(value);
+            if (!isNaN(retries) && retries >= 0) configureRequests({ retries });
+            i++;
+          }
+          break;
+        default:
+          console.warn(`Unknown flag "${flag}", ignoring`);
+      }
+    } else {
+      // Floating argument
+      if (!parsed.username) {
+        parsed.username = arg;
+      } else if (arg.includes(',') || (!isNaN(Number.parseInt(arg)) && arg.length === 4)) {
+        // If it looks like a year (or list) and we already have a username, assume it's a year
+        let yearList = [];
+        if (arg.includes(',')) {
+          yearList = arg.split(',').map(y => parseInt(y.trim())).filter(y => !isNaN(y));
+        } else {
+          const year = Number.parseInt(arg);
+          if (!isNaN(year)) yearList = [year];
         }
-      } else {
-        // Floating argument
-        if (!username) {
-          username = arg;
-        } else if (arg.includes(',') || (!isNaN(Number.parseInt(arg)) && arg.length === 4)) {
-          // If it looks like a year (or list) and we already have a username, assume it's a year
-          let yearList = [];
-          if (arg.includes(',')) {
-            yearList = arg.split(',').map(y => parseInt(y.trim())).filter(y => !isNaN(y));
+
+        if (yearList.length > 0) {
+          if (!graph.years) {
+            graph.years = yearList;
           } else {
-            const parsed = Number.parseInt(arg);
-            if (!isNaN(parsed)) yearList = [parsed];
+            yearList.forEach(y => {
+              if (!graph.years.includes(y)) graph.years.push(y);
+            });
           }
+        }
+      }
+    }
+  }
 
-          if (yearList.length > 0) {
-            if (!yearsSpecified) {
-              years = yearList;
-              yearsSpecified = true;
-            } else {
-              yearList.forEach(y => {
-                if (!years.includes(y)) years.push(y);
-              });
-            }
-          }
+  return parsed;
+}
+
+/**
+ * Get the calendar years whose entries a graph needs
+ */
+function getGraphYears(graph) {
+  return graph.dateRange ? getRangeYears(graph.dateRange) : graph.years;
+}
+
+/**
+ * Authenticate with the stored OAuth token, if there is one
+ * @param {string} username - Trakt username the graphs are for
+ * @returns {string|null} Account timezone if the token belongs to that user
+ */
+async function authenticateStoredToken(username) {
+  let account;
+  try {
+    const accessToken = await getAccessToken();
+    if (!accessToken) return null;
+    account = await authenticate(accessToken);
+  } catch (error) {
+    // Public profiles don't need the token, so an expired or revoked one doesn't end the run
+    console.warn(`⚠️  Stored Trakt token ignored: ${error.message}`);
+    console.warn(`   Using public endpoints for ${username}, run "node src/cli.js login" to log in again`);
+    console.log();
+    return null;
+  }
+
+  console.log(`🔑 Authenticated as ${account.username}`);
+  if (account.username.toLowerCase() !== username.toLowerCase()) {
+    console.warn(`   Token belongs to ${account.username}, using public endpoints for ${username}`);
+    console.log();
+    return null;
+  }
+  console.log();
+  return account.timezone;
+}
+
+/**
+ * Pick the timezone used for day boundaries: command line, config, Trakt account, system
+ * @returns {Object} { timeZone, source }
+ */
+function resolveTimeZone(candidates) {
+  const found = candidates.find(candidate => candidate.timeZone);
+  const { timeZone, source } = found || { timeZone: getSystemTimeZone(), source: 'system' };
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown timezone "${timeZone}" (${source}), expected an IANA name like Europe/Berlin`);
+  }
+  return { timeZone, source };
+}
+
+/**
+ * Fetch (or read) everything shared by all graphs of a run: profile, stats, logo, history and ratings
+ * @param {string} username - Trakt username
+ * @param {Object} options - { inputPath, useCache, contentType, minYear, needRatings, timeZone }
+ * @returns {Object} { displayName, profileImageBase64, logoBase64, stats, rawHistory, ratings }
+ */
+async function loadSharedData(username, options) {
+  const { inputPath, useCache, contentType, minYear, needRatings, timeZone } = options;
+
+  if (inputPath) {
+    // Offline: everything comes from the input file
+    const { history: rawHistory, ratings } = loadHistoryFile(inputPath, contentType);
+    if (needRatings && !ratings) {
+      console.warn(`⚠️  ${inputPath} has no ratings, rating mode graphs show every day as unrated`);
+    }
+    console.log();
+    return {
+      displayName: username,
+      profileImageBase64: null,
+      logoBase64: null,
+      stats: {
+        moviesAllTime: rawHistory.filter(item => item.type === 'movie').length,
+        episodesAllTime: rawHistory.filter(item => item.type === 'episode').length,
+        followers: 0
+      },
+      rawHistory,
+      ratings
+    };
+  }
+
+  // Fetch profile and stats
+  console.log("📋 Fetching profile and stats...");
+  const profile = await fetchProfileData(username);
+  const stats = await fetchUserStats(username);
+  
+  const { profileImage, displayName } = profile;
+  const profileImageBase64 = profileImage ? await imageToBase64(profileImage) : null;
+  
+  console.log(`   Display Name: ${displayName}`);
+  console.log(`   All Time: ${stats.moviesAllTime} movies, ${stats.episodesAllTime} episodes`);
+  console.log(`   Profile Image: ${profileImageBase64 ? '✓' : '✗'}\n`);
+
+  // Fetch Trakt logo
+  console.log("📺 Fetching Trakt logo...");
+  const logoBase64 = await imageToBase64(TRAKT_LOGO_URL);
+  console.log(`   Logo: ${logoBase64 ? '✓' : '✗'}\n`);
+
+  // Fetch watch history (extended: includes runtimes and genres)
+  console.log("📖 Fetching watch history...");
+  const rawHistory = useCache
+    ? await syncHistoryCache(username, contentType, { extended: true, stats })
+    : await fetchTraktHistory(username, contentType, minYear, { extended: true, timeZone });
+  const ratings = needRatings ? await fetchUserRatings(username, contentType) : null;
+
+  return { displayName, profileImageBase64, logoBase64, stats, rawHistory, ratings };
+}
+
+/**
+ * Render and write one graph (all its themes) from the shared data
+ * @param {string} username - Trakt username
+ * @param {Object} shared - Shared data from loadSharedData
+ * @param {Object} graph - Graph options (years or dateRange, contentType, mode, themes, outputBasePath, ...)
+ * @param {Object} options - { force, timeZone }
+ * @returns {Object} { written, failedFiles, embed }: written is false if the safeguard refused to overwrite existing output,
+ *   embed holds the image paths per theme and the alt text for a README block
+ */
+async function renderGraph(username, shared, graph, options = {}) {
+  const { force = false, timeZone = null } = options;
+  const { years, dateRange, weekStart, outputBasePath, usernameGradient, exportPng, imageScale, imageWidth, density, transparent, paper, contentType, mode, metric, genreFilter, topN, bingeGap, scale, split, animate, themes, palette } = graph;
+  const entryYears = getGraphYears(graph);
+  const formats = exportPng && !graph.formats.includes('png') ? [...graph.formats, 'png'] : graph.formats;
+  const rasterFormats = RASTER_FORMATS.filter(format => formats.includes(format));
+  const outputPaths = themes.map(theme => `${outputBasePath}-${theme}.svg`);
+  const imagePath = (theme, format) => `${outputBasePath}-${theme}.${format === 'jpeg' ? 'jpg' : format}`;
+  const summaryPath = `${outputBasePath}-summary.json`;
+  const altTextPath = `${outputBasePath}-alt.txt`;
+  const dataPaths = getDataPaths(outputBasePath);
+  const posterPath = `${outputBasePath}.pdf`;
+  // Files this run replaces, checked by the safeguard
+  const writtenPaths = [
+    ...(formats.includes('svg') ? outputPaths : []),
+    ...rasterFormats.flatMap(format => themes.map(theme => imagePath(theme, format))),
+    ...(formats.includes('json') ? [dataPaths.json] : []),
+    ...(formats.includes('csv') ? [dataPaths.csv.days, dataPaths.csv.years] : []),
+    ...(formats.includes('pdf') ? [posterPath] : [])
+  ];
+
+  console.log(`🎨 ${outputBasePath}`);
+  console.log(dateRange ? `   Range: ${dateRange.start} → ${dateRange.end}` : `   Years: ${years.join(', ')}`);
+  console.log(`   Content: ${contentType}`);
+  if (genreFilter) {
+    console.log(`   Genres: ${[...genreFilter.include, ...genreFilter.exclude.map(genre => `not ${genre}`)].join(', ')}`);
+  }
+  console.log(`   Mode: ${mode}`);
+  console.log(`   Metric: ${metric}`);
+  console.log(`   Scale: ${scale.type === 'fixed' ? scale.thresholds.join(', ') : scale.type}`);
+  if (split) {
+    console.log(`   Split movies/episodes: ${contentType === 'all' && mode === 'count' ? '✓' : '✗ (needs type all and count mode)'}`);
+  }
+  console.log(`   Palette: ${palette}`);
+  console.log(`   Week starts on: ${weekStart}`);
+  console.log(`   Gradient: ${usernameGradient ? '✓' : '✗'}`);
+  console.log(`   Animated: ${animate ? '✓' : '✗'}`);
+  console.log(`   Formats: ${formats.join(', ')}`);
+  if (rasterFormats.length > 0) {
+    const imageSize = imageWidth ? `${imageWidth}px wide` : density ? `${density} DPI` : `${imageScale}x`;
+    console.log(`   Image size: ${imageSize}${transparent ? ', transparent' : ''}`);
+  }
+  if (formats.includes('pdf')) {
+    console.log(`   Paper: ${PAPER_SIZES[paper]}`);
+  }
+  console.log();
+
+  // Process entries for all requested years
+  const typedHistory = filterHistoryByType(shared.rawHistory, contentType);
+  const history = filterHistoryByGenre(typedHistory, genreFilter);
+  if (genreFilter && typedHistory.length > 0 && history.length === 0) {
+    console.warn(`⚠️  No items match the genre filter (genres are only known for extended Trakt history)`);
+  }
+  // Streaks and droughts use the full history so they can cross year boundaries
+  const { entries: historyEntries } = processTraktHistory(history, null, { ratings: shared.ratings, timeZone, allYears: true });
+  let allEntries = historyEntries.filter(entry => entryYears.includes(Number(getEntryDay(entry).slice(0, 4))));
+  if (dateRange) {
+    allEntries = allEntries.filter(entry => {
+      const day = getEntryDay(entry);
+      return day >= dateRange.start && day <= dateRange.end;
+    });
+  }
+  
+  console.log(`\n📊 Found ${allEntries.length} entries\n`);
+  const scaleWarning = mode === 'count' ? checkScaleUnit(scale, metric) : null;
+  if (scaleWarning) {
+    console.warn(`⚠️  ${scaleWarning}\n`);
+  }
+  if (metric === 'minutes') {
+    const withoutRuntime = allEntries.filter(entry => !entry.runtime).length;
+    if (withoutRuntime > 0) {
+      console.warn(`⚠️  ${withoutRuntime} entries have no runtime and add no minutes, days with only such entries get the lowest color\n`);
+    }
+  }
+
+  // Refuse to overwrite a previous graph with empty or truncated data
+  const runSummary = buildRunSummary({
+    username,
+    contentType,
+    genreFilter,
+    range: dateRange ? { range: graph.range || null, from: graph.from || null, to: graph.to || null } : null,
+    years: entryYears,
+    entries: allEntries,
+    stats: shared.stats
+  });
+  if (writtenPaths.some(writtenPath => fs.existsSync(writtenPath))) {
+    const problems = checkRunSummary(loadRunSummary(summaryPath), runSummary);
+    if (problems.length > 0) {
+      console.warn(`⚠️  New data looks incomplete compared to the last run:`);
+      problems.forEach(problem => console.warn(`   • ${problem}`));
+      if (!force) {
+        console.error(`❌ Keeping existing graphs for ${outputBasePath}. Use --force to overwrite anyway.\n`);
+        return { written: false, failedFiles: [], embed: null };
+      }
+      console.warn(`   --force given, overwriting anyway`);
+    }
+  }
+
+  const totalMovies = allEntries.filter(e => e.type === 'movie').length;
+  const totalEpisodes = allEntries.filter(e => e.type === 'episode').length;
+
+  const svgOptions = { 
+    weekStart, 
+    username, 
+    profileImage: shared.profileImageBase64, 
+    displayName: shared.displayName,
+    logoBase64: shared.logoBase64,
+    usernameGradient,
+    contentType,
+    mode,
+    metric,
+    topN,
+    bingeGap,
+    scale,
+    split,
+    animate,
+    historyEntries,
+    today: getToday(timeZone),
+    palette: loadTheme(palette),
+    moviesCount: totalMovies,
+    episodesCount: totalEpisodes,
+    followers: shared.stats.followers
+  };
+
+  const rowOptions = dateRange ? { range: dateRange } : { years };
+  const altText = generateAltText(allEntries, { ...svgOptions, ...rowOptions });
+
+  // Ensure output directory exists
+  const dir = path.dirname(outputPaths[0]);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Generate one SVG per theme
+  const renderSvg = (theme, extraOptions = {}) => dateRange
+    // Rolling or custom range
+    ? generateSvg(allEntries, { ...svgOptions, ...extraOptions, range: dateRange, theme })
+    : years.length > 1
+      // Multi-year generation
+      ? generateMultiYearSvg(allEntries, { ...svgOptions, ...extraOptions, years, theme })
+      // Single year generation
+      : generateSvg(allEntries, { ...svgOptions, ...extraOptions, year: years[0], theme });
+  const renderSvgs = (extraOptions = {}) => themes.map(theme => renderSvg(theme, extraOptions));
+  // Raster images also need the SVGs
+  const svgs = formats.includes('svg') || rasterFormats.length > 0 ? renderSvgs() : [];
+
+  if (formats.includes('svg')) {
+    console.log("🎨 Writing SVG graphs...");
+    svgs.forEach((svg, i) => {
+      fs.writeFileSync(outputPaths[i], svg);
+      console.log(`   ✓ ${outputPaths[i]}`);
+    });
+
+    // Write the plain-text alternative shared by all themes (for img alt attributes and screen readers)
+    fs.writeFileSync(altTextPath, altText);
+    console.log(`   ✓ ${altTextPath}`);
+  }
+
+  // The data files and the poster tables share one dataset
+  let dataset = null;
+  const getDataset = () => dataset || (dataset = buildDataset(allEntries, { ...svgOptions, ...rowOptions, genreFilter, timeZone }));
+
+  // Write the numbers behind the graph for other tools
+  if (formats.includes('json') || formats.includes('csv')) {
+    console.log("📄 Writing graph data...");
+    if (formats.includes('json')) {
+      fs.writeFileSync(dataPaths.json, formatDatasetJson(getDataset()));
+      console.log(`   ✓ ${dataPaths.json}`);
+    }
+    if (formats.includes('csv')) {
+      const csv = formatDatasetCsv(getDataset());
+      fs.writeFileSync(dataPaths.csv.days, csv.days);
+      fs.writeFileSync(dataPaths.csv.years, csv.years);
+      console.log(`   ✓ ${dataPaths.csv.days}`);
+      console.log(`   ✓ ${dataPaths.csv.years}`);
+    }
+  }
+  saveRunSummary(summaryPath, runSummary);
+
+  // Export raster images, one failed image doesn't stop the others
+  const failedFiles = [];
+  if (rasterFormats.length > 0) {
+    console.log("\n📸 Exporting images...");
+    // JPEG has no alpha channel, so it keeps the card
+    const transparentSvgs = transparent && rasterFormats.some(format => format !== 'jpeg') ? renderSvgs({ transparent: true }) : null;
+    for (const format of rasterFormats) {
+      const sources = transparentSvgs && format !== 'jpeg' ? transparentSvgs : svgs;
+      for (let i = 0; i < themes.length; i++) {
+        const outputPath = imagePath(themes[i], format);
+        try {
+          await svgToImage(sources[i], outputPath, { format, scale: imageScale, width: imageWidth, density });
+        } catch (error) {
+          failedFiles.push(outputPath);
         }
       }
     }
+  }
+
+  // Print poster: light theme on paper, no animation, tables in place of the tooltips
+  if (formats.includes('pdf')) {
+    console.log("\n🖨️  Exporting PDF poster...");
+    const [title, ...summary] = altText.trim().split('\n');
+    try {
+      await exportPoster(renderSvg('light', { animate: false, tooltips: false }), posterPath, {
+        paper,
+        title,
+        summary,
+        dataset: getDataset(),
+        theme: resolveTheme(svgOptions.palette, 'light'),
+        mode,
+        split: split && contentType === 'all' && mode === 'count'
+      });
+    } catch (error) {
+      failedFiles.push(posterPath);
+    }
+  }
+
+  // Images to embed in a README: the SVGs, else the first raster format
+  const embedFormat = formats.includes('svg') ? 'svg' : rasterFormats[0];
+  const embed = embedFormat
+    ? { images: Object.fromEntries(themes.map(theme => [theme, embedFormat === 'svg' ? `${outputBasePath}-${theme}.svg` : imagePath(theme, embedFormat)])), alt: altText }
+    : null;
+
+  console.log();
+  return { written: true, failedFiles, embed };
+}
+
+async function main() {
+  try {
+    const args = process.argv.slice(2);
+
+    // OAuth device login command
+    if (args[0] === 'login') {
+      if (!process.env.TRAKT_API_KEY || !process.env.TRAKT_CLIENT_SECRET) {
+        console.error("Error: TRAKT_API_KEY and TRAKT_CLIENT_SECRET environment variables must be set.");
+        console.log("Get your Client ID and Secret from https://trakt.tv/oauth/applications");
+        process.exit(1);
+      }
+      await login();
+      return;
+    }
 
-    // Sort years descending
-    years.sort((a, b) => b - a);
+    // History cache commands
+    if (args[0] === 'cache') {
+      await runCacheCommand(args.slice(1));
+      return;
+    }
+
+    // HTTP graph server
+    if (args[0] === 'serve') {
+      await runServeCommand(args.slice(1));
+      return;
+    }
 
+    const cli = parseArgs(args);
+
+    // Use a config file if given, or if one exists and no username was passed
+    const configPath = cli.configPath || (!cli.username ? findConfigFile() : null);
+    const config = configPath ? loadConfig(configPath) : null;
+
+    const username = cli.username || config?.username;
+    const inputPath = cli.inputPath || config?.input || null;
+    const readmePath = cli.readmePath || config?.readme || null;
+    const useCache = cli.useCache ?? config?.cache ?? true;
 
     if (!username) {
       console.error("Error: No username provided.");
-      console.log("Usage: node src/cli.js <username> [options]");
-      console.log("Options:");
-      console.log("  -y <years>    Specify year(s), comma-separated (e.g. 2024,2023)");
-      console.log("  -w <day>      Week start: sunday or monday (default: sunday)");
-      console.log("  -o <path>     Output path (default: images/github-trakt)");
-      console.log("  -g <bool>     Username gradient: true or false (default: true)");
-      console.log("  -p            Also export PNG files");
-      console.log("  -m <mode>     Graph mode: count or rating (default: count)");
-      console.log("  -t <type>     Content type: movies, shows, or all (default: all)");
+      printUsage();
       process.exit(1);
     }
 
-    // Check for API key
-    if (!process.env.TRAKT_API_KEY) {
+    // Check for API key (not needed for offline input)
+    if (!inputPath && !process.env.TRAKT_API_KEY) {
       console.error("Error: TRAKT_API_KEY environment variable is not set.");
       console.log("Get your API key from https://trakt.tv/oauth/applications");
       process.exit(1);
     }
 
-    const outputPathDark = `${outputBasePath}-dark.svg`;
-    const outputPathLight = `${outputBasePath}-light.svg`;
-
     console.log(`\n📺 Trakt Contribution Graph Generator\n`);
+
+    // Use stored OAuth token if available (also provides the account timezone)
+    const accountTimeZone = inputPath ? null : await authenticateStoredToken(username);
+
+    // All day boundaries (grid, streaks, tooltips, ranges) use one timezone
+    const { timeZone, source: timeZoneSource } = resolveTimeZone([
+      { timeZone: cli.timeZone, source: '--timezone' },
+      { timeZone: config?.timezone, source: 'config' },
+      { timeZone: accountTimeZone, source: 'Trakt account' }
+    ]);
+    const currentYear = Number(getToday(timeZone).slice(0, 4));
+
+    // Layer graph options: defaults < config < command line < per-output config
+    const baseOptions = { ...DEFAULT_GRAPH_OPTIONS, ...config?.defaults, ...cli.graph };
+    const graphs = (config ? config.outputs : [{}]).map(output => {
+      const graph = { ...baseOptions, ...output };
+      // Sort years descending
+      const years = [...(graph.years || [currentYear])].sort((a, b) => b - a);
+      return { ...graph, years, dateRange: resolveRange(graph, timeZone) };
+    });
+
     console.log(`Username: ${username}`);
-    console.log(`Years: ${years.join(', ')}`);
-    console.log(`Content: ${contentType}`);
-    console.log(`Week starts on: ${weekStart}`);
-    console.log(`Gradient: ${usernameGradient ? '✓' : '✗'}`);
-    console.log(`PNG Export: ${exportPng ? '✓' : '✗'}`);
-    console.log(`Output: ${outputPathDark}, ${outputPathLight}\n`);
-
-    // Fetch profile and stats
-    console.log("📋 Fetching profile and stats...");
-    const profile = await fetchProfileData(username);
-    const stats = await fetchUserStats(username);
-    
-    const { profileImage, displayName } = profile;
-    const profileImageBase64 = profileImage ? await imageToBase64(profileImage) : null;
-    
-    console.log(`   Display Name: ${displayName}`);
-    console.log(`   All Time: ${stats.moviesAllTime} movies, ${stats.episodesAllTime} episodes`);
-    console.log(`   Profile Image: ${profileImageBase64 ? '✓' : '✗'}\n`);
-
-    // Fetch Trakt logo
-    console.log("📺 Fetching Trakt logo...");
-    const logoBase64 = await imageToBase64(TRAKT_LOGO_URL);
-    console.log(`   Logo: ${logoBase64 ? '✓' : '✗'}\n`);
-
-    // Fetch watch history
-    console.log("📖 Fetching watch history...");
-    const minYear = Math.min(...years);
-    const rawHistory = await fetchTraktHistory(username, contentType, minYear);
-    
-    // Process entries for all requested years
-    let allEntries = [];
-    for (const year of years) {
-      const { entries } = processTraktHistory(rawHistory, year);
-      allEntries = allEntries.concat(entries);
-    }
-    
-    console.log(`\n📊 Found ${allEntries.length} entries\n`);
+    if (configPath) console.log(`Config: ${configPath}`);
+    console.log(`Graphs: ${graphs.length}`);
+    console.log(`Source: ${inputPath || 'Trakt API'}`);
+    if (readmePath) console.log(`README: ${readmePath}`);
+    if (!inputPath) console.log(`Cache: ${useCache ? '✓' : '✗'}`);
+    console.log(`Timezone: ${timeZone} (${timeZoneSource})`);
+    console.log();
 
-    // Generate SVGs
-    console.log("🎨 Generating SVG graphs...");
-    
-    const totalMovies = allEntries.filter(e => e.type === 'movie').length;
-    const totalEpisodes = allEntries.filter(e => e.type === 'episode').length;
-
-    const svgOptions = { 
-      weekStart, 
-      username, 
-      profileImage: profileImageBase64, 
-      displayName,
-      logoBase64,
-      usernameGradient,
-      contentType,
-      moviesCount: totalMovies,
-      episodesCount: totalEpisodes,
-      followers: stats.followers
-    };
-    
-    let svgDark, svgLight;
-    
-    if (years.length > 1) {
-      // Multi-year generation
-      const multiOptions = { ...svgOptions, years };
-      svgDark = generateMultiYearSvg(allEntries, { ...multiOptions, theme: 'dark' });
-      svgLight = generateMultiYearSvg(allEntries, { ...multiOptions, theme: 'light' });
-    } else {
-      // Single year generation
-      const singleOptions = { ...svgOptions, year: years[0] };
-      svgDark = generateSvg(allEntries, { ...singleOptions, theme: 'dark' });
-      svgLight = generateSvg(allEntries, { ...singleOptions, theme: 'light' });
+    // Fetch shared data once: one content type if all graphs agree, otherwise everything
+    const contentTypes = [...new Set(graphs.map(graph => graph.contentType))];
+    const shared = await loadSharedData(username, {
+      inputPath,
+      useCache,
+      contentType: contentTypes.length === 1 ? contentTypes[0] : 'all',
+      minYear: Math.min(...graphs.flatMap(getGraphYears)),
+      needRatings: graphs.some(graph => graph.mode === 'rating'),
+      timeZone
+    });
+
+    let refused = 0;
+    const failedFiles = [];
+    const embeds = [];
+    for (const graph of graphs) {
+      const result = await renderGraph(username, shared, graph, { force: cli.force, timeZone });
+      if (!result.written) refused++;
+      failedFiles.push(...result.failedFiles);
+      if (result.embed) embeds.push(result.embed);
     }
 
-    // Ensure output directory exists
-    const dir = path.dirname(outputPathDark);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    // Keep the README block in sync with the graphs, unless some kept their old data
+    if (readmePath) {
+      if (refused > 0) {
+        console.warn(`⚠️  Not updating ${readmePath} while graphs are out of date\n`);
+      } else if (embeds.length === 0) {
+        console.warn(`⚠️  Nothing to embed in ${readmePath}: no graph writes svg or an image format\n`);
+      } else {
+        const status = updateReadme(readmePath, buildEmbedBlock(embeds, { username, readmePath }));
+        console.log(`📝 ${readmePath}: embed block ${status}\n`);
+      }
     }
 
-    // Write SVG files
-    fs.writeFileSync(outputPathDark, svgDark);
-    fs.writeFileSync(outputPathLight, svgLight);
-    console.log(`   ✓ ${outputPathDark}`);
-    console.log(`   ✓ ${outputPathLight}`);
+    if (failedFiles.length > 0) {
+      console.error(`❌ ${failedFiles.length} file${failedFiles.length !== 1 ? 's' : ''} could not be exported:`);
+      failedFiles.forEach(failedFile => console.error(`   • ${failedFile}`));
+      console.log();
+    }
 
-    // Export PNGs if requested
-    if (exportPng) {
-      console.log("\n📸 Exporting PNG files...");
-      const pngPathDark = outputPathDark.replace('.svg', '.png');
-      const pngPathLight = outputPathLight.replace('.svg', '.png');
-      
-      await svgToPng(svgDark, pngPathDark);
-      await svgToPng(svgLight, pngPathLight);
+    if (refused > 0) {
+      console.error(`❌ ${refused} graph${refused !== 1 ? 's were' : ' was'} not updated because the new data looks incomplete.\n`);
+      process.exit(EXIT_CODE_SUSPICIOUS_DATA);
+    }
+    if (failedFiles.length > 0) {
+      process.exit(1);
     }
     
-    console.log(`\n✅ Done!\n`);
+    console.log(`✅ Done!\n`);
 
   } catch (error) {
     console.error("\n❌ Error:", error.message);
@@ -0,0 +1,190 @@
+/**
+ * Config File Loader
+ * Reads trakt-graph.config.json / .yaml files describing multiple graphs for one run
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseScale } from './scales.js';
+import { RASTER_FORMATS } from './exporter.js';
+import { PAPER_SIZES } from './poster.js';
+
+const CONFIG_FILENAMES = ['trakt-graph.config.json', 'trakt-graph.config.yaml', 'trakt-graph.config.yml'];
+const OUTPUT_FORMATS = ['svg', ...RASTER_FORMATS, 'json', 'csv', 'pdf'];
+
+/**
+ * Find a config file in the given directory
+ * @param {string} dir - Directory to search (default: cwd)
+ * @returns {string|null} Path of the first config file found or null
+ */
+export function findConfigFile(dir = process.cwd()) {
+  const found = CONFIG_FILENAMES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Parse a years value ("2025,2024", 2025 or [2025, 2024]) into an array of numbers
+ */
+function parseYears(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const years = list.map(y => Number.parseInt(String(y).trim())).filter(y => !isNaN(y));
+  if (years.length === 0) {
+    throw new Error(`Invalid years "${value}"`);
+  }
+  return years;
+}
+
+/**
+ * Parse a genre filter ("horror,comedy", "!anime" or ["horror", "!anime"])
+ * Genres prefixed with "!" are excluded, all others are included
+ * @param {string|Array<string>} value - Genre filter
+ * @returns {Object|null} { include, exclude } arrays of genre slugs, or null if empty
+ */
+export function parseGenreFilter(value) {
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(genre => String(genre).trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(genre => genre !== '' && genre !== '!');
+  if (list.length === 0) return null;
+  return {
+    include: list.filter(genre => !genre.startsWith('!')),
+    exclude: list.filter(genre => genre.startsWith('!')).map(genre => genre.slice(1))
+  };
+}
+
+/**
+ * Parse a format option ("svg,webp,json", "csv" or ["svg", "png"]), "jpg" is read as "jpeg"
+ * @param {string|Array<string>} value - Format option
+ * @returns {Array<string>} Formats to write
+ */
+export function parseFormats(value) {
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map(format => String(format).trim().toLowerCase())
+    .map(format => (format === 'jpg' ? 'jpeg' : format))
+    .filter(format => format !== '');
+  const unknown = formats.find(format => !OUTPUT_FORMATS.includes(format));
+  if (formats.length === 0 || unknown !== undefined) {
+    throw new Error(`Invalid format "${value}", expected a list of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return [...new Set(formats)];
+}
+
+/**
+ * Parse a positive number option or throw
+ */
+function positiveNumber(key, value) {
+  const number = Number.parseFloat(value);
+  if (isNaN(number) || number <= 0) {
+    throw new Error(`Invalid ${key} "${value}", expected a positive number`);
+  }
+  return number;
+}
+
+/**
+ * Pick a value from a list of allowed values or throw
+ */
+function oneOf(key, value, allowed) {
+  const normalized = String(value).toLowerCase();
+  if (!allowed.includes(normalized)) {
+    throw new Error(`Invalid ${key} "${value}", expected one of: ${allowed.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Convert graph settings from config keys to the internal option names
+ * Unset keys are left out so they can fall back to defaults
+ * @param {Object} raw - Graph settings as written in the config file
+ * @returns {Object} Normalized graph options
+ */
+export function normalizeGraphOptions(raw = {}) {
+  const options = {};
+
+  if (raw.output !== undefined) options.outputBasePath = path.normalize(String(raw.output));
+  if (raw.years !== undefined) options.years = parseYears(raw.years);
+  if (raw.type !== undefined) options.contentType = oneOf('type', raw.type, ['movies', 'shows', 'all']);
+  if (raw.weekStart !== undefined) options.weekStart = oneOf('weekStart', raw.weekStart, ['sunday', 'monday']);
+  if (raw.mode !== undefined) options.mode = oneOf('mode', raw.mode, ['count', 'rating']);
+  if (raw.metric !== undefined) options.metric = oneOf('metric', raw.metric, ['items', 'minutes']);
+  if (raw.genre !== undefined) options.genreFilter = parseGenreFilter(raw.genre);
+  if (raw.scale !== undefined) options.scale = parseScale(raw.scale);
+  if (raw.bingeGap !== undefined) {
+    const bingeGap = Number.parseFloat(raw.bingeGap);
+    if (isNaN(bingeGap) || bingeGap <= 0) throw new Error(`Invalid bingeGap "${raw.bingeGap}", expected minutes`);
+    options.bingeGap = bingeGap;
+  }
+  if (raw.top !== undefined) {
+    const topN = Number.parseInt(raw.top);
+    if (isNaN(topN) || topN < 0) throw new Error(`Invalid top "${raw.top}", expected a number`);
+    options.topN = topN;
+  }
+  if (raw.gradient !== undefined) options.usernameGradient = raw.gradient !== false && String(raw.gradient).toLowerCase() !== 'false';
+  if (raw.animate !== undefined) options.animate = raw.animate === true || String(raw.animate).toLowerCase() === 'true';
+  if (raw.split !== undefined) options.split = raw.split === true || String(raw.split).toLowerCase() === 'true';
+  if (raw.format !== undefined) options.formats = parseFormats(raw.format);
+  if (raw.imageScale !== undefined) options.imageScale = positiveNumber('imageScale', raw.imageScale);
+  if (raw.width !== undefined) options.imageWidth = Math.round(positiveNumber('width', raw.width));
+  if (raw.density !== undefined) options.density = positiveNumber('density', raw.density);
+  if (raw.transparent !== undefined) options.transparent = raw.transparent === true || String(raw.transparent).toLowerCase() === 'true';
+  if (raw.paper !== undefined) options.paper = oneOf('paper', raw.paper, Object.keys(PAPER_SIZES));
+  if (raw.png !== undefined) options.exportPng = raw.png === true || String(raw.png).toLowerCase() === 'true';
+  if (raw.palette !== undefined) options.palette = String(raw.palette);
+  if (raw.range !== undefined) options.range = String(raw.range).toLowerCase();
+  if (raw.from !== undefined) options.from = String(raw.from);
+  if (raw.to !== undefined) options.to = String(raw.to);
+  if (raw.theme !== undefined) {
+    const theme = oneOf('theme', raw.theme, ['dark', 'light', 'both']);
+    options.themes = theme === 'both' ? ['dark', 'light'] : [theme];
+  }
+
+  return options;
+}
+
+/**
+ * Load and validate a config file
+ * @param {string} configPath - Path to a .json, .yaml or .yml config file
+ * @returns {Object} { username, input, readme, cache, timezone, defaults, outputs }
+ */
+export function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const content = fs.readFileSync(configPath, 'utf8');
+  const isYaml = /\.ya?ml$/i.test(configPath);
+
+  let raw;
+  try {
+    raw = isYaml ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Config file ${configPath} is empty`);
+  }
+  if (!Array.isArray(raw.outputs) || raw.outputs.length === 0) {
+    throw new Error(`Config file ${configPath} must define at least one entry in "outputs"`);
+  }
+
+  const { username = null, input = null, readme = null, cache, timezone = null, outputs, ...defaults } = raw;
+
+  return {
+    username,
+    input,
+    readme,
+    cache: cache !== false,
+    timezone,
+    defaults: normalizeGraphOptions(defaults),
+    outputs: outputs.map((output, index) => {
+      if (!output.output) {
+        throw new Error(`Output #${index + 1} in ${configPath} is missing "output"`);
+      }
+      try {
+        return normalizeGraphOptions(output);
+      } catch (error) {
+        throw new Error(`Output #${index + 1} (${output.output}): ${error.message}`);
+      }
+    })
+  };
+}
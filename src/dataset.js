@@ -0,0 +1,186 @@
+/**
+ * Graph Datasets
+ * The numbers behind a graph (daily counts, totals, streaks, weekdays, items per day) as JSON or CSV,
+ * calculated the same way the SVG calculates them
+ */
+
+import { calculateStreak, calculateCurrentStreak, calculateLongestDrought, calculateDaysActive, calculateWeeklyDistribution, calculateAverageRating, calculateTotalMinutes, calculateBusiestDay, filterEntriesToRange, spanInRange, getEntryDay } from './stats.js';
+import { createYearRange, addDays, getToday } from './ranges.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the paths of the data files for an output base path
+ * @returns {Object} { json, csv: { days, years } }
+ */
+export function getDataPaths(outputBasePath) {
+  return {
+    json: `${outputBasePath}-data.json`,
+    csv: { days: `${outputBasePath}-days.csv`, years: `${outputBasePath}-years.csv` }
+  };
+}
+
+/**
+ * Describe one watched item of a day
+ */
+function describeItem(entry) {
+  return {
+    watchedAt: entry.date.toISOString(),
+    type: entry.type,
+    title: entry.title,
+    year: entry.year || null,
+    episode: entry.episode || null,
+    episodeTitle: entry.episodeTitle || null,
+    runtime: entry.runtime || null,
+    rating: entry.rating ?? null
+  };
+}
+
+/**
+ * List every day of a range with what was watched on it
+ */
+function describeDays(entries, range) {
+  const itemsPerDay = new Map();
+  [...entries]
+    .sort((a, b) => a.date.getTime() - b.date.getTime())
+    .forEach(entry => {
+      const day = getEntryDay(entry);
+      if (!itemsPerDay.has(day)) itemsPerDay.set(day, []);
+      itemsPerDay.get(day).push(entry);
+    });
+
+  const days = [];
+  for (let date = range.start; date <= range.end; date = addDays(date, 1)) {
+    const items = itemsPerDay.get(date) || [];
+    days.push({
+      date,
+      items: items.length,
+      movies: items.filter(item => item.type === 'movie').length,
+      episodes: items.filter(item => item.type === 'episode').length,
+      minutes: calculateTotalMinutes(items),
+      averageRating: calculateAverageRating(items),
+      watched: items.map(describeItem)
+    });
+  }
+  return days;
+}
+
+/**
+ * Calculate the numbers of one graph row
+ */
+function describeRow(entries, range, { historyEntries, today }) {
+  const rowEntries = filterEntriesToRange(entries, range);
+  const weeklyDistribution = calculateWeeklyDistribution(rowEntries);
+
+  return {
+    label: range.label,
+    start: range.start,
+    end: range.end,
+    items: rowEntries.length,
+    movies: rowEntries.filter(entry => entry.type === 'movie').length,
+    episodes: rowEntries.filter(entry => entry.type === 'episode').length,
+    minutes: calculateTotalMinutes(rowEntries),
+    daysActive: calculateDaysActive(rowEntries),
+    averageRating: calculateAverageRating(rowEntries),
+    longestStreak: spanInRange(calculateStreak(historyEntries, range), range),
+    currentStreak: spanInRange(calculateCurrentStreak(historyEntries, today), range),
+    longestDrought: spanInRange(calculateLongestDrought(historyEntries, range, today), range),
+    busiestDay: calculateBusiestDay(rowEntries),
+    weekdays: Object.fromEntries(WEEKDAYS.map((weekday, i) => [weekday, weeklyDistribution[i]])),
+    days: describeDays(rowEntries, range)
+  };
+}
+
+/**
+ * Build the dataset of a graph
+ * Takes the options of generateSvg (year or range) or generateMultiYearSvg (years or ranges)
+ * @param {Array} entries - Diary entries of the graph
+ * @param {Object} options - Graph options plus timeZone and genreFilter
+ * @returns {Object} { username, timezone, contentType, genres, years }, one entry per graph row, newest first
+ */
+export function buildDataset(entries, options = {}) {
+  const {
+    year = new Date().getFullYear(),
+    years = null,
+    range = null,
+    ranges = null,
+    username = '',
+    contentType = 'all',
+    genreFilter = null,
+    timeZone = null,
+    historyEntries = entries,
+    today = getToday(timeZone)
+  } = options;
+  const rows = ranges || (range ? [range] : (years || [year]).slice().sort((a, b) => b - a).map(createYearRange));
+
+  return {
+    username,
+    timezone: timeZone,
+    contentType,
+    genres: genreFilter,
+    years: rows.map(row => describeRow(entries, row, { historyEntries, today }))
+  };
+}
+
+/**
+ * Serialize a dataset as JSON
+ */
+export function formatDatasetJson(dataset) {
+  return JSON.stringify(dataset, null, 2) + '\n';
+}
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows of fields into CSV text with a header row
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map(fields => fields.map(toCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Format a watched item for the CSV item list, e.g. "Severance S02E03" or "Dune (2021)"
+ */
+function formatCsvItem(item) {
+  if (item.type === 'episode' && item.episode) return `${item.title} ${item.episode}`;
+  return item.year ? `${item.title} (${item.year})` : item.title;
+}
+
+/**
+ * Serialize a dataset as two CSV tables: one line per day, and one line per graph row
+ * @returns {Object} { days, years } CSV text
+ */
+export function formatDatasetCsv(dataset) {
+  const days = toCsv(
+    ['date', 'items', 'movies', 'episodes', 'minutes', 'average_rating', 'watched'],
+    dataset.years
+      .flatMap(row => row.days)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => [day.date, day.items, day.movies, day.episodes, day.minutes, day.averageRating, day.watched.map(formatCsvItem).join('; ')])
+  );
+
+  const years = toCsv(
+    [
+      'label', 'start', 'end', 'items', 'movies', 'episodes', 'minutes', 'days_active', 'average_rating',
+      'longest_streak', 'longest_streak_start', 'longest_streak_end', 'current_streak', 'longest_drought',
+      'longest_drought_start', 'longest_drought_end', 'busiest_day', 'busiest_day_items',
+      ...WEEKDAYS.map(weekday => weekday.toLowerCase())
+    ],
+    dataset.years.map(row => [
+      row.label, row.start, row.end, row.items, row.movies, row.episodes, row.minutes, row.daysActive, row.averageRating,
+      row.longestStreak?.length ?? 0, row.longestStreak?.startDate, row.longestStreak?.endDate,
+      row.currentStreak?.length ?? 0,
+      row.longestDrought?.length ?? 0, row.longestDrought?.startDate, row.longestDrought?.endDate,
+      row.busiestDay?.date, row.busiestDay?.count,
+      ...WEEKDAYS.map(weekday => row.weekdays[weekday])
+    ])
+  );
+
+  return { days, years };
+}
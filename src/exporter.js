@@ -1,40 +1,82 @@
 /**
- * SVG to PNG Exporter using sharp
+ * SVG to raster image exporter (PNG, WebP, AVIF, JPEG) using sharp
  */
 
 import sharp from 'sharp';
 import fs from 'fs';
 
+export const RASTER_FORMATS = ['png', 'webp', 'avif', 'jpeg'];
+
+// sharp renders SVGs at 72 DPI by default, so density 72 is 1x
+const BASE_DENSITY = 72;
+
 /**
- * Convert SVG content to PNG and save to file
+ * Encode an image in a raster format
+ */
+function encodeImage(image, format) {
+  switch (format) {
+    case 'webp':
+      return image.webp({ quality: 90 });
+    case 'avif':
+      return image.avif({ quality: 60 });
+    case 'jpeg':
+      // No alpha channel: transparent corners become white
+      return image.flatten({ background: '#ffffff' }).jpeg({ quality: 90, mozjpeg: true });
+    default:
+      return image.png();
+  }
+}
+
+/**
+ * Render SVG content to a raster image in memory
+ * The SVG is rendered at the target resolution rather than scaled up, so text and cells stay sharp
  * @param {string} svgContent - The SVG content as a string
- * @param {string} outputPath - Output path for the PNG file
  * @param {Object} options - Options for conversion
+ * @param {string} options.format - png, webp, avif or jpeg (default: png)
+ * @param {number} options.scale - Size relative to the SVG (default: 2)
+ * @param {number|null} options.width - Output width in pixels, overrides scale
+ * @param {number|null} options.density - Render DPI (72 = 1x), overrides scale
+ * @returns {Promise<Object>} { buffer, width, height }
+ */
+export async function renderImage(svgContent, options = {}) {
+  const { format = 'png', scale = 2, width = null, density = null } = options;
+
+  // Get SVG dimensions from content
+  const widthMatch = svgContent.match(/width="(\d+)"/);
+  const heightMatch = svgContent.match(/height="(\d+)"/);
+  const svgWidth = widthMatch ? parseInt(widthMatch[1]) : 1000;
+  const svgHeight = heightMatch ? parseInt(heightMatch[1]) : 290;
+
+  const factor = width ? width / svgWidth : density ? density / BASE_DENSITY : scale;
+  const outputWidth = Math.round(svgWidth * factor);
+  const outputHeight = Math.round(svgHeight * factor);
+
+  const image = sharp(Buffer.from(svgContent), { density: density || BASE_DENSITY * factor })
+    .resize(outputWidth, outputHeight);
+  const buffer = await encodeImage(image, format).toBuffer();
+
+  return { buffer, width: outputWidth, height: outputHeight };
+}
+
+/**
+ * Convert SVG content to a raster image and save it to a file
+ * @param {string} svgContent - The SVG content as a string
+ * @param {string} outputPath - Output path of the image
+ * @param {Object} options - Options for conversion (see renderImage)
  * @returns {Promise<void>}
  */
-export async function svgToPng(svgContent, outputPath, options = {}) {
-  const { scale = 2 } = options;
+export async function svgToImage(svgContent, outputPath, options = {}) {
+  const { format = 'png' } = options;
 
   try {
-    // Get SVG dimensions from content
-    const widthMatch = svgContent.match(/width="(\d+)"/);
-    const heightMatch = svgContent.match(/height="(\d+)"/);
-    
-    const width = widthMatch ? parseInt(widthMatch[1]) * scale : 2000;
-    const height = heightMatch ? parseInt(heightMatch[1]) * scale : 580;
-
-    // Convert SVG to PNG using sharp
-    const pngBuffer = await sharp(Buffer.from(svgContent))
-      .resize(width, height)
-      .png()
-      .toBuffer();
+    const { buffer, width, height } = await renderImage(svgContent, options);
 
     // Write to file
-    fs.writeFileSync(outputPath, pngBuffer);
-    
-    console.log(`   📸 PNG exported: ${outputPath} (${width}x${height})`);
+    fs.writeFileSync(outputPath, buffer);
+
+    console.log(`   📸 ${format.toUpperCase()} exported: ${outputPath} (${width}x${height})`);
   } catch (error) {
-    console.error(`   ❌ PNG export failed: ${error.message}`);
+    console.error(`   ❌ ${format.toUpperCase()} export failed: ${outputPath}: ${error.message}`);
     throw error;
   }
 }
@@ -4,35 +4,176 @@
  */
 
 import fetch from 'node-fetch';
+import { getDayString } from './timezone.js';
 
 const TRAKT_API_KEY = process.env.TRAKT_API_KEY;
-const TRAKT_API_BASE = 'https://api.trakt.tv';
+// TRAKT_API_URL points the fetcher at another server, e.g. a local stand-in for testing
+const TRAKT_API_BASE = process.env.TRAKT_API_URL || 'https://api.trakt.tv';
+
+// Trakt logo shown in the graph header
+export const TRAKT_LOGO_URL = 'https://trakt.tv/assets/logos/logomark.square.gradient-b644b16c38ff775861b4b1f58c1230f6a097a2466ab33ae00445a505c33fcb91.svg';
+
+// OAuth state (set via authenticate)
+let accessToken = null;
+let authenticatedUsername = null;
+
+// Request behaviour (set via configureRequests)
+const envRetries = Number.parseInt(process.env.TRAKT_RETRIES, 10);
+const requestConfig = {
+  timeout: (Number.parseInt(process.env.TRAKT_TIMEOUT, 10) || 30) * 1000,
+  retries: envRetries >= 0 ? envRetries : 5,
+  backoffBase: 1000
+};
+
+// Longest wait (ms) before a retry or for the rate limit to reset, one Trakt rate limit window
+const MAX_WAIT = 5 * 60 * 1000;
+
+// Time (ms) until which the Trakt rate limit is exhausted
+let rateLimitResetAt = 0;
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 520, 521, 522, 524]);
+
+/**
+ * Configure timeout and retry behaviour for Trakt API requests
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Per-request timeout in seconds
+ * @param {number} options.retries - Maximum number of retries per request
+ */
+export function configureRequests(options = {}) {
+  if (options.timeout > 0) requestConfig.timeout = options.timeout * 1000;
+  if (options.retries >= 0) requestConfig.retries = options.retries;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the delay before the next retry, honoring Retry-After if present (at most MAX_WAIT)
+ */
+function getRetryDelay(headers, attempt) {
+  const retryAfter = headers?.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.min(Math.max(0, seconds * 1000), MAX_WAIT);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.min(Math.max(0, date - Date.now()), MAX_WAIT);
+  }
+
+  // Exponential backoff with jitter
+  return Math.min(requestConfig.backoffBase * 2 ** attempt, MAX_WAIT) + Math.floor(Math.random() * 250);
+}
+
+/**
+ * Remember when an exhausted rate limit resets (X-Ratelimit header)
+ */
+function trackRateLimit(headers) {
+  const header = headers.get('x-ratelimit');
+  if (!header) return;
+
+  try {
+    const limit = JSON.parse(header);
+    if (limit.remaining === 0 && limit.until) {
+      rateLimitResetAt = Math.max(rateLimitResetAt, Date.parse(limit.until));
+    }
+  } catch (error) {
+    // Ignore malformed rate limit headers
+  }
+}
 
 /**
  * Make authenticated request to Trakt API
+ * Retries timeouts, network errors, 429 and 5xx responses with exponential backoff
  */
 async function traktFetch(endpoint, options = {}) {
-  const response = await fetch(`${TRAKT_API_BASE}${endpoint}`, {
-    ...options,
-    headers: {
-      'Content-Type': 'application/json',
-      'trakt-api-version': '2',
-      'trakt-api-key': TRAKT_API_KEY,
-      'User-Agent': 'TraktContributionGraph/1.0',
-      ...options.headers
+  for (let attempt = 0; ; attempt++) {
+    // Wait for an exhausted rate limit window to reset
+    const rateLimitWait = Math.min(rateLimitResetAt - Date.now(), MAX_WAIT);
+    if (rateLimitWait > 0) {
+      console.log(`   ⏳ Rate limit reached, waiting ${Math.ceil(rateLimitWait / 1000)}s...`);
+      await sleep(rateLimitWait);
     }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Trakt API error: ${response.statusText} (${response.status})`);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), requestConfig.timeout);
+    let failure;
+    let headers = null;
+
+    try {
+      const response = await fetch(`${TRAKT_API_BASE}${endpoint}`, {
+        ...options,
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'trakt-api-version': '2',
+          'trakt-api-key': TRAKT_API_KEY,
+          'User-Agent': 'TraktContributionGraph/1.0',
+          ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
+          ...options.headers
+        }
+      });
+      headers = response.headers;
+      trackRateLimit(headers);
+
+      if (response.ok) {
+        return {
+          data: await response.json(),
+          headers: response.headers
+        };
+      }
+
+      failure = new Error(`Trakt API error: ${response.statusText} (${response.status})`);
+      failure.status = response.status;
+      if (!RETRYABLE_STATUS.has(response.status)) throw failure;
+    } catch (error) {
+      if (error === failure) throw error;
+      failure = error.name === 'AbortError'
+        ? new Error(`Trakt API request timed out after ${requestConfig.timeout / 1000}s`)
+        : error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (attempt >= requestConfig.retries) {
+      throw new Error(`${failure.message} - giving up on ${endpoint} after ${attempt + 1} attempts`);
+    }
+
+    const delay = getRetryDelay(headers, attempt);
+    console.warn(`   ⚠️ ${failure.message}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${requestConfig.retries})...`);
+    await sleep(delay);
   }
-  
+}
+
+/**
+ * Use an OAuth access token for all following requests
+ * @param {string} token - OAuth access token
+ * @returns {Object} { username, timezone } of the authenticated account
+ */
+export async function authenticate(token) {
+  accessToken = token;
+  let data;
+  try {
+    ({ data } = await traktFetch('/users/settings'));
+  } catch (error) {
+    // A rejected token must not be sent with the following public requests
+    accessToken = null;
+    throw error;
+  }
+  authenticatedUsername = data.user.username;
   return {
-    data: await response.json(),
-    headers: response.headers
+    username: authenticatedUsername,
+    timezone: data.account?.timezone || null
   };
 }
 
+/**
+ * Check whether the authenticated account is the given user,
+ * in which case the /sync endpoints can be used
+ * @param {string} username - Trakt username
+ * @returns {boolean} True if history and ratings come from the /sync endpoints (including private plays)
+ */
+export function isAuthenticatedAs(username) {
+  return !!authenticatedUsername && authenticatedUsername.toLowerCase() === username.toLowerCase();
+}
+
 /**
  * Fetch user profile data from Trakt API
  * @param {string} username - Trakt username
@@ -40,13 +181,14 @@ async function traktFetch(endpoint, options = {}) {
  */
 export async function fetchProfileData(username) {
   try {
-    const { data } = await traktFetch(`/users/${username}?extended=full`);
+    const { data } = await traktFetch(`/users/${encodeURIComponent(username)}?extended=full`);
     return {
       displayName: data.name || username,
       profileImage: data.images?.avatar?.full || null,
       username: data.username
     };
   } catch (error) {
+    console.warn(`Error fetching profile for ${username}: ${error.message}. Showing username only.`);
     return { displayName: username, profileImage: null, username };
   }
 }
@@ -54,19 +196,21 @@ export async function fetchProfileData(username) {
 /**
  * Fetch user stats (All Time) from Trakt API
  * @param {string} username - Trakt username
- * @returns {Object} Stats data (movies, episodes, etc.)
+ * @returns {Object} Stats data (movies, episodes, etc.), play counts are null when unknown
  */
 export async function fetchUserStats(username) {
   try {
-    const { data } = await traktFetch(`/users/${username}/stats`);
+    const { data } = await traktFetch(`/users/${encodeURIComponent(username)}/stats`);
     return {
       moviesAllTime: data.movies?.watched || 0,
       episodesAllTime: data.episodes?.watched || 0,
+      moviePlays: data.movies?.plays ?? null,
+      episodePlays: data.episodes?.plays ?? null,
       followers: data.network?.followers || 0
     };
   } catch (error) {
     console.warn(`Error fetching stats for ${username}: ${error.message}. Using fallback zeros.`);
-    return { moviesAllTime: 0, episodesAllTime: 0, followers: 0 };
+    return { moviesAllTime: 0, episodesAllTime: 0, moviePlays: null, episodePlays: null, followers: 0 };
   }
 }
 
@@ -75,59 +219,141 @@ export async function fetchUserStats(username) {
  * @param {string} username - Trakt username
  * @param {string} type - Type of history: 'movies', 'shows', or 'all'
  * @param {number|null} targetYear - Filter to specific year (null for all)
+ * @param {Object} options - Fetch options
+ * @param {string|null} options.startAt - Only fetch items watched at or after this ISO date
+ * @param {boolean} options.extended - Request full media info (includes runtimes)
+ * @param {string|null} options.timeZone - IANA timezone the target year is counted in (null for the system timezone)
  * @returns {Array} Array of history items
  */
-export async function fetchTraktHistory(username, type = 'all', targetYear = null) {
+export async function fetchTraktHistory(username, type = 'all', targetYear = null, options = {}) {
+  const { startAt = null, extended = false, timeZone = null } = options;
   const allHistory = [];
   let page = 1;
   const perPage = 100;
   
-  // Determine endpoint based on type
+  // Determine endpoint based on type (own history via /sync when authenticated)
+  const base = isAuthenticatedAs(username) ? '/sync/history' : `/users/${encodeURIComponent(username)}/history`;
   const endpoint = type === 'movies' 
-    ? `/users/${username}/history/movies`
+    ? `${base}/movies`
     : type === 'shows' 
-      ? `/users/${username}/history/shows` 
-      : `/users/${username}/history`;
+      ? `${base}/shows` 
+      : base;
 
   console.log(`📡 Fetching Trakt ${type} history for ${username}...`);
 
-  try {
-    while (true) {
-      const { data, headers } = await traktFetch(`${endpoint}?page=${page}&limit=${perPage}`);
-      
-      console.log(`   Page ${page}: ${data.length} items`);
-
-      // If targeting a specific year and all items are before that year, stop
-      if (targetYear && data.every(item => new Date(item.watched_at).getFullYear() < targetYear)) {
-        break;
-      }
-
-      allHistory.push(...data);
-      
-      const pageCount = parseInt(headers.get('x-pagination-page-count'), 10);
-      if (page >= pageCount || data.length === 0) break;
+  // Errors are not caught here: a partial history would silently produce an incomplete graph
+  while (true) {
+    const startAtParam = startAt ? `&start_at=${encodeURIComponent(startAt)}` : '';
+    const extendedParam = extended ? '&extended=full' : '';
+    const { data, headers } = await traktFetch(`${endpoint}?page=${page}&limit=${perPage}${startAtParam}${extendedParam}`);
+    
+    console.log(`   Page ${page}: ${data.length} items`);
 
-      page++;
-      // Rate limiting delay
-      await new Promise(resolve => setTimeout(resolve, 500));
+    // If targeting a specific year and all items are before that year (in the graph timezone), stop
+    if (targetYear && data.every(item => Number(getDayString(new Date(item.watched_at), timeZone).slice(0, 4)) < targetYear)) {
+      break;
     }
-  } catch (error) {
-    console.error(`❌ Error fetching Trakt history: ${error.message}`);
+
+    allHistory.push(...data);
+    
+    const pageCount = parseInt(headers.get('x-pagination-page-count'), 10);
+    if (page >= pageCount || data.length === 0) break;
+
+    page++;
+    // Rate limiting delay
+    await sleep(500);
   }
 
   console.log(`   ✓ Total items fetched: ${allHistory.length}`);
   return allHistory;
 }
 
+/**
+ * Filter raw history items to a content type
+ * @param {Array} history - Raw Trakt history items
+ * @param {string} type - Content type: 'movies', 'shows', or 'all'
+ * @returns {Array} Items matching the content type
+ */
+export function filterHistoryByType(history, type = 'all') {
+  if (type === 'all') return history;
+  const itemType = type === 'movies' ? 'movie' : 'episode';
+  return history.filter(item => item.type === itemType);
+}
+
+/**
+ * Get the genre slugs of a raw history item (show genres for episodes)
+ * Only present in extended history
+ */
+function getItemGenres(item) {
+  const media = item.type === 'movie' ? item.movie : item.show;
+  return media?.genres || [];
+}
+
+/**
+ * Filter raw history items by genre
+ * @param {Array} history - Raw Trakt history items
+ * @param {Object|null} genreFilter - { include, exclude } arrays of genre slugs (null for no filter)
+ * @returns {Array} Items with at least one included genre (if any are given) and no excluded genre
+ */
+export function filterHistoryByGenre(history, genreFilter = null) {
+  if (!genreFilter) return history;
+  const { include = [], exclude = [] } = genreFilter;
+  return history.filter(item => {
+    const genres = getItemGenres(item);
+    if (include.length > 0 && !genres.some(genre => include.includes(genre))) return false;
+    return !genres.some(genre => exclude.includes(genre));
+  });
+}
+
+/**
+ * Index Trakt rating items by media id
+ * @param {Array} items - Rating items from /ratings endpoints or a Trakt export
+ * @param {Map} ratings - Map to add to (a new one by default)
+ * @returns {Map} Map of "movie:<traktId>" / "episode:<traktId>" -> rating (1-10)
+ */
+export function indexRatings(items, ratings = new Map()) {
+  items.forEach(item => {
+    const media = item.type === 'movie' ? item.movie : item.episode;
+    if (media?.ids?.trakt) {
+      ratings.set(`${item.type}:${media.ids.trakt}`, item.rating);
+    }
+  });
+  return ratings;
+}
+
+/**
+ * Fetch the user's own ratings for movies and episodes
+ * @param {string} username - Trakt username
+ * @param {string} type - Type of ratings: 'movies', 'shows', or 'all'
+ * @returns {Map} Map of "movie:<traktId>" / "episode:<traktId>" -> rating (1-10)
+ */
+export async function fetchUserRatings(username, type = 'all') {
+  const ratings = new Map();
+  const base = isAuthenticatedAs(username) ? '/sync/ratings' : `/users/${encodeURIComponent(username)}/ratings`;
+  const kinds = type === 'movies' ? ['movies'] : type === 'shows' ? ['episodes'] : ['movies', 'episodes'];
+
+  console.log(`⭐ Fetching Trakt ratings for ${username}...`);
+
+  // Errors are not caught here: rating mode graphs without the ratings would show every day as unrated
+  for (const kind of kinds) {
+    const { data } = await traktFetch(`${base}/${kind}`);
+    indexRatings(data, ratings);
+  }
+
+  console.log(`   ✓ Total ratings fetched: ${ratings.size}`);
+  return ratings;
+}
+
 /**
  * Fetch watch history for specific years
  * @param {string} username - Trakt username
  * @param {Array<number>} years - Array of years to fetch
  * @param {string} type - Type of history: 'movies', 'shows', or 'all'
+ * @param {string|null} timeZone - IANA timezone the years are counted in (null for the system timezone)
  * @returns {Array} Combined array of all entries
  */
-export async function fetchSpecificYears(username, years, type = 'all') {
-  const allHistory = await fetchTraktHistory(username, type, Math.min(...years));
+export async function fetchSpecificYears(username, years, type = 'all', timeZone = null) {
+  const allHistory = await fetchTraktHistory(username, type, Math.min(...years), { timeZone });
   return allHistory;
 }
 
@@ -135,22 +361,34 @@ export async function fetchSpecificYears(username, years, type = 'all') {
  * Process raw Trakt history into structured entries
  * @param {Array} history - Raw Trakt history items
  * @param {number|null} targetYear - Year to filter to (null for auto-detect)
+ * @param {Object} options - Processing options
+ * @param {Map|null} options.ratings - User ratings from fetchUserRatings or an export (null: all entries are unrated)
+ * @param {string|null} options.timeZone - IANA timezone to bucket days in (null for the system timezone)
+ * @param {boolean} options.allYears - Keep the entries of every year (ignores targetYear)
  * @returns {Object} Processed entries and metadata
  */
-export function processTraktHistory(history, targetYear = null) {
+export function processTraktHistory(history, targetYear = null, options = {}) {
+  const { ratings = null, timeZone = null, allYears = false } = options;
+
+  // Only the user's own ratings: the rating of extended media info is Trakt's community rating
+  const getRating = (kind, media) => ratings?.get(`${kind}:${media.ids?.trakt}`) ?? null;
+
+  // Bucket every item into a calendar day of the graph timezone once
+  const days = history.map(entry => getDayString(new Date(entry.watched_at), timeZone));
+
   // Count items per year
   const yearCount = new Map();
-  history.forEach(entry => {
-    const entryYear = new Date(entry.watched_at).getFullYear();
+  days.forEach(day => {
+    const entryYear = Number(day.slice(0, 4));
     yearCount.set(entryYear, (yearCount.get(entryYear) || 0) + 1);
   });
 
   // Select year (target or most active)
-  const selectedYear = targetYear || Array.from(yearCount.keys()).reduce((a, b) => 
-    yearCount.get(a) > yearCount.get(b) ? a : b, new Date().getFullYear()
+  const selectedYear = allYears ? null : targetYear || Array.from(yearCount.keys()).reduce((a, b) => 
+    yearCount.get(a) > yearCount.get(b) ? a : b, Number(getDayString(new Date(), timeZone).slice(0, 4))
   );
 
-  console.log(`📅 Processing year: ${selectedYear}`);
+  console.log(allYears ? `📅 Processing all years` : `📅 Processing year: ${selectedYear}`);
   console.log(`   Year counts:`, Object.fromEntries(yearCount));
 
   const entries = [];
@@ -158,35 +396,45 @@ export function processTraktHistory(history, targetYear = null) {
   let moviesCount = 0;
   let episodesCount = 0;
 
-  history.forEach(entry => {
-    // Parse the date and use local methods to get year/date to match user's perspective
+  history.forEach((entry, index) => {
+    // Year and day as seen in the graph timezone
     const date = new Date(entry.watched_at);
-    const entryYear = date.getFullYear(); // Local year
-    if (entryYear !== selectedYear) return;
+    const day = days[index];
+    if (!allYears && Number(day.slice(0, 4)) !== selectedYear) return;
 
     let entryDetails = null;
 
     if (entry.type === 'episode') {
       const { episode, show } = entry;
-      const episodeCode = `S${String(episode.season).padStart(2, '0')}E${String(episode.number).padStart(2, '0')}`;
+      const episodeCode = episode.season != null && episode.number != null
+        ? `S${String(episode.season).padStart(2, '0')}E${String(episode.number).padStart(2, '0')}`
+        : null;
       entryDetails = {
-        date: date, // Keep the Date object (local)
+        date: date,
+        day: day,
         title: show.title,
         episodeTitle: episode.title,
         episode: episodeCode,
         year: show.year,
         type: 'episode',
-        rating: episode.rating || null
+        rating: getRating('episode', episode),
+        runtime: episode.runtime || show.runtime || null, // Minutes (only with extended history)
+        genres: getItemGenres(entry),
+        slug: show.ids?.slug || null
       };
       episodesCount++;
     } else if (entry.type === 'movie') {
       const { movie } = entry;
       entryDetails = {
-        date: date, // Keep the Date object (local)
+        date: date,
+        day: day,
         title: movie.title,
         year: movie.year,
         type: 'movie',
-        rating: movie.rating || null
+        rating: getRating('movie', movie),
+        runtime: movie.runtime || null, // Minutes (only with extended history)
+        genres: getItemGenres(entry),
+        slug: movie.ids?.slug || null
       };
       moviesCount++;
     }
@@ -7,7 +7,10 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import opentype from 'opentype.js';
-import { calculateStreak, calculateDaysActive, groupEntriesByDate } from './stats.js';
+import { calculateStreak, calculateCurrentStreak, calculateLongestDrought, calculateDaysActive, calculateWeeklyDistribution, groupEntriesByDate, calculateAverageRating, calculateTotalMinutes, calculateTopGenres, calculateTopTitles, detectBinges, findBiggestBinge, calculateBusiestDay, filterEntriesToRange, spanInRange } from './stats.js';
+import { createYearRange, parseDay, getToday } from './ranges.js';
+import { createColorScale } from './scales.js';
+import { resolveTheme, generateGradientStops, DEFAULT_THEME } from './themes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -134,6 +137,882 @@ function calculateTextWidth(text, fontSize, letterSpacing = 0) {
   return text.length * fontSize * 0.55;
 }
 
+/**
+ * Shorten text with an ellipsis until it fits into maxWidth
+ */
+function truncateText(text, maxWidth, fontSize) {
+  if (calculateTextWidth(text, fontSize) <= maxWidth) return text;
+  let truncated = text;
+  while (truncated.length > 1 && calculateTextWidth(`${truncated}…`, fontSize) > maxWidth) {
+    truncated = truncated.slice(0, -1);
+  }
+  return `${truncated.trimEnd()}…`;
+}
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Get the first day of the grid: the start of the week containing the range start
+ */
+function getGridStart(range, weekStart) {
+  const startDate = parseDay(range.start);
+  const startDay = startDate.getUTCDay();
+  const dayShift = weekStart === 'monday' ? (startDay + 6) % 7 : startDay;
+  startDate.setUTCDate(startDate.getUTCDate() - dayShift);
+  return startDate;
+}
+
+/**
+ * Get month labels with the grid week they start in
+ * A range starting mid-month labels that month at its first week unless it would collide with the next label
+ */
+function getMonthLabels(range, gridStart) {
+  const rangeStart = parseDay(range.start);
+  const rangeEnd = parseDay(range.end);
+  const labels = [];
+
+  let month = new Date(Date.UTC(rangeStart.getUTCFullYear(), rangeStart.getUTCMonth(), 1));
+  while (month <= rangeEnd) {
+    const labelDate = month < rangeStart ? rangeStart : month;
+    labels.push({
+      week: Math.floor((labelDate.getTime() - gridStart.getTime()) / MS_PER_DAY / 7),
+      label: MONTH_NAMES[month.getUTCMonth()]
+    });
+    month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1));
+  }
+
+  if (labels.length > 1 && labels[1].week - labels[0].week < 2) labels.shift();
+  return labels;
+}
+
+/**
+ * Horizontal shift for the stats next to a range label wider than a year number
+ */
+function getStatsShift(label) {
+  return Math.max(0, Math.ceil(calculateTextWidth(label, 16)) + 30 - 60);
+}
+
+// Upper bound (inclusive) of the rounded average rating for color levels 1-4: 1–4, 5–6, 7–8 and 9–10
+const RATING_LEVEL_THRESHOLDS = [4, 6, 8, 10];
+// Trakt rating scale, one bar each in the rating distribution tooltip
+const RATING_LABELS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+
+/**
+ * Map an average rating (Trakt 1-10 scale) to a color level (0 = unrated)
+ * The average is rounded to a whole rating first, so every level covers the ratings its legend label names
+ */
+function getRatingLevel(avgRating) {
+  if (avgRating === null || avgRating === undefined) return 0;
+  const rounded = Math.round(avgRating);
+  const index = RATING_LEVEL_THRESHOLDS.findIndex(max => rounded <= max);
+  return index === -1 ? 4 : index + 1;
+}
+
+/**
+ * Outline of the cells of days with activity but no rated items (rating mode), which are filled like empty days
+ */
+function getUnratedOutline(t) {
+  return ` stroke="${t.textMuted}" stroke-width="1"`;
+}
+
+/**
+ * Format a duration in minutes as e.g. "2h 15m" or "45m"
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest}m`;
+  return rest > 0 ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+/**
+ * Get the value a day's cell intensity is based on: items watched, or minutes watched
+ */
+function getDayValue(items, metric = 'items') {
+  return metric === 'minutes' ? calculateTotalMinutes(items) : items.length;
+}
+
+/**
+ * Format a single watched item as a tooltip line
+ */
+function formatTooltipItem(item, mode = 'count', metric = 'items') {
+  const yearSuffix = item.year ? ` (${item.year})` : '';
+  let label = item.type === 'episode' && item.episode
+    ? `• ${item.title} ${item.episode}${yearSuffix}`
+    : `• ${item.title}${yearSuffix}`;
+  if (metric === 'minutes' && item.runtime) {
+    label += ` · ${formatDuration(item.runtime)}`;
+  }
+  if (mode === 'rating' && item.rating) {
+    return `${label} – ${Math.round(item.rating * 10) / 10}/10`;
+  }
+  return label;
+}
+
+/**
+ * Format the value range behind a color level for the legend, e.g. "3–5", "10+" or "1h–2h 30m"
+ */
+function formatLevelRange(range, metric = 'items') {
+  if (!range) return '—';
+  const format = metric === 'minutes' ? formatDuration : String;
+  if (range.max === null) return `${format(range.min)}+`;
+  return range.min === range.max ? format(range.min) : `${format(range.min)}–${format(range.max)}`;
+}
+
+/**
+ * Get the count mode legend labels: the value range behind each color level
+ * @returns {Array|null} Four labels, or null for a plain Less/More legend (nothing watched)
+ */
+function getLegendLabels(colorScale, mode, metric) {
+  if (mode === 'rating' || !colorScale.ranges) return null;
+  return colorScale.ranges.map(range => formatLevelRange(range, metric));
+}
+
+/**
+ * Get the x position of each count legend entry, plus where the last one ends
+ */
+function getLegendPositions(labels, start = 50) {
+  const positions = [start];
+  labels.forEach(label => positions.push(positions[positions.length - 1] + 27 + Math.ceil(calculateTextWidth(label, 10))));
+  return positions;
+}
+
+/**
+ * Generate the color legend markup (value ranges or Less/More for count mode, rating bands for rating mode)
+ */
+function generateLegend(t, mode = 'count', labels = null) {
+  if (mode !== 'rating' && labels) {
+    const positions = getLegendPositions(labels);
+    let legend = `
+      <text x="0" y="20" font-size="12" fill="${t.textMuted}">Per day</text>`;
+    labels.forEach((label, i) => {
+      legend += `
+      <rect x="${positions[i]}" y="7" width="13" height="13" rx="2" fill="${t.colors[i + 1]}"/>
+      <text x="${positions[i] + 17}" y="18" font-size="10" fill="${t.textMuted}">${label}</text>`;
+    });
+    return legend;
+  }
+
+  if (mode === 'rating') {
+    let legend = `
+      <text x="0" y="20" font-size="12" fill="${t.textMuted}">Rating</text>`;
+    RATING_LEVEL_THRESHOLDS.forEach((max, i) => {
+      const min = i === 0 ? 1 : RATING_LEVEL_THRESHOLDS[i - 1] + 1;
+      const x = 42 + i * 44;
+      legend += `
+      <rect x="${x}" y="7" width="13" height="13" rx="2" fill="${t.colors[i + 1]}"/>
+      <text x="${x + 17}" y="18" font-size="10" fill="${t.textMuted}">${min}–${max}</text>`;
+    });
+    const unratedX = 42 + RATING_LEVEL_THRESHOLDS.length * 44;
+    legend += `
+      <rect x="${unratedX + 0.5}" y="7.5" width="12" height="12" rx="2" fill="${t.colors[0]}"${getUnratedOutline(t)}/>
+      <text x="${unratedX + 17}" y="18" font-size="10" fill="${t.textMuted}">Unrated</text>`;
+    return legend;
+  }
+
+  let legend = `
+      <text x="0" y="20" font-size="12" fill="${t.textMuted}">Less</text>`;
+  for (let i = 0; i < 5; i++) {
+    legend += `
+      <rect x="${35 + i * 18}" y="7" width="13" height="13" rx="2" fill="${t.colors[i]}"/>`;
+  }
+  legend += `
+      <text x="${35 + 5 * 18 + 5}" y="20" font-size="12" fill="${t.textMuted}">More</text>`;
+  return legend;
+}
+
+/**
+ * Format a Trakt genre slug for display, e.g. "science-fiction" -> "Science Fiction"
+ */
+function formatGenre(slug) {
+  return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Generate the top genres hover tooltip for the items count (empty if no genres are known)
+ */
+function generateGenreTooltip(t, topGenres) {
+  if (topGenres.length === 0) return '';
+
+  const maxGenreCount = topGenres[0].count;
+  const height = 34 + topGenres.length * 14;
+  return `
+      <g class="items-tooltip" transform="translate(-20, ${-height - 10})">
+        <rect x="0" y="0" width="220" height="${height}" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
+        <text x="110" y="18" font-size="11" font-weight="600" fill="${t.tooltipText}" text-anchor="middle">Top Genres</text>
+        ${topGenres.map(({ genre, count }, i) => {
+          const y = 28 + i * 14;
+          const barWidth = Math.max(2, Math.round((count / maxGenreCount) * 70));
+          return `
+        <text x="12" y="${y + 10}" font-size="10" fill="${t.text}">${escapeXml(formatGenre(genre))}</text>
+        <rect x="110" y="${y + 2}" width="${barWidth}" height="9" rx="2" fill="${t.colors[3]}"/>
+        <text x="${110 + barWidth + 5}" y="${y + 10}" font-size="9" fill="${t.tooltipText}">${count}</text>`;
+        }).join('')}
+      </g>`;
+}
+
+// Top titles section: heading plus one row per title
+const TOP_TITLES_HEADING_HEIGHT = 24;
+const TOP_TITLES_ROW_HEIGHT = 18;
+
+/**
+ * Height of the top titles section for N titles per list (0 when disabled)
+ */
+function getTopTitlesHeight(topN) {
+  return topN > 0 ? TOP_TITLES_HEADING_HEIGHT + topN * TOP_TITLES_ROW_HEIGHT + 12 : 0;
+}
+
+/**
+ * Generate the top shows / most rewatched movies section
+ * Lists are laid out in columns; titles are truncated to fit and link to their Trakt page
+ */
+function generateTopTitles(t, entries, { topN, contentType, width }) {
+  const { shows, movies } = calculateTopTitles(entries, topN);
+  const columns = [
+    { heading: 'Top Shows', titles: shows, kind: 'shows', unit: count => `${count} episode${count !== 1 ? 's' : ''}`, empty: 'No episodes watched' },
+    { heading: 'Most Rewatched Movies', titles: movies, kind: 'movies', unit: count => `${count} plays`, empty: 'No rewatched movies' }
+  ].filter(column => contentType === 'all' || column.kind === contentType);
+
+  const gap = 40;
+  const columnWidth = (width - gap * (columns.length - 1)) / columns.length;
+
+  return columns.map((column, c) => {
+    const x = c * (columnWidth + gap);
+    let markup = `
+    <g transform="translate(${x}, 0)">
+      <text x="0" y="14" font-size="12" font-weight="600" fill="${t.text}">${column.heading}</text>`;
+
+    if (column.titles.length === 0) {
+      markup += `
+      <text x="0" y="${TOP_TITLES_HEADING_HEIGHT + 12}" font-size="12" fill="${t.textMuted}">${column.empty}</text>`;
+    }
+
+    column.titles.forEach(({ title, year, slug, count }, i) => {
+      const y = TOP_TITLES_HEADING_HEIGHT + 12 + i * TOP_TITLES_ROW_HEIGHT;
+      const countLabel = column.unit(count);
+      const maxTitleWidth = columnWidth - calculateTextWidth(countLabel, 11) - 24;
+      const label = truncateText(`${i + 1}. ${title}${year ? ` (${year})` : ''}`, maxTitleWidth, 12);
+      const row = `<text x="0" y="${y}" font-size="12" fill="${t.textMuted}">${escapeXml(label)}</text>`;
+      markup += `
+      ${slug ? `<a href="https://trakt.tv/${column.kind}/${encodeURIComponent(slug)}" target="_blank">${row}</a>` : row}
+      <text x="${columnWidth}" y="${y}" font-size="11" fill="${t.textMuted}" text-anchor="end">${countLabel}</text>`;
+    });
+
+    return `${markup}
+    </g>`;
+  }).join('');
+}
+
+// Optional stats start after the streak and are placed one after another
+const OPTIONAL_STATS_X = 480;
+const OPTIONAL_STATS_GAP = 30;
+
+/**
+ * Place optional stats (binge, watch time, rating) next to each other in the stats row
+ * @param {Array} stats - Array of { className, markup, width }
+ * @returns {string} SVG markup
+ */
+function generateOptionalStats(stats) {
+  let x = OPTIONAL_STATS_X;
+  return stats.map(({ className = null, markup, width }) => {
+    const group = `
+    <g${className ? ` class="${className}"` : ''} transform="translate(${x}, 5)">${markup}
+    </g>`;
+    x += Math.ceil(width) + OPTIONAL_STATS_GAP;
+    return group;
+  }).join('');
+}
+
+/**
+ * Generate the hover tooltip with the first and last day of a span (streak or drought)
+ */
+function generateDaySpanTooltip(t, span) {
+  return `
+      <g class="streak-tooltip" transform="translate(0, -45)">
+        <rect x="-10" y="0" width="180" height="36" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
+        <text x="5" y="23" font-size="12" fill="${t.tooltipText}">${span.startDate} → ${span.endDate}</text>
+      </g>`;
+}
+
+/**
+ * Generate the ongoing streak stat
+ * @returns {Object} { markup, width }
+ */
+function generateCurrentStreakStat(t, currentStreak, tooltips = true) {
+  const label = `${currentStreak.length} Day Current Streak`;
+  return {
+    width: 16 + calculateTextWidth(label, 14),
+    markup: `
+      <circle cx="5" cy="9" r="4" fill="${t.accent}"/>
+      <text x="16" y="13" font-size="14" font-weight="500" fill="${t.textMuted}">${label}</text>${tooltips ? generateDaySpanTooltip(t, currentStreak) : ''}`
+  };
+}
+
+/**
+ * Generate the longest drought stat
+ * @returns {Object} { markup, width }
+ */
+function generateDroughtStat(t, drought, tooltips = true) {
+  const label = `${drought.length} Day Drought`;
+  return {
+    width: calculateTextWidth(label, 14),
+    markup: `
+      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${label}</text>${tooltips ? generateDaySpanTooltip(t, drought) : ''}`
+  };
+}
+
+/**
+ * Generate the biggest binge stat with a hover tooltip naming the show and day
+ * @returns {Object} { markup, width }
+ */
+function generateBingeStat(t, binge, tooltips = true) {
+  const label = `${binge.count} Episode Binge`;
+  const detail = `${truncateText(binge.title, 260, 12)} · ${binge.days.join(' → ')}`;
+  return {
+    width: 20 + calculateTextWidth(label, 14),
+    markup: `
+      <g transform="translate(0, -1)" stroke="${t.accent}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" fill="none">
+        <rect x="1" y="4" width="14" height="10" rx="2" fill="${t.accent}" fill-opacity="0.2"/>
+        <path d="M5 1l3 3 3-3"/>
+      </g>
+      <text x="20" y="13" font-size="14" font-weight="500" fill="${t.textMuted}">${label}</text>${tooltips ? `
+      <g class="binge-tooltip" transform="translate(0, -45)">
+        <rect x="-10" y="0" width="${Math.ceil(calculateTextWidth(detail, 12)) + 30}" height="36" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
+        <text x="5" y="23" font-size="12" fill="${t.tooltipText}">${escapeXml(detail)}</text>
+      </g>` : ''}`
+  };
+}
+
+/**
+ * Generate the total watch time stat (minutes metric)
+ * @returns {Object} { markup, width }
+ */
+function generateWatchTimeStat(t, totalMinutes) {
+  const label = `${Math.round(totalMinutes / 60)} Hours Watched`;
+  return {
+    width: calculateTextWidth(label, 14),
+    markup: `
+      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${label}</text>`
+  };
+}
+
+/**
+ * Generate the average rating stat with a rating distribution hover tooltip
+ * @returns {Object} { markup, width }
+ */
+function generateRatingStat(t, avgRating, ratingDistribution, tooltips = true) {
+  const maxRatingCount = Math.max(...RATING_LABELS.map(r => ratingDistribution[r]));
+  const label = avgRating !== null ? `${avgRating} Avg Rating` : 'No Ratings';
+
+  return {
+    width: calculateTextWidth(label, 14),
+    markup: `
+      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${label}</text>${tooltips ? `
+      <g class="rating-tooltip" transform="translate(-20, -115)">
+        <rect x="0" y="0" width="250" height="105" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
+        <text x="125" y="18" font-size="11" font-weight="600" fill="${t.tooltipText}" text-anchor="middle">Rating Distribution (${ratingDistribution.unrated} unrated)</text>
+        ${RATING_LABELS.map((rating, i) => {
+          const count = ratingDistribution[rating];
+          const barHeight = maxRatingCount > 0 ? Math.round((count / maxRatingCount) * 45) : 0;
+          const x = 15 + i * 23;
+          return `
+        <text x="${x + 7}" y="${80 - barHeight - 3}" font-size="9" fill="${t.tooltipText}" text-anchor="middle">${count}</text>
+        <rect x="${x}" y="${80 - barHeight}" width="14" height="${barHeight}" rx="2" fill="${t.colors[getRatingLevel(Number(rating))]}"/>
+        <text x="${x + 7}" y="100" font-size="9" fill="${t.text}" text-anchor="middle">${rating}</text>`;
+        }).join('')}
+      </g>` : ''}`
+  };
+}
+
+/**
+ * Horizontal space the legend takes at the right end of the stats row
+ */
+function getLegendWidth(mode, labels = null) {
+  if (mode === 'rating') return 320;
+  return labels ? getLegendPositions(labels)[labels.length] + 45 : 200;
+}
+
+// Split legend lines start after the longer of the "Episodes" / "Movies" titles
+const SPLIT_LEGEND_START = 66;
+
+/**
+ * Generate the two-line legend of split graphs: episode levels in the main hue, movie levels in the second hue
+ * @returns {Object} { markup, width }
+ */
+function generateSplitLegend(t, episodeLabels, movieLabels) {
+  const lines = [
+    { title: 'Episodes', labels: episodeLabels, colors: t.colors, y: -1 },
+    { title: 'Movies', labels: movieLabels, colors: t.movieColors || t.colors, y: 15 }
+  ];
+  let width = 0;
+  const markup = lines.map(({ title, labels, colors, y }) => {
+    const positions = getLegendPositions(labels, SPLIT_LEGEND_START);
+    width = Math.max(width, positions[labels.length] + 45);
+    return `
+      <text x="0" y="${y + 12}" font-size="12" fill="${t.textMuted}">${title}</text>${labels.map((label, i) => `
+      <rect x="${positions[i]}" y="${y}" width="13" height="13" rx="2" fill="${colors[i + 1]}"/>
+      <text x="${positions[i] + 17}" y="${y + 11}" font-size="10" fill="${t.textMuted}">${label}</text>`).join('')}`;
+  }).join('');
+  return { markup, width };
+}
+
+/**
+ * Build the legend of a graph row
+ * @returns {Object} { markup, width }
+ */
+function createLegend(t, { mode, metric, colorScale, splitScales }) {
+  if (splitScales) {
+    const labelsOf = scale => getLegendLabels(scale, mode, metric) || ['—', '—', '—', '—'];
+    return generateSplitLegend(t, labelsOf(splitScales.episodes), labelsOf(splitScales.movies));
+  }
+  const labels = getLegendLabels(colorScale, mode, metric);
+  return { markup: generateLegend(t, mode, labels), width: getLegendWidth(mode, labels) };
+}
+
+/**
+ * Get the values of each active day, optionally only counting one kind of item
+ */
+function getDayValues(itemsPerDay, metric, type = null) {
+  return [...itemsPerDay.values()].map(items => getDayValue(type ? items.filter(item => item.type === type) : items, metric));
+}
+
+/**
+ * Create separate episode and movie color scales for split graphs
+ * @returns {Object|null} { episodes, movies } or null without split encoding
+ */
+function createSplitScales(split, itemsPerDay, scale, metric) {
+  if (!split) return null;
+  return {
+    episodes: createColorScale(scale, getDayValues(itemsPerDay, metric, 'episode')),
+    movies: createColorScale(scale, getDayValues(itemsPerDay, metric, 'movie'))
+  };
+}
+
+/**
+ * Get the colors of a split cell: episodes in the main hue, movies in the second hue
+ * A day with both is split diagonally, movies taking the lower right half (overlay)
+ * @returns {Object} { fill, overlay } (overlay null if the cell is one color)
+ */
+function getSplitCellColors(t, splitScales, itemsForDay, metric) {
+  const movieColors = t.movieColors || t.colors;
+  const episodeLevel = getItemsLevel(splitScales.episodes, itemsForDay.filter(item => item.type === 'episode'), metric);
+  const movieLevel = getItemsLevel(splitScales.movies, itemsForDay.filter(item => item.type === 'movie'), metric);
+  if (episodeLevel === 0) {
+    return { fill: movieLevel > 0 ? movieColors[movieLevel] : t.colors[0], overlay: null };
+  }
+  return { fill: t.colors[episodeLevel], overlay: movieLevel > 0 ? movieColors[movieLevel] : null };
+}
+
+/**
+ * Generate the separate movie and episode counts of split graphs, with a split swatch as key
+ * @returns {Object} { markup, width }
+ */
+function generateKindCountsStat(t, entries) {
+  const movies = entries.filter(entry => entry.type === 'movie').length;
+  const episodes = entries.filter(entry => entry.type === 'episode').length;
+  const label = `${movies} Movies · ${episodes} Episodes`;
+  return {
+    width: 18 + calculateTextWidth(label, 14),
+    markup: `
+      <rect x="0" y="3" width="12" height="12" rx="2" fill="${t.colors[3]}"/>
+      <path d="M12 3V15H0Z" fill="${(t.movieColors || t.colors)[3]}"/>
+      <text x="18" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${label}</text>`
+  };
+}
+
+/**
+ * Minimum card width that fits a stats row (label, fixed and optional stats, legend) without overlaps
+ */
+function getStatsRowWidth(label, optionalStats, legendWidth) {
+  const statsEnd = optionalStats.reduce((x, stat) => x + Math.ceil(stat.width) + OPTIONAL_STATS_GAP, OPTIONAL_STATS_X);
+  return 25 + getStatsShift(label) + statsEnd + legendWidth;
+}
+
+/**
+ * Collect the optional stats shown for a graph row
+ * Hover groups get a per-row class in multi-year graphs (rowIndex) so they only highlight their own row
+ */
+function getOptionalStats(t, { rowIndex = null, splitEntries, currentStreak, drought, biggestBinge, metric, totalMinutes, mode, averageRating, ratingDistribution, tooltips }) {
+  const groupClass = name => (rowIndex === null ? name : `${name} ${name}-${rowIndex}`);
+  const stats = [];
+  if (splitEntries) stats.push(generateKindCountsStat(t, splitEntries));
+  if (currentStreak) stats.push({ className: groupClass('current-streak-group'), ...generateCurrentStreakStat(t, currentStreak, tooltips) });
+  if (drought) stats.push({ className: groupClass('drought-group'), ...generateDroughtStat(t, drought, tooltips) });
+  if (biggestBinge) stats.push({ className: groupClass('binge-group'), ...generateBingeStat(t, biggestBinge, tooltips) });
+  if (metric === 'minutes') stats.push(generateWatchTimeStat(t, totalMinutes));
+  if (mode === 'rating') stats.push({ className: 'rating-group', ...generateRatingStat(t, averageRating, ratingDistribution, tooltips) });
+  return stats;
+}
+
+// Animated graphs: cells fill in chronologically and counters count up over this many seconds
+const ANIMATION_SECONDS = 3;
+const COUNT_UP_FRAMES = 20;
+
+/**
+ * Generate the keyframes of animated graphs (empty if not animated)
+ * Only CSS animations are used, which keep playing when GitHub proxies the image through camo
+ * Every animation ends on the static styles, so the last frame equals the non-animated graph
+ */
+function generateAnimationCSS(t, animate) {
+  if (!animate) return '';
+  const frameSeconds = ANIMATION_SECONDS / COUNT_UP_FRAMES;
+  return `
+      @keyframes cell-fill { from { fill: ${t.colors[0]}; } }
+      @keyframes fade-in { from { opacity: 0; } }
+      @keyframes count-show { from, to { opacity: 1; } }
+      @keyframes count-hide { from, to { opacity: 0; } }
+      .cell-fill { animation: cell-fill 0.4s ease-out backwards; }
+      .binge-marker { animation: fade-in 0.4s ease-out ${ANIMATION_SECONDS}s backwards; }
+      .count-frame { opacity: 0; animation: count-show ${frameSeconds.toFixed(2)}s step-end; }
+      .count-final { animation: count-hide ${(ANIMATION_SECONDS - frameSeconds).toFixed(2)}s step-end; }`;
+}
+
+/**
+ * Get the class and inline style that delay a cell's fill animation by its day's position in the range
+ */
+function getCellAnimation(animate, day, range) {
+  if (!animate) return { className: null, style: '' };
+  const rangeStart = parseDay(range.start).getTime();
+  const rangeDays = (parseDay(range.end).getTime() - rangeStart) / MS_PER_DAY + 1;
+  const delay = ((parseDay(day).getTime() - rangeStart) / MS_PER_DAY / rangeDays) * ANIMATION_SECONDS;
+  return { className: 'cell-fill', style: ` style="animation-delay: ${delay.toFixed(2)}s"` };
+}
+
+/**
+ * Render a stat number counting up from 0 while the cells fill in, ending on the final value
+ * Each step is a separate copy of the stat shown for one frame; the final copy is the static one
+ * @param {number} value - Final value
+ * @param {Function} render - Renders the markup for a value
+ * @param {boolean} animate - Whether the graph is animated
+ * @returns {string} SVG markup
+ */
+function generateCountUp(value, render, animate) {
+  if (!animate || value <= 0) return render(value);
+  const frameSeconds = ANIMATION_SECONDS / COUNT_UP_FRAMES;
+  let markup = '';
+  for (let i = 0; i < COUNT_UP_FRAMES - 1; i++) {
+    markup += `
+      <g class="count-frame" style="animation-delay: ${(i * frameSeconds).toFixed(2)}s">${render(Math.round((value * i) / (COUNT_UP_FRAMES - 1)))}
+      </g>`;
+  }
+  return `${markup}
+      <g class="count-final">${render(value)}
+      </g>`;
+}
+
+/**
+ * Check whether a day lies within a span of days (streak, drought)
+ */
+function isDayInSpan(day, span) {
+  return span !== null && span.length > 0 && day >= span.startDate && day <= span.endDate;
+}
+
+/**
+ * Group binge sessions by the days they touch
+ */
+function groupBingesByDay(binges) {
+  const byDay = new Map();
+  binges.forEach(binge => binge.days.forEach(day => {
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(binge);
+  }));
+  return byDay;
+}
+
+/**
+ * Format a binge session as a cell tooltip line
+ */
+function formatBingeLine(binge) {
+  return `Binge: ${binge.title} – ${binge.count} episodes in a row`;
+}
+
+const TOOLTIP_FONT_SIZE = 12;
+const TOOLTIP_LINE_HEIGHT = 18;
+const TOOLTIP_PADDING = 10;
+const TOOLTIP_MIN_WIDTH = 160;
+const TOOLTIP_MAX_WIDTH = 360;
+const TOOLTIP_MAX_LINES = 10;
+// Distance from the cell and from the card edges
+const TOOLTIP_GAP = 8;
+// Text is measured with Inter, leave room for wider fallback fonts (e.g. in PNG exports)
+const TOOLTIP_FONT_ALLOWANCE = 1.15;
+
+/**
+ * Format the episodes of a show watched on one day as a single tooltip line, e.g. "• Severance ×6 episodes"
+ */
+function formatTooltipShow(items, mode = 'count', metric = 'items') {
+  let label = `• ${items[0].title} ×${items.length} episodes`;
+  const minutes = calculateTotalMinutes(items);
+  if (metric === 'minutes' && minutes > 0) {
+    label += ` · ${formatDuration(minutes)}`;
+  }
+  const rating = mode === 'rating' ? calculateAverageRating(items) : null;
+  return rating !== null ? `${label} – Ø ${rating}/10` : label;
+}
+
+/**
+ * Get the tooltip lines of a day: binges first, then every item
+ * Days with more lines than fit group episodes by show, and what still does not fit collapses into "+N more"
+ * @returns {Array<string>} At most maxLines lines
+ */
+function getTooltipLines(binges, items, { mode, metric, maxLines }) {
+  const bingeLines = binges.map(formatBingeLine);
+  if (bingeLines.length + items.length <= maxLines) {
+    return [...bingeLines, ...items.map(item => formatTooltipItem(item, mode, metric))];
+  }
+
+  // Keep the order of first appearance, one group per show
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const key = item.type === 'episode' ? `show:${item.title}` : `item:${i}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  const itemLines = [...groups.values()].map(group => ({
+    text: group.length > 1 ? formatTooltipShow(group, mode, metric) : formatTooltipItem(group[0], mode, metric),
+    count: group.length
+  }));
+
+  const lines = [...bingeLines, ...itemLines.map(line => line.text)];
+  if (lines.length <= maxLines) return lines;
+
+  const shownItems = Math.max(0, maxLines - 1 - bingeLines.length);
+  const hidden = itemLines.slice(shownItems).reduce((sum, line) => sum + line.count, 0);
+  return [...lines.slice(0, maxLines - 1), `+${hidden} more`];
+}
+
+/**
+ * Lay out a cell tooltip: fit its lines to the measured text width and place it inside the card
+ * Tooltips open above the cell, flip below it near the top edge, and open sideways when neither fits
+ * @param {Object} content - { title, binges, items, mode, metric }
+ * @param {Object} cell - { x, y, size } of the cell in grid coordinates
+ * @param {Object} bounds - { offsetX, offsetY, width, height }: grid position inside the card and card size
+ * @returns {Object} { x, y, width, height, title, lines, placement } in grid coordinates, placement 'above', 'below' or 'side'
+ */
+function layoutTooltip({ title, binges, items, mode, metric }, cell, bounds) {
+  const maxTextWidth = (TOOLTIP_MAX_WIDTH - TOOLTIP_PADDING * 2) / TOOLTIP_FONT_ALLOWANCE;
+  const maxLines = Math.max(1, Math.min(TOOLTIP_MAX_LINES,
+    Math.floor((bounds.height - TOOLTIP_GAP * 2 - 38) / TOOLTIP_LINE_HEIGHT)));
+
+  const fittedTitle = truncateText(title, maxTextWidth, TOOLTIP_FONT_SIZE);
+  const lines = getTooltipLines(binges, items, { mode, metric, maxLines })
+    .map(line => truncateText(line, maxTextWidth, TOOLTIP_FONT_SIZE));
+
+  const textWidth = Math.max(...[fittedTitle, ...lines].map(line => calculateTextWidth(line, TOOLTIP_FONT_SIZE))) * TOOLTIP_FONT_ALLOWANCE;
+  const width = Math.min(TOOLTIP_MAX_WIDTH, Math.max(TOOLTIP_MIN_WIDTH, Math.ceil(textWidth) + TOOLTIP_PADDING * 2));
+  const height = 38 + lines.length * TOOLTIP_LINE_HEIGHT;
+
+  // Card edges in grid coordinates
+  const top = -bounds.offsetY + TOOLTIP_GAP;
+  const bottom = bounds.height - bounds.offsetY - TOOLTIP_GAP;
+  const left = -bounds.offsetX + TOOLTIP_GAP;
+  const right = bounds.width - bounds.offsetX - TOOLTIP_GAP;
+
+  const above = cell.y - height - TOOLTIP_GAP;
+  const below = cell.y + cell.size + TOOLTIP_GAP;
+  let x = Math.max(left, Math.min(cell.x, right - width));
+  let y;
+  let placement;
+
+  if (above >= top) {
+    y = above;
+    placement = 'above';
+  } else if (below + height <= bottom) {
+    y = below;
+    placement = 'below';
+  } else {
+    // Sideways: right of the cell, or left of it near the right edge
+    x = cell.x + cell.size + TOOLTIP_GAP + width <= right
+      ? cell.x + cell.size + TOOLTIP_GAP
+      : Math.max(left, cell.x - TOOLTIP_GAP - width);
+    y = Math.max(top, Math.min(cell.y + (cell.size - height) / 2, bottom - height));
+    placement = 'side';
+  }
+
+  return { x, y, width, height, title: fittedTitle, lines, placement };
+}
+
+/**
+ * Generate the markup of a laid out cell tooltip
+ */
+function generateTooltip(t, tooltip) {
+  return `
+        <g class="tooltip-group" aria-hidden="true" transform="translate(${tooltip.x}, ${tooltip.y})">
+          <rect x="0" y="0" width="${tooltip.width}" height="${tooltip.height}" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
+          <text font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="${TOOLTIP_FONT_SIZE}" fill="${t.tooltipText}">
+            <tspan x="${TOOLTIP_PADDING}" dy="22" font-weight="600">${escapeXml(tooltip.title)}</tspan>${tooltip.lines.map(line => `
+            <tspan x="${TOOLTIP_PADDING}" dy="${TOOLTIP_LINE_HEIGHT}">${escapeXml(line)}</tspan>`).join('')}
+          </text>
+        </g>`;
+}
+
+/**
+ * Wrap cells whose tooltip opens below or beside them into a grid group drawn after everything else,
+ * so the rows and sections that follow cannot cover their tooltip
+ */
+function generateTooltipLayer(cells, label, offsetX, offsetY) {
+  if (!cells) return '';
+  return `
+
+  <!-- Cells with tooltips below or beside them -->
+  <g role="list" aria-label="${escapeXml(label)}" transform="translate(${offsetX}, ${offsetY})">${cells}
+  </g>`;
+}
+
+/**
+ * Count the entries per rating (Trakt 1-10 scale, rounded), plus the unrated ones
+ * @returns {Object} { '1': n, ..., '10': n, unrated: n }
+ */
+function calculateRatingDistribution(entries) {
+  const ratingDistribution = Object.fromEntries(RATING_LABELS.map(rating => [rating, 0]));
+  ratingDistribution.unrated = 0;
+
+  entries.forEach(entry => {
+    if (entry.rating && entry.rating > 0) {
+      const ratingKey = String(Math.round(entry.rating));
+      if (ratingKey in ratingDistribution) ratingDistribution[ratingKey]++;
+    } else {
+      ratingDistribution.unrated++;
+    }
+  });
+  return ratingDistribution;
+}
+
+/**
+ * Get the color level of some items watched on one day
+ * Items without a known runtime add no minutes, so with the minutes metric a day of only such items
+ * still gets the lowest level instead of looking like a day without activity
+ */
+function getItemsLevel(colorScale, items, metric) {
+  if (items.length === 0) return 0;
+  return Math.max(1, colorScale.getLevel(getDayValue(items, metric)));
+}
+
+/**
+ * Get the fill of a day cell: its average rating's level in rating mode, else its value's level on the color scale
+ */
+function getCellColor(t, { mode, metric, colorScale }, items, avgRating = null) {
+  if (items.length === 0) return t.colors[0];
+  if (mode === 'rating') return t.colors[getRatingLevel(avgRating)];
+  return t.colors[getItemsLevel(colorScale, items, metric)];
+}
+
+/**
+ * Generate the days active stat with a weekly distribution hover tooltip
+ */
+function generateDaysActiveStat(t, daysActive, weeklyDistribution, { weekStart, animate, tooltips }) {
+  const maxWeeklyCount = Math.max(...weeklyDistribution);
+  const count = generateCountUp(daysActive, n => `<text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${n} Days Active</text>`, animate);
+  if (!tooltips) return count;
+  return `${count}
+      <g class="days-active-tooltip" transform="translate(-20, -115)">
+        <rect x="0" y="0" width="200" height="105" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
+        <text x="100" y="18" font-size="11" font-weight="600" fill="${t.tooltipText}" text-anchor="middle">Weekly Distribution</text>
+        ${(weekStart === 'monday' ? ['M','T','W','T','F','S','S'] : ['S','M','T','W','T','F','S']).map((day, i) => {
+          const dayIndex = weekStart === 'monday' ? (i + 1) % 7 : i;
+          const count = weeklyDistribution[dayIndex];
+          const barHeight = maxWeeklyCount > 0 ? Math.round((count / maxWeeklyCount) * 45) : 0;
+          const x = 20 + i * 24;
+          return `
+        <text x="${x + 7}" y="${80 - barHeight - 3}" font-size="9" fill="${t.tooltipText}" text-anchor="middle">${count}</text>
+        <rect x="${x}" y="${80 - barHeight}" width="14" height="${barHeight}" rx="2" fill="${t.colors[3]}"/>
+        <text x="${x + 7}" y="100" font-size="9" fill="${t.text}" text-anchor="middle">${day}</text>`;
+        }).join('')}
+      </g>`;
+}
+
+/**
+ * Generate the longest streak stat with a hover tooltip of its first and last day
+ */
+function generateStreakStat(t, streak, { animate, tooltips }) {
+  return `<path d="M8.5 14.5A2.5 2.5 0 0 0 11 12c0-1.38-.5-2-1-3-1.072-2.143-.224-4.054 2-6 .5 2.5 2 4.9 4 6.5 2 1.6 3 3.5 3 5.5a7 7 0 1 1-14 0c0-1.153.433-2.294 1-3a2.5 2.5 0 0 0 2.5 2.5z"
+            stroke="${streak.length > 0 ? t.accent : t.textMuted}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" fill="${streak.length > 0 ? t.accent : 'none'}" fill-opacity="0.2" transform="scale(0.75)"/>
+      ${generateCountUp(streak.length, n => `<text x="18" y="13" font-size="14" font-weight="500" fill="${t.textMuted}">${n} Day Streak</text>`, animate)}${streak.length > 0 && tooltips ? generateDaySpanTooltip(t, streak) : ''}`;
+}
+
+/**
+ * Generate the drop shadow filter of the card (none for a transparent background)
+ */
+function generateCardShadow(transparent) {
+  if (transparent) return '';
+  return `
+    <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+      <feDropShadow dx="0" dy="2" stdDeviation="4" flood-color="#000000" flood-opacity="0.1"/>
+    </filter>`;
+}
+
+/**
+ * Generate the card background (none for a transparent background)
+ */
+function generateCard(t, transparent) {
+  if (transparent) return '';
+  return `
+  <rect width="100%" height="100%" rx="12" fill="${t.bg}" stroke="${t.cardBorder}" stroke-width="1" filter="url(#shadow)"/>`;
+}
+
+/**
+ * Get the accessible name of a graph, e.g. "Trakt activity of Jane – 2025, 2024"
+ */
+function getGraphTitle(displayName, username, rows) {
+  return `Trakt activity of ${displayName || username} – ${rows.map(row => row.label).join(', ')}`;
+}
+
+/**
+ * Summarize a graph row in a few sentences for screen readers and alt text:
+ * totals, watch time, longest and current streak, busiest day
+ */
+function describeRow(entries, range, options = {}) {
+  const { historyEntries = entries, today = getToday(), contentType = 'all' } = options;
+  const rowEntries = filterEntriesToRange(entries, range);
+  if (rowEntries.length === 0) return `${range.label}: nothing watched.`;
+
+  const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+  const noun = contentType === 'movies' ? 'movie' : contentType === 'shows' ? 'episode' : 'item';
+  const movies = rowEntries.filter(entry => entry.type === 'movie').length;
+  const episodes = rowEntries.length - movies;
+  const totalMinutes = calculateTotalMinutes(rowEntries);
+
+  let totals = `${range.label}: ${plural(rowEntries.length, noun)} watched`;
+  if (contentType === 'all') totals += ` (${plural(movies, 'movie')}, ${plural(episodes, 'episode')})`;
+  totals += ` on ${plural(calculateDaysActive(rowEntries), 'day')}`;
+  if (totalMinutes > 0) totals += `, ${plural(Math.round(totalMinutes / 60), 'hour')} in total`;
+
+  const streak = calculateStreak(historyEntries, range);
+  const currentStreak = spanInRange(calculateCurrentStreak(historyEntries, today), range);
+  const busiestDay = calculateBusiestDay(rowEntries);
+  const sentences = [
+    totals,
+    `Longest streak: ${plural(streak.length, 'day')} (${streak.startDate} to ${streak.endDate})`,
+    currentStreak && `Current streak: ${plural(currentStreak.length, 'day')}`,
+    `Busiest day: ${busiestDay.date} with ${plural(busiestDay.count, noun)}`
+  ];
+  return sentences.filter(Boolean).map(sentence => `${sentence}.`).join(' ');
+}
+
+/**
+ * Generate the title and description elements that give a graph its accessible name and summary
+ */
+function generateAccessibleText(entries, rows, options) {
+  const { displayName = '', username = '' } = options;
+  return `
+  <title id="trakt-graph-title">${escapeXml(getGraphTitle(displayName, username, rows))}</title>
+  <desc id="trakt-graph-desc">${escapeXml(rows.map(row => describeRow(entries, row, options)).join(' '))}</desc>`;
+}
+
+/**
+ * Generate a plain-text alternative to a graph: its accessible name and a summary line per row
+ * Takes the options of generateSvg (year or range) or generateMultiYearSvg (years or ranges)
+ * @param {Array} entries - Diary entries
+ * @param {Object} options - Graph options
+ * @returns {string} Alt text
+ */
+export function generateAltText(entries, options = {}) {
+  const { year = new Date().getFullYear(), years = null, range = null, ranges = null, displayName = '', username = '' } = options;
+  const rows = ranges || (range ? [range] : (years || [year]).slice().sort((a, b) => b - a).map(createYearRange));
+  return [getGraphTitle(displayName, username, rows), ...rows.map(row => describeRow(entries, row, options))].join('\n') + '\n';
+}
+
 /**
  * Generate the SVG contribution graph
  */
@@ -141,6 +1020,7 @@ export function generateSvg(entries, options = {}) {
   const { 
     theme = 'dark', 
     year = new Date().getFullYear(),
+    range = null, // { start, end, label } - overrides year
     weekStart = 'sunday',
     profileImage = null,
     displayName = '',
@@ -150,16 +1030,30 @@ export function generateSvg(entries, options = {}) {
     contentType = 'all', // 'movies', 'shows', or 'all'
     moviesCount = 0,
     episodesCount = 0,
-    followers = 0
+    followers = 0,
+    mode = 'count', // 'count' or 'rating'
+    metric = 'items', // 'items' or 'minutes' (cell intensity in count mode)
+    topN = 0, // Titles in the top shows / rewatched movies section (0 = hidden)
+    bingeGap = 90, // Max minutes between episodes of one binge session
+    scale = { type: 'linear', thresholds: null }, // Color scale from parseScale
+    split = false, // Separate hues for movies and episodes (count mode graphs of all content)
+    animate = false, // Fill cells in chronologically and count stats up (CSS animation)
+    tooltips = true, // Hover tooltips of the cells and stats (left out for print)
+    historyEntries = entries, // Full history, so streaks and droughts can cross the range boundaries
+    today = getToday(), // YYYY-MM-DD, ends the current streak and drought
+    transparent = false, // Leave out the card background and shadow
+    palette = DEFAULT_THEME // built-in theme name, theme file path or definition
   } = options;
 
-  // Filter entries for the requested year
-  const sortedEntries = [...entries].filter(entry => {
-    return entry.date.getFullYear() === year;
-  }).sort((a, b) => a.date.getTime() - b.date.getTime());
+  // Filter entries for the requested range (calendar year by default)
+  const dateRange = range || createYearRange(year);
+  const sortedEntries = filterEntriesToRange(entries, dateRange)
+    .sort((a, b) => a.date.getTime() - b.date.getTime());
 
   // Calculate stats
-  const streak = calculateStreak(sortedEntries);
+  const streak = calculateStreak(historyEntries, dateRange);
+  const currentStreak = spanInRange(calculateCurrentStreak(historyEntries, today), dateRange);
+  const drought = spanInRange(calculateLongestDrought(historyEntries, dateRange, today), dateRange);
   const daysActive = calculateDaysActive(sortedEntries);
   const totalItems = sortedEntries.length;
   const itemsPerDay = groupEntriesByDate(sortedEntries);
@@ -170,67 +1064,42 @@ export function generateSvg(entries, options = {}) {
     : 'Items';
   
   // Calculate weekly distribution
-  const weeklyDistribution = [0, 0, 0, 0, 0, 0, 0];
-  sortedEntries.forEach(entry => {
-    const dayOfWeek = entry.date.getDay();
-    weeklyDistribution[dayOfWeek]++;
-  });
-  const maxWeeklyCount = Math.max(...weeklyDistribution);
-
-  // Calculate rating distribution (Trakt uses 1-10 scale)
-  const ratingDistribution = {};
-  const ratingLabels = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
-  ratingLabels.forEach(r => ratingDistribution[r] = 0);
-  ratingDistribution['unrated'] = 0;
-  
-  sortedEntries.forEach(entry => {
-    if (entry.rating && entry.rating > 0) {
-      const ratingKey = String(Math.round(entry.rating));
-      if (ratingDistribution.hasOwnProperty(ratingKey)) {
-        ratingDistribution[ratingKey]++;
-      }
-    } else {
-      ratingDistribution['unrated']++;
-    }
-  });
-  const maxRatingCount = Math.max(...ratingLabels.map(r => ratingDistribution[r]));
+  const weeklyDistribution = calculateWeeklyDistribution(sortedEntries);
+  const ratingDistribution = calculateRatingDistribution(sortedEntries);
+  const averageRating = calculateAverageRating(sortedEntries);
+  const totalMinutes = calculateTotalMinutes(sortedEntries);
+  const topGenres = calculateTopGenres(sortedEntries);
+  const binges = detectBinges(sortedEntries, { gapMinutes: bingeGap });
+  const biggestBinge = findBiggestBinge(binges);
+  const bingesPerDay = groupBingesByDay(binges);
 
   // Setup date range
-  const displayYear = year;
-  const startDate = new Date(Date.UTC(displayYear, 0, 1));
-  const endDate = new Date(Date.UTC(displayYear, 11, 31));
-  
-  const startDay = startDate.getUTCDay();
-  const dayShift = weekStart === 'monday' ? (startDay + 6) % 7 : startDay;
-  if (dayShift > 0) {
-    startDate.setUTCDate(startDate.getUTCDate() - dayShift);
-  }
+  const rangeStart = parseDay(dateRange.start);
+  const rangeEnd = parseDay(dateRange.end);
+  const startDate = getGridStart(dateRange, weekStart);
 
-  const totalDays = Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24)) + 1;
+  const totalDays = Math.ceil((rangeEnd.getTime() - startDate.getTime()) / MS_PER_DAY) + 1;
   const totalWeeks = Math.ceil(totalDays / 7);
 
-  // Build activity grid
-  const grid = Array(7).fill(0).map(() => Array(totalWeeks).fill(0));
-  let maxCount = 0;
+  // Map each day's value to a color level (per kind with split encoding)
+  const splitKinds = split && contentType === 'all' && mode === 'count';
+  const colorScale = createColorScale(scale, getDayValues(itemsPerDay, metric));
+  const splitScales = createSplitScales(splitKinds, itemsPerDay, scale, metric);
 
-  sortedEntries.forEach((entry) => {
-    const daysSinceStart = Math.floor((entry.date.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
-    const weekIndex = Math.floor(daysSinceStart / 7);
-    const dayIndex = weekStart === 'monday' ? (entry.date.getUTCDay() + 6) % 7 : entry.date.getUTCDay();
-
-    if (weekIndex >= 0 && weekIndex < totalWeeks) {
-      grid[dayIndex][weekIndex]++;
-      maxCount = Math.max(maxCount, grid[dayIndex][weekIndex]);
-    }
+  const t = resolveTheme(palette, theme);
+  const legend = createLegend(t, { mode, metric, colorScale, splitScales });
+  const optionalStats = getOptionalStats(t, {
+    splitEntries: splitKinds ? sortedEntries : null, currentStreak, drought, biggestBinge, metric, totalMinutes, mode, averageRating, ratingDistribution, tooltips
   });
 
-  // Dimensions
+  // Dimensions (wide enough for the grid and the stats row)
   const CELL_SIZE = 14;
   const CELL_GAP = 3;
   const GRID_WIDTH = totalWeeks * (CELL_SIZE + CELL_GAP);
   const GRID_HEIGHT = 7 * (CELL_SIZE + CELL_GAP);
-  const SVG_WIDTH = Math.max(1000, GRID_WIDTH + 100);
-  const SVG_HEIGHT = 290;
+  const SVG_WIDTH = Math.max(1000, GRID_WIDTH + 100, getStatsRowWidth(dateRange.label, optionalStats, legend.width));
+  const TOP_TITLES_HEIGHT = getTopTitlesHeight(topN);
+  const SVG_HEIGHT = 290 + TOP_TITLES_HEIGHT;
   const GRID_OFFSET_X = 51;
   const GRID_OFFSET_Y = 165;
 
@@ -238,59 +1107,22 @@ export function generateSvg(entries, options = {}) {
   const DAYS_SUNDAY = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
   const DAYS_MONDAY = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
   const DAYS = weekStart === 'monday' ? DAYS_MONDAY : DAYS_SUNDAY;
-  const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-
-  // Theme colors - Trakt style (red accent)
-  const themes = {
-    dark: {
-      bg: '#0d1117',
-      cardBorder: '#21262d',
-      text: '#e6edf3',
-      textMuted: '#7d8590',
-      tooltipBg: '#161b22',
-      tooltipBorder: '#30363d',
-      tooltipText: '#f0f6fc',
-      colors: ['#161b22', '#5c1015', '#8b1a22', '#c41e2a', '#ed1c24']
-    },
-    light: {
-      bg: '#ffffff',
-      cardBorder: '#d1d9e0',
-      text: '#1f2328',
-      textMuted: '#656d76',
-      tooltipBg: '#ffffff',
-      tooltipBorder: '#d1d9e0',
-      tooltipText: '#1f2328',
-      colors: ['#ebedf0', '#ffc9cc', '#ff8a8f', '#ed4c55', '#ed1c24']
-    }
-  };
-
-  const t = themes[theme] || themes.dark;
-
-  function getColor(count) {
-    if (count === 0) return t.colors[0];
-    
-    // Count mode
-    if (maxCount === 0) return t.colors[0];
-    const level = Math.ceil((count / maxCount) * 4);
-    return t.colors[Math.min(level, 4)];
-  }
+  const MONTHS = MONTH_NAMES;
 
   // Start building SVG
-  let svg = `<svg width="${SVG_WIDTH}" height="${SVG_HEIGHT}" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" fill="none" xmlns="http://www.w3.org/2000/svg">
-  <defs>
-    <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
-      <feDropShadow dx="0" dy="2" stdDeviation="4" flood-color="#000000" flood-opacity="0.1"/>
-    </filter>
+  let svg = `<svg width="${SVG_WIDTH}" height="${SVG_HEIGHT}" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" fill="none" xmlns="http://www.w3.org/2000/svg"
+  role="graphics-document document" aria-labelledby="trakt-graph-title" aria-describedby="trakt-graph-desc">${generateAccessibleText(entries, [dateRange], options)}
+  <defs>${generateCardShadow(transparent)}
     <clipPath id="profileClip">
       <circle cx="40" cy="40" r="40"/>
     </clipPath>
     <linearGradient id="usernameGradient" x1="0%" y1="0%" x2="100%" y2="0%">
-      <stop offset="0%" stop-color="#ED1C24"/>
-      <stop offset="100%" stop-color="#FF6B6B"/>
+      ${generateGradientStops(t.gradient)}
     </linearGradient>
     <style type="text/css">
       <![CDATA[
-      ${generateFontFaceCSS()}
+      ${generateFontFaceCSS()}${generateAnimationCSS(t, animate)}
+      ${tooltips ? `
       .tooltip-group {
         opacity: 0;
         transition: opacity 0.2s ease;
@@ -321,7 +1153,41 @@ export function generateSvg(entries, options = {}) {
       }
       svg:has(.streak-group:hover) .streak-cell {
         filter: brightness(1.4) saturate(1.2);
-        stroke: #ed1c24;
+        stroke: ${t.accent};
+        stroke-width: 2;
+      }
+      .current-streak-group:hover .streak-tooltip,
+      .drought-group:hover .streak-tooltip {
+        opacity: 1;
+      }
+      .current-streak-group:hover,
+      .drought-group:hover {
+        cursor: pointer;
+      }
+      .current-streak-cell,
+      .drought-cell {
+        transition: filter 0.2s ease, stroke 0.2s ease, stroke-width 0.2s ease;
+      }
+      svg:has(.current-streak-group:hover) .current-streak-cell,
+      svg:has(.drought-group:hover) .drought-cell {
+        filter: brightness(1.4) saturate(1.2);
+        stroke: ${t.accent};
+        stroke-width: 2;
+      }
+      .binge-tooltip {
+        opacity: 0;
+        transition: opacity 0.2s ease;
+        pointer-events: none;
+      }
+      .binge-group:hover .binge-tooltip {
+        opacity: 1;
+      }
+      .binge-group:hover {
+        cursor: pointer;
+      }
+      svg:has(.binge-group:hover) .binge-cell {
+        filter: brightness(1.4) saturate(1.2);
+        stroke: ${t.accent};
         stroke-width: 2;
       }
       .days-active-tooltip {
@@ -346,28 +1212,39 @@ export function generateSvg(entries, options = {}) {
       .items-group:hover {
         cursor: pointer;
       }
+      .rating-tooltip {
+        opacity: 0;
+        transition: opacity 0.2s ease;
+        pointer-events: none;
+      }
+      .rating-group:hover .rating-tooltip {
+        opacity: 1;
+      }
+      .rating-group:hover {
+        cursor: pointer;
+      }
+      ` : ''}
       ]]>
     </style>
   </defs>
   
-  <!-- Main Card -->
-  <rect width="100%" height="100%" rx="12" fill="${t.bg}" stroke="${t.cardBorder}" stroke-width="1" filter="url(#shadow)"/>
+  <!-- Main Card -->${generateCard(t, transparent)}
 
   <!-- Header Section -->
   <g transform="translate(25, 20)">
     <!-- Profile Image (clickable) -->
-    <a href="https://trakt.tv/users/${username}" target="_blank">
+    <a href="https://trakt.tv/users/${encodeURIComponent(username)}" target="_blank">
       <circle cx="40" cy="40" r="42" fill="${t.cardBorder}"/>
       ${profileImage ? `<image href="${profileImage}" x="0" y="0" width="80" height="80" clip-path="url(#profileClip)" style="cursor: pointer;"/>` : `<circle cx="40" cy="40" r="40" fill="${t.colors[2]}"/>`}
     </a>
 
     <!-- Name and Info (clickable) -->
-    <a href="https://trakt.tv/users/${username}" target="_blank">
+    <a href="https://trakt.tv/users/${encodeURIComponent(username)}" target="_blank">
       <text x="100" y="35" font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="28" font-weight="600" fill="${usernameGradient ? 'url(#usernameGradient)' : t.text}" style="cursor: pointer;">${escapeXml(displayName)}</text>
     </a>
 
     <text x="100" y="60" font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="14" font-weight="500">
-      <a href="https://trakt.tv/users/${username}" target="_blank" style="cursor: pointer;">
+      <a href="https://trakt.tv/users/${encodeURIComponent(username)}" target="_blank" style="cursor: pointer;">
         <tspan fill="${t.textMuted}">@${escapeXml(username)}</tspan>
       </a>
       ${moviesCount > 0 ? `
@@ -394,70 +1271,39 @@ export function generateSvg(entries, options = {}) {
 
   <!-- Stats Row -->
   <g transform="translate(25, 115)" font-family="'Segoe UI', Inter, Arial, sans-serif">
-    <text x="0" y="20" font-size="16" font-weight="600" fill="${t.text}">${displayYear}</text>
-    
+    <text x="0" y="20" font-size="16" font-weight="600" fill="${t.text}">${escapeXml(dateRange.label)}</text>
+    <g transform="translate(${getStatsShift(dateRange.label)}, 0)">
 
-    <!-- Items count (static, no tooltip) -->
-    <g transform="translate(60, 5)">
-      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${totalItems} ${itemLabel}</text>
+    <!-- Items count with top genres hover tooltip -->
+    <g class="items-group" transform="translate(60, 5)">
+      ${generateCountUp(totalItems, n => `<text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${n} ${itemLabel}</text>`, animate)}${tooltips ? generateGenreTooltip(t, topGenres) : ''}
     </g>
     
     <!-- Days Active with hover tooltip -->
     <g class="days-active-group" transform="translate(180, 5)">
-      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${daysActive} Days Active</text>
-      <g class="days-active-tooltip" transform="translate(-20, -115)">
-        <rect x="0" y="0" width="200" height="105" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
-        <text x="100" y="18" font-size="11" font-weight="600" fill="${t.tooltipText}" text-anchor="middle">Weekly Distribution</text>
-        ${(weekStart === 'monday' ? ['M','T','W','T','F','S','S'] : ['S','M','T','W','T','F','S']).map((day, i) => {
-          const dayIndex = weekStart === 'monday' ? (i + 1) % 7 : i;
-          const count = weeklyDistribution[dayIndex];
-          const barHeight = maxWeeklyCount > 0 ? Math.round((count / maxWeeklyCount) * 45) : 0;
-          const x = 20 + i * 24;
-          return `
-        <text x="${x + 7}" y="${80 - barHeight - 3}" font-size="9" fill="${t.tooltipText}" text-anchor="middle">${count}</text>
-        <rect x="${x}" y="${80 - barHeight}" width="14" height="${barHeight}" rx="2" fill="${t.colors[3]}"/>
-        <text x="${x + 7}" y="100" font-size="9" fill="${t.text}" text-anchor="middle">${day}</text>`;
-        }).join('')}
-      </g>
+      ${generateDaysActiveStat(t, daysActive, weeklyDistribution, { weekStart, animate, tooltips })}
     </g>
     
     <!-- Streak with hover tooltip -->
     <g class="streak-group" transform="translate(320, 5)">
-      <path d="M8.5 14.5A2.5 2.5 0 0 0 11 12c0-1.38-.5-2-1-3-1.072-2.143-.224-4.054 2-6 .5 2.5 2 4.9 4 6.5 2 1.6 3 3.5 3 5.5a7 7 0 1 1-14 0c0-1.153.433-2.294 1-3a2.5 2.5 0 0 0 2.5 2.5z"
-            stroke="${streak.length > 0 ? '#ed1c24' : t.textMuted}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" fill="${streak.length > 0 ? '#ed1c24' : 'none'}" fill-opacity="0.2" transform="scale(0.75)"/>
-      <text x="18" y="13" font-size="14" font-weight="500" fill="${t.textMuted}">${streak.length} Day Streak</text>
-      ${streak.length > 0 ? `<g class="streak-tooltip" transform="translate(0, -45)">
-        <rect x="-10" y="0" width="180" height="36" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
-        <text x="5" y="23" font-size="12" fill="${t.tooltipText}">${streak.startDate} → ${streak.endDate}</text>
-      </g>` : ''}
+      ${generateStreakStat(t, streak, { animate, tooltips })}
     </g>
 
-    <!-- Legend (right side) -->
-    <g transform="translate(${SVG_WIDTH - 200}, 0)">
-      <text x="0" y="20" font-size="12" fill="${t.textMuted}">Less</text>`;
-
-  // Legend squares
-  for (let i = 0; i < 5; i++) {
-    svg += `
-      <rect x="${35 + i * 18}" y="7" width="13" height="13" rx="2" fill="${t.colors[i]}"/>`;
-  }
+    <!-- Biggest binge, watch time and average rating (when enabled) -->${generateOptionalStats(optionalStats)}
+    </g>
 
-  svg += `
-      <text x="${35 + 5 * 18 + 5}" y="20" font-size="12" fill="${t.textMuted}">More</text>
+    <!-- Legend (right side) -->
+    <g transform="translate(${SVG_WIDTH - legend.width}, 0)">${legend.markup}
     </g>
   </g>
 
   <!-- Month Labels -->
   <g transform="translate(${GRID_OFFSET_X}, ${GRID_OFFSET_Y - 8})" font-family="'Segoe UI', Inter, Arial, sans-serif">`;
 
-  for (let i = 0; i < 12; i++) {
-    const firstDayOfMonth = new Date(Date.UTC(displayYear, i, 1));
-    const daysSinceStart = Math.floor((firstDayOfMonth.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
-    if (daysSinceStart < 0) continue;
-    const weekIndex = Math.floor(daysSinceStart / 7);
-    const x = weekIndex * (CELL_SIZE + CELL_GAP);
-    svg += `<text x="${x}" y="0" font-size="11" fill="${t.textMuted}" font-weight="500">${MONTHS[i]}</text>`;
-  }
+  getMonthLabels(dateRange, startDate).forEach(({ week, label }) => {
+    const x = week * (CELL_SIZE + CELL_GAP);
+    svg += `<text x="${x}" y="0" font-size="11" fill="${t.textMuted}" font-weight="500">${label}</text>`;
+  });
 
   svg += `
   </g>
@@ -474,7 +1320,10 @@ export function generateSvg(entries, options = {}) {
   </g>
 
   <!-- Activity Grid -->
-  <g transform="translate(${GRID_OFFSET_X}, ${GRID_OFFSET_Y})">`;
+  <g role="list" aria-label="Daily activity" transform="translate(${GRID_OFFSET_X}, ${GRID_OFFSET_Y})">`;
+
+  // Cells drawn on top of the rest of the card
+  let overlayCells = '';
 
   // Generate cells
   for (let day = 0; day < 7; day++) {
@@ -482,90 +1331,95 @@ export function generateSvg(entries, options = {}) {
       const cellDate = new Date(startDate);
       cellDate.setUTCDate(cellDate.getUTCDate() + week * 7 + day);
       
-      // Use local date string for grouping/tooltips to fix timezone issues
-      const year = cellDate.getFullYear();
-      const month = String(cellDate.getMonth() + 1).padStart(2, '0');
-      const dayOfMonth = String(cellDate.getDate()).padStart(2, '0');
+      // Cells are UTC midnights of calendar days, matching the entry days bucketed in the graph timezone
+      const year = cellDate.getUTCFullYear();
+      const month = String(cellDate.getUTCMonth() + 1).padStart(2, '0');
+      const dayOfMonth = String(cellDate.getUTCDate()).padStart(2, '0');
       const tooltipDate = `${year}-${month}-${dayOfMonth}`;
       
       const itemsForDay = itemsPerDay.get(tooltipDate) || [];
       const count = itemsForDay.length;
+      const dayRating = mode === 'rating' ? calculateAverageRating(itemsForDay) : null;
+      const dayMinutes = calculateTotalMinutes(itemsForDay);
       
-      const color = getColor(count);
+      const splitColors = splitScales ? getSplitCellColors(t, splitScales, itemsForDay, metric) : null;
+      const color = splitColors ? splitColors.fill : getCellColor(t, { mode, metric, colorScale }, itemsForDay, dayRating);
       const x = week * (CELL_SIZE + CELL_GAP);
       const y = day * (CELL_SIZE + CELL_GAP);
 
-      const isOutsideYear = cellDate < new Date(Date.UTC(displayYear, 0, 1)) || cellDate > new Date(Date.UTC(displayYear, 11, 31));
+      const isOutsideRange = cellDate < rangeStart || cellDate > rangeEnd;
       
-      if (isOutsideYear) continue;
+      if (isOutsideRange) continue;
 
-      const historyUrl = `https://trakt.tv/users/${username}/history`;
+      const historyUrl = `https://trakt.tv/users/${encodeURIComponent(username)}/history`;
 
       // Tooltip content
-      const dateObj = new Date(cellDate);
-      const dayName = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dateObj.getDay()];
-      const dayNum = dateObj.getDate();
-      const monthName = MONTHS[dateObj.getMonth()];
-      const tooltipTitle = `${dayName}, ${dayNum}. ${monthName} ${year}: ${count} item${count !== 1 ? 's' : ''} watched`;
+      const dayName = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][cellDate.getUTCDay()];
+      const dayNum = cellDate.getUTCDate();
+      const monthName = MONTHS[cellDate.getUTCMonth()];
+      const isUnrated = mode === 'rating' && count > 0 && dayRating === null;
+      const ratingSuffix = dayRating !== null ? ` (Ø ${dayRating}/10)` : isUnrated ? ' (unrated)' : '';
+      const timeSuffix = metric === 'minutes' && count > 0 ? ` · ${dayMinutes > 0 ? formatDuration(dayMinutes) : 'runtime unknown'}` : '';
+      const tooltipTitle = `${dayName}, ${dayNum}. ${monthName} ${year}: ${count} item${count !== 1 ? 's' : ''} watched${timeSuffix}${ratingSuffix}`;
       
-      const lineHeight = 18;
-      const tooltipHeight = 38 + itemsForDay.length * lineHeight;
+      // Format binges and items for tooltip
+      const bingesForDay = bingesPerDay.get(tooltipDate) || [];
+      const tooltip = tooltips ? layoutTooltip(
+        { title: tooltipTitle, binges: bingesForDay, items: itemsForDay, mode, metric },
+        { x, y, size: CELL_SIZE },
+        { offsetX: GRID_OFFSET_X, offsetY: GRID_OFFSET_Y, width: SVG_WIDTH, height: SVG_HEIGHT }
+      ) : null;
       
-      // Format items for tooltip
-      const formattedItems = itemsForDay.map(item => {
-        if (item.type === 'episode' && item.episode) {
-          return `• ${item.title} ${item.episode} (${item.year})`;
-        }
-        return `• ${item.title} (${item.year})`;
-      });
-      
-      const tooltipWidth = Math.max(280, Math.max(...[tooltipTitle, ...formattedItems].map(s => s.length * 7)));
-
-      // Position tooltip
-      const tooltipX = Math.min(x, SVG_WIDTH - GRID_OFFSET_X - tooltipWidth - 10);
-      
-      // Check if this cell is part of the streak
-      const isStreakCell = streak.length > 0 && streak.startDate && streak.endDate && 
-        tooltipDate >= streak.startDate && tooltipDate <= streak.endDate;
-      const cellClass = isStreakCell ? 'cell streak-cell' : 'cell';
-
-      svg += `
-    <g class="cell-group">
-      <a href="${historyUrl}" target="_blank">
+      // Check if this cell is part of the streak, current streak, drought or biggest binge
+      const isBiggestBingeCell = biggestBinge !== null && biggestBinge.days.includes(tooltipDate);
+      const cellAnimation = getCellAnimation(animate && count > 0, tooltipDate, dateRange);
+      const cellClass = [
+        'cell',
+        cellAnimation.className,
+        isDayInSpan(tooltipDate, streak) && 'streak-cell',
+        isDayInSpan(tooltipDate, currentStreak) && 'current-streak-cell',
+        isDayInSpan(tooltipDate, drought) && 'drought-cell',
+        isBiggestBingeCell && 'binge-cell'
+      ].filter(Boolean).join(' ');
+
+      const cellGroup = `
+    <g class="cell-group" role="listitem">
+      <a href="${historyUrl}" target="_blank" aria-label="${escapeXml(tooltipTitle)}">
         <rect class="${cellClass}"
           x="${x}"
           y="${y}"
           width="${CELL_SIZE}"
           height="${CELL_SIZE}"
           rx="2"
-          fill="${color}"
-        />
-        <g class="tooltip-group" transform="translate(${tooltipX}, ${y - tooltipHeight - 8})">
-          <rect x="0" y="0" width="${tooltipWidth}" height="${tooltipHeight}" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
-          <text font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="12" fill="${t.tooltipText}">
-            <tspan x="10" dy="22" font-weight="600">${escapeXml(tooltipTitle)}</tspan>`;
-      
-      itemsForDay.forEach((item) => {
-        let displayText;
-        if (item.type === 'episode' && item.episode) {
-          displayText = `• ${item.title} ${item.episode} (${item.year})`;
-        } else {
-          displayText = `• ${item.title} (${item.year})`;
-        }
-        svg += `
-            <tspan x="10" dy="${lineHeight}">${escapeXml(displayText)}</tspan>`;
-      });
-
-      svg += `
-          </text>
-        </g>
+          fill="${color}"${isUnrated ? getUnratedOutline(t) : ''}${cellAnimation.style}
+        />${splitColors?.overlay ? `
+        <path class="${['movie-half', cellAnimation.className].filter(Boolean).join(' ')}" d="M${x + CELL_SIZE} ${y}V${y + CELL_SIZE}H${x}Z" fill="${splitColors.overlay}"${cellAnimation.style} pointer-events="none" aria-hidden="true"/>` : ''}${bingesForDay.length > 0 ? `
+        <circle class="binge-marker" cx="${x + CELL_SIZE / 2}" cy="${y + CELL_SIZE / 2}" r="2" fill="${t.bg}" fill-opacity="0.8" pointer-events="none" aria-hidden="true"/>` : ''}${tooltip ? generateTooltip(t, tooltip) : ''}
       </a>
     </g>`;
+
+      if (!tooltip || tooltip.placement === 'above') {
+        svg += cellGroup;
+      } else {
+        overlayCells += cellGroup;
+      }
     }
   }
 
   svg += `
-  </g>
+  </g>`;
+
+  if (TOP_TITLES_HEIGHT > 0) {
+    svg += `
+
+  <!-- Top Titles -->
+  <g transform="translate(25, 292)" font-family="'Segoe UI', Inter, Arial, sans-serif">${generateTopTitles(t, sortedEntries, { topN, contentType, width: SVG_WIDTH - 50 })}
+  </g>`;
+  }
+
+  svg += generateTooltipLayer(overlayCells, 'Daily activity', GRID_OFFSET_X, GRID_OFFSET_Y);
+
+  svg += `
 </svg>`;
 
   return svg;
@@ -579,6 +1433,7 @@ export function generateMultiYearSvg(entries, options = {}) {
   const { 
     theme = 'dark', 
     years = [new Date().getFullYear()],
+    ranges = null, // Array of { start, end, label } - overrides years
     weekStart = 'sunday',
     username = '',
     profileImage = null,
@@ -588,51 +1443,78 @@ export function generateMultiYearSvg(entries, options = {}) {
     contentType = 'all',
     moviesCount = 0,
     episodesCount = 0,
-    followers = 0
+    followers = 0,
+    mode = 'count', // 'count' or 'rating'
+    metric = 'items', // 'items' or 'minutes' (cell intensity in count mode)
+    topN = 0, // Titles in the top shows / rewatched movies section (0 = hidden)
+    bingeGap = 90, // Max minutes between episodes of one binge session
+    scale = { type: 'linear', thresholds: null }, // Color scale from parseScale
+    split = false, // Separate hues for movies and episodes (count mode graphs of all content)
+    animate = false, // Fill cells in chronologically and count stats up (CSS animation)
+    tooltips = true, // Hover tooltips of the cells and stats (left out for print)
+    historyEntries = entries, // Full history, so streaks and droughts can cross the range boundaries
+    today = getToday(), // YYYY-MM-DD, ends the current streak and drought
+    transparent = false, // Leave out the card background and shadow
+    palette = DEFAULT_THEME // built-in theme name, theme file path or definition
   } = options;
 
-  // Sort years descending (newest first)
-  const sortedYears = [...years].sort((a, b) => b - a);
+  // One row per range, years sorted descending (newest first)
+  const rows = ranges || [...years].sort((a, b) => b - a).map(createYearRange);
+  
+  const t = resolveTheme(palette, theme);
+  const splitKinds = split && contentType === 'all' && mode === 'count';
+
+  // Stats per row, calculated up front so the card can grow to fit the widest stats row
+  const rowStats = rows.map((row, yearIndex) => {
+    // Filter entries for this row's range
+    const yearEntries = filterEntriesToRange(entries, row);
+    const streak = calculateStreak(historyEntries, row);
+    const currentStreak = spanInRange(calculateCurrentStreak(historyEntries, today), row);
+    const drought = spanInRange(calculateLongestDrought(historyEntries, row, today), row);
+    const daysActive = calculateDaysActive(yearEntries);
+    const totalItems = yearEntries.length;
+    const itemsPerDay = groupEntriesByDate(yearEntries);
+    
+    // Calculate weekly distribution for this year
+    const weeklyDistribution = calculateWeeklyDistribution(yearEntries);
+    const ratingDistribution = calculateRatingDistribution(yearEntries);
+    const averageRating = calculateAverageRating(yearEntries);
+    const totalMinutes = calculateTotalMinutes(yearEntries);
+    const topGenres = calculateTopGenres(yearEntries);
+    const binges = detectBinges(yearEntries, { gapMinutes: bingeGap });
+    const biggestBinge = findBiggestBinge(binges);
+    const bingesPerDay = groupBingesByDay(binges);
+    const colorScale = createColorScale(scale, getDayValues(itemsPerDay, metric));
+    const splitScales = createSplitScales(splitKinds, itemsPerDay, scale, metric);
+    const legend = createLegend(t, { mode, metric, colorScale, splitScales });
+
+    const optionalStats = getOptionalStats(t, {
+      rowIndex: yearIndex, splitEntries: splitKinds ? yearEntries : null, currentStreak, drought, biggestBinge, metric, totalMinutes, mode, averageRating, ratingDistribution, tooltips
+    });
+
+    return {
+      yearEntries, streak, currentStreak, drought, daysActive, totalItems, itemsPerDay, weeklyDistribution,
+      topGenres, biggestBinge, bingesPerDay, colorScale, splitScales, legend, optionalStats
+    };
+  });
   
   // Dimensions
   const CELL_SIZE = 14;
   const CELL_GAP = 3;
-  const YEAR_HEIGHT = 180;
+  const TOP_TITLES_HEIGHT = getTopTitlesHeight(topN);
+  const YEAR_HEIGHT = 180 + TOP_TITLES_HEIGHT;
   const HEADER_HEIGHT = 75;
-  const SVG_WIDTH = 1000;
-  const SVG_HEIGHT = HEADER_HEIGHT + 40 + (sortedYears.length * YEAR_HEIGHT);
+  const maxWeeks = Math.max(...rows.map(row =>
+    Math.ceil(((parseDay(row.end).getTime() - getGridStart(row, weekStart).getTime()) / MS_PER_DAY + 1) / 7)));
+  const SVG_WIDTH = Math.max(1000, maxWeeks * (CELL_SIZE + CELL_GAP) + 100,
+    ...rows.map((row, i) => getStatsRowWidth(row.label, rowStats[i].optionalStats, rowStats[i].legend.width)));
+  const SVG_HEIGHT = HEADER_HEIGHT + 40 + (rows.length * YEAR_HEIGHT);
 
   // Day/Month labels
   const DAYS_SUNDAY = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
   const DAYS_MONDAY = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
   const DAYS = weekStart === 'monday' ? DAYS_MONDAY : DAYS_SUNDAY;
-  const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-
-  // Theme colors - Trakt style
-  const themes = {
-    dark: {
-      bg: '#0d1117',
-      cardBorder: '#21262d',
-      text: '#e6edf3',
-      textMuted: '#7d8590',
-      tooltipBg: '#161b22',
-      tooltipBorder: '#30363d',
-      tooltipText: '#f0f6fc',
-      colors: ['#161b22', '#5c1015', '#8b1a22', '#c41e2a', '#ed1c24']
-    },
-    light: {
-      bg: '#ffffff',
-      cardBorder: '#d1d9e0',
-      text: '#1f2328',
-      textMuted: '#656d76',
-      tooltipBg: '#ffffff',
-      tooltipBorder: '#d1d9e0',
-      tooltipText: '#1f2328',
-      colors: ['#ebedf0', '#ffc9cc', '#ff8a8f', '#ed4c55', '#ed1c24']
-    }
-  };
-
-  const t = themes[theme] || themes.dark;
+  const MONTHS = MONTH_NAMES;
 
   // Item label based on total entries in the range
   // Item label
@@ -641,21 +1523,19 @@ export function generateMultiYearSvg(entries, options = {}) {
     : 'Items';
 
   // Start building SVG
-  let svg = `<svg width="${SVG_WIDTH}" height="${SVG_HEIGHT}" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" fill="none" xmlns="http://www.w3.org/2000/svg">
-  <defs>
-    <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
-      <feDropShadow dx="0" dy="2" stdDeviation="4" flood-color="#000000" flood-opacity="0.1"/>
-    </filter>
+  let svg = `<svg width="${SVG_WIDTH}" height="${SVG_HEIGHT}" viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" fill="none" xmlns="http://www.w3.org/2000/svg"
+  role="graphics-document document" aria-labelledby="trakt-graph-title" aria-describedby="trakt-graph-desc">${generateAccessibleText(entries, rows, options)}
+  <defs>${generateCardShadow(transparent)}
     <clipPath id="profileClip">
       <circle cx="40" cy="40" r="40"/>
     </clipPath>
     <linearGradient id="usernameGradient" x1="0%" y1="0%" x2="100%" y2="0%">
-      <stop offset="0%" stop-color="#ED1C24"/>
-      <stop offset="100%" stop-color="#FF6B6B"/>
+      ${generateGradientStops(t.gradient)}
     </linearGradient>
     <style type="text/css">
       <![CDATA[
-      ${generateFontFaceCSS()}
+      ${generateFontFaceCSS()}${generateAnimationCSS(t, animate)}
+      ${tooltips ? `
       .tooltip-group { opacity: 0; transition: opacity 0.2s ease; pointer-events: none; }
       .cell-group:hover .tooltip-group { opacity: 1; }
       .cell-group:hover .cell { filter: brightness(1.3); }
@@ -664,35 +1544,46 @@ export function generateMultiYearSvg(entries, options = {}) {
       .streak-group:hover .streak-tooltip { opacity: 1; }
       .streak-group:hover { cursor: pointer; }
       .streak-cell { transition: filter 0.2s ease, stroke 0.2s ease, stroke-width 0.2s ease; }
-      ${sortedYears.map(y => `svg:has(.streak-group-${y}:hover) .streak-cell-${y} { filter: brightness(1.4) saturate(1.2); stroke: #ed1c24; stroke-width: 2; }`).join('\n      ')}
+      ${rows.map((row, i) => `svg:has(.streak-group-${i}:hover) .streak-cell-${i} { filter: brightness(1.4) saturate(1.2); stroke: ${t.accent}; stroke-width: 2; }`).join('\n      ')}
+      .current-streak-group:hover .streak-tooltip, .drought-group:hover .streak-tooltip { opacity: 1; }
+      .current-streak-group:hover, .drought-group:hover { cursor: pointer; }
+      .current-streak-cell, .drought-cell { transition: filter 0.2s ease, stroke 0.2s ease, stroke-width 0.2s ease; }
+      ${rows.map((row, i) => `svg:has(.current-streak-group-${i}:hover) .current-streak-cell-${i}, svg:has(.drought-group-${i}:hover) .drought-cell-${i} { filter: brightness(1.4) saturate(1.2); stroke: ${t.accent}; stroke-width: 2; }`).join('\n      ')}
+      .binge-tooltip { opacity: 0; transition: opacity 0.2s ease; pointer-events: none; }
+      .binge-group:hover .binge-tooltip { opacity: 1; }
+      .binge-group:hover { cursor: pointer; }
+      ${rows.map((row, i) => `svg:has(.binge-group-${i}:hover) .binge-cell-${i} { filter: brightness(1.4) saturate(1.2); stroke: ${t.accent}; stroke-width: 2; }`).join('\n      ')}
       .days-active-tooltip { opacity: 0; transition: opacity 0.2s ease; pointer-events: none; }
       .days-active-group:hover .days-active-tooltip { opacity: 1; }
       .days-active-group:hover { cursor: pointer; }
       .items-tooltip { opacity: 0; transition: opacity 0.2s ease; pointer-events: none; }
       .items-group:hover .items-tooltip { opacity: 1; }
       .items-group:hover { cursor: pointer; }
+      .rating-tooltip { opacity: 0; transition: opacity 0.2s ease; pointer-events: none; }
+      .rating-group:hover .rating-tooltip { opacity: 1; }
+      .rating-group:hover { cursor: pointer; }
+      ` : ''}
       ]]>
     </style>
   </defs>
   
-  <!-- Main Card -->
-  <rect width="100%" height="100%" rx="12" fill="${t.bg}" stroke="${t.cardBorder}" stroke-width="1" filter="url(#shadow)"/>
+  <!-- Main Card -->${generateCard(t, transparent)}
 
   <!-- Header Section -->
   <g transform="translate(25, 20)">
     <!-- Profile Image (clickable) -->
-    <a href="https://trakt.tv/users/${username}" target="_blank">
+    <a href="https://trakt.tv/users/${encodeURIComponent(username)}" target="_blank">
       <circle cx="40" cy="40" r="42" fill="${t.cardBorder}"/>
       ${profileImage ? `<image href="${profileImage}" x="0" y="0" width="80" height="80" clip-path="url(#profileClip)" style="cursor: pointer;"/>` : `<circle cx="40" cy="40" r="40" fill="${t.colors[2]}"/>`}
     </a>
 
     <!-- Name and Info (clickable) -->
-    <a href="https://trakt.tv/users/${username}" target="_blank">
+    <a href="https://trakt.tv/users/${encodeURIComponent(username)}" target="_blank">
       <text x="100" y="35" font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="28" font-weight="600" fill="${usernameGradient ? 'url(#usernameGradient)' : t.text}" style="cursor: pointer;">${escapeXml(displayName)}</text>
     </a>
 
     <text x="100" y="60" font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="14" font-weight="500">
-      <a href="https://trakt.tv/users/${username}" target="_blank" style="cursor: pointer;">
+      <a href="https://trakt.tv/users/${encodeURIComponent(username)}" target="_blank" style="cursor: pointer;">
         <tspan fill="${t.textMuted}">@${escapeXml(username)}</tspan>
       </a>
       ${moviesCount > 0 ? `
@@ -717,144 +1608,65 @@ export function generateMultiYearSvg(entries, options = {}) {
     </a>` : ''}
   </g>`;
 
-  // Generate each year
-  sortedYears.forEach((year, yearIndex) => {
+  // Cells with tooltips below or beside them, drawn after all rows
+  let tooltipLayers = '';
+
+  // Generate each row
+  rows.forEach((row, yearIndex) => {
     const yearOffset = HEADER_HEIGHT + 40 + (yearIndex * YEAR_HEIGHT);
     
-    // Filter entries for this year
-    const yearEntries = entries.filter(entry => entry.date.getFullYear() === year);
-    const streak = calculateStreak(yearEntries);
-    const daysActive = calculateDaysActive(yearEntries);
-    const totalItems = yearEntries.length;
-    const itemsPerDay = groupEntriesByDate(yearEntries);
-    
-    // Calculate weekly distribution for this year
-    const weeklyDistribution = [0, 0, 0, 0, 0, 0, 0];
-    yearEntries.forEach(entry => {
-      weeklyDistribution[entry.date.getDay()]++;
-    });
-    const maxWeeklyCount = Math.max(...weeklyDistribution);
-    
-    // Calculate rating distribution for this year
-    const ratingDistribution = {};
-    const ratingLabels = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
-    ratingLabels.forEach(r => ratingDistribution[r] = 0);
-    ratingDistribution['unrated'] = 0;
-    
-    yearEntries.forEach(entry => {
-      if (entry.rating && entry.rating > 0) {
-        const ratingKey = String(Math.round(entry.rating));
-        if (ratingDistribution.hasOwnProperty(ratingKey)) {
-          ratingDistribution[ratingKey]++;
-        }
-      } else {
-        ratingDistribution['unrated']++;
-      }
-    });
-    const maxRatingCount = Math.max(...ratingLabels.map(r => ratingDistribution[r]));
+    const {
+      yearEntries, streak, currentStreak, drought, daysActive, totalItems, itemsPerDay, weeklyDistribution,
+      topGenres, biggestBinge, bingesPerDay, colorScale, splitScales, legend, optionalStats
+    } = rowStats[yearIndex];
 
-    // Setup date range for this year
-    const startDate = new Date(Date.UTC(year, 0, 1));
-    const endDate = new Date(Date.UTC(year, 11, 31));
-    
-    const startDay = startDate.getUTCDay();
-    const dayShift = weekStart === 'monday' ? (startDay + 6) % 7 : startDay;
-    if (dayShift > 0) {
-      startDate.setUTCDate(startDate.getUTCDate() - dayShift);
-    }
+    // Setup date range for this row
+    const rangeStart = parseDay(row.start);
+    const rangeEnd = parseDay(row.end);
+    const startDate = getGridStart(row, weekStart);
 
-    const totalDays = Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24)) + 1;
+    const totalDays = Math.ceil((rangeEnd.getTime() - startDate.getTime()) / MS_PER_DAY) + 1;
     const totalWeeks = Math.ceil(totalDays / 7);
 
-    // Build activity grid for this year
-    const grid = Array(7).fill(0).map(() => Array(totalWeeks).fill(0));
-    let maxCount = 0;
-
-    yearEntries.forEach(entry => {
-      const daysSinceStart = Math.floor((entry.date.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
-      const weekIndex = Math.floor(daysSinceStart / 7);
-      const dayIndex = weekStart === 'monday' ? (entry.date.getUTCDay() + 6) % 7 : entry.date.getUTCDay();
-
-      if (weekIndex >= 0 && weekIndex < totalWeeks) {
-        grid[dayIndex][weekIndex]++;
-        maxCount = Math.max(maxCount, grid[dayIndex][weekIndex]);
-      }
-    });
-
-    function getColor(count) {
-      if (count === 0) return t.colors[0];
-
-      if (maxCount === 0) return t.colors[0];
-      const level = Math.ceil((count / maxCount) * 4);
-      return t.colors[Math.min(level, 4)];
-    }
 
     // Stats Row for this year
     svg += `
-  <!-- Year ${year} -->
+  <!-- ${escapeXml(row.label)} -->
   <g transform="translate(25, ${yearOffset})" font-family="'Segoe UI', Inter, Arial, sans-serif">
-    <text x="0" y="20" font-size="16" font-weight="600" fill="${t.text}">${year}</text>
-    <!-- Items count (static, no tooltip) -->
-    <g transform="translate(60, 5)">
-      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${totalItems} ${itemLabel}</text>
+    <text x="0" y="20" font-size="16" font-weight="600" fill="${t.text}">${escapeXml(row.label)}</text>
+    <g transform="translate(${getStatsShift(row.label)}, 0)">
+    <!-- Items count with top genres hover tooltip -->
+    <g class="items-group" transform="translate(60, 5)">
+      ${generateCountUp(totalItems, n => `<text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${n} ${itemLabel}</text>`, animate)}${tooltips ? generateGenreTooltip(t, topGenres) : ''}
     </g>
     
     <!-- Days Active with hover tooltip -->
     <g class="days-active-group" transform="translate(180, 5)">
-      <text x="0" y="15" font-size="14" font-weight="500" fill="${t.textMuted}">${daysActive} Days Active</text>
-      <g class="days-active-tooltip" transform="translate(-20, -115)">
-        <rect x="0" y="0" width="200" height="105" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
-        <text x="100" y="18" font-size="11" font-weight="600" fill="${t.tooltipText}" text-anchor="middle">Weekly Distribution</text>
-        ${(weekStart === 'monday' ? ['M','T','W','T','F','S','S'] : ['S','M','T','W','T','F','S']).map((day, i) => {
-          const dayIndex = weekStart === 'monday' ? (i + 1) % 7 : i;
-          const count = weeklyDistribution[dayIndex];
-          const barHeight = maxWeeklyCount > 0 ? Math.round((count / maxWeeklyCount) * 45) : 0;
-          const x = 20 + i * 24;
-          return `
-        <text x="${x + 7}" y="${80 - barHeight - 3}" font-size="9" fill="${t.tooltipText}" text-anchor="middle">${count}</text>
-        <rect x="${x}" y="${80 - barHeight}" width="14" height="${barHeight}" rx="2" fill="${t.colors[3]}"/>
-        <text x="${x + 7}" y="100" font-size="9" fill="${t.text}" text-anchor="middle">${day}</text>`;
-        }).join('')}
-      </g>
+      ${generateDaysActiveStat(t, daysActive, weeklyDistribution, { weekStart, animate, tooltips })}
     </g>
     <!-- Streak with hover tooltip -->
-    <g class="streak-group streak-group-${year}" transform="translate(320, 5)">
-      <path d="M8.5 14.5A2.5 2.5 0 0 0 11 12c0-1.38-.5-2-1-3-1.072-2.143-.224-4.054 2-6 .5 2.5 2 4.9 4 6.5 2 1.6 3 3.5 3 5.5a7 7 0 1 1-14 0c0-1.153.433-2.294 1-3a2.5 2.5 0 0 0 2.5 2.5z"
-            stroke="${streak.length > 0 ? '#ed1c24' : t.textMuted}" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" fill="${streak.length > 0 ? '#ed1c24' : 'none'}" fill-opacity="0.2" transform="scale(0.75)"/>
-      <text x="18" y="13" font-size="14" font-weight="500" fill="${t.textMuted}">${streak.length} Day Streak</text>
-      ${streak.length > 0 ? `<g class="streak-tooltip" transform="translate(0, -45)">
-        <rect x="-10" y="0" width="180" height="36" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
-        <text x="5" y="23" font-size="12" fill="${t.tooltipText}">${streak.startDate} → ${streak.endDate}</text>
-      </g>` : ''}
+    <g class="streak-group streak-group-${yearIndex}" transform="translate(320, 5)">
+      ${generateStreakStat(t, streak, { animate, tooltips })}
     </g>
-    ${yearIndex === 0 ? `<g transform="translate(${SVG_WIDTH - 200}, 0)">
-      <text x="0" y="20" font-size="12" fill="${t.textMuted}">Less</text>
-      <rect x="35" y="7" width="13" height="13" rx="2" fill="${t.colors[0]}"/>
-      <rect x="53" y="7" width="13" height="13" rx="2" fill="${t.colors[1]}"/>
-      <rect x="71" y="7" width="13" height="13" rx="2" fill="${t.colors[2]}"/>
-      <rect x="89" y="7" width="13" height="13" rx="2" fill="${t.colors[3]}"/>
-      <rect x="107" y="7" width="13" height="13" rx="2" fill="${t.colors[4]}"/>
-      <text x="130" y="20" font-size="12" fill="${t.textMuted}">More</text>
+    ${generateOptionalStats(optionalStats)}
+    </g>
+    ${yearIndex === 0 || mode !== 'rating' ? `<g transform="translate(${SVG_WIDTH - legend.width}, 0)">${legend.markup}
     </g>` : ''}
   </g>
 
-  <!-- Month Labels ${year} -->
+  <!-- Month Labels ${escapeXml(row.label)} -->
   <g transform="translate(51, ${yearOffset + 42})" font-family="'Segoe UI', Inter, Arial, sans-serif">`;
 
-    // Generate month labels for this year
-    for (let i = 0; i < 12; i++) {
-      const firstDayOfMonth = new Date(Date.UTC(year, i, 1));
-      const daysSinceStart = Math.floor((firstDayOfMonth.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
-      if (daysSinceStart < 0) continue;
-      const weekIndex = Math.floor(daysSinceStart / 7);
-      const x = weekIndex * (CELL_SIZE + CELL_GAP);
-      svg += `<text x="${x}" y="0" font-size="11" fill="${t.textMuted}" font-weight="500">${MONTHS[i]}</text>`;
-    }
+    // Generate month labels for this row
+    getMonthLabels(row, startDate).forEach(({ week, label }) => {
+      const x = week * (CELL_SIZE + CELL_GAP);
+      svg += `<text x="${x}" y="0" font-size="11" fill="${t.textMuted}" font-weight="500">${label}</text>`;
+    });
 
     svg += `
   </g>
 
-  <!-- Day Labels ${year} -->
+  <!-- Day Labels ${escapeXml(row.label)} -->
   <g transform="translate(26, ${yearOffset + 50})" font-family="'Segoe UI', Inter, Arial, sans-serif">
     <text x="0" y="${0 * (CELL_SIZE + CELL_GAP) + 11}" font-size="10" fill="${t.textMuted}" text-anchor="end">${DAYS[0].charAt(0)}</text>
     <text x="0" y="${1 * (CELL_SIZE + CELL_GAP) + 11}" font-size="10" fill="${t.textMuted}" text-anchor="end">${DAYS[1].charAt(0)}</text>
@@ -865,8 +1677,10 @@ export function generateMultiYearSvg(entries, options = {}) {
     <text x="0" y="${6 * (CELL_SIZE + CELL_GAP) + 11}" font-size="10" fill="${t.textMuted}" text-anchor="end">${DAYS[6].charAt(0)}</text>
   </g>
 
-  <!-- Activity Grid ${year} -->
-  <g transform="translate(51, ${yearOffset + 50})">`;
+  <!-- Activity Grid ${escapeXml(row.label)} -->
+  <g role="list" aria-label="Daily activity ${escapeXml(row.label)}" transform="translate(51, ${yearOffset + 50})">`;
+
+    let overlayCells = '';
 
     // Generate cells for this year
     for (let day = 0; day < 7; day++) {
@@ -874,91 +1688,97 @@ export function generateMultiYearSvg(entries, options = {}) {
         const cellDate = new Date(startDate);
         cellDate.setUTCDate(cellDate.getUTCDate() + week * 7 + day);
         
-        // Use local date string
-        const yearVal = cellDate.getFullYear();
-        const monthVal = String(cellDate.getMonth() + 1).padStart(2, '0');
-        const dayOfMonthVal = String(cellDate.getDate()).padStart(2, '0');
+        // Calendar day of the cell (UTC midnight)
+        const yearVal = cellDate.getUTCFullYear();
+        const monthVal = String(cellDate.getUTCMonth() + 1).padStart(2, '0');
+        const dayOfMonthVal = String(cellDate.getUTCDate()).padStart(2, '0');
         const tooltipDate = `${yearVal}-${monthVal}-${dayOfMonthVal}`;
         
         const itemsForDay = itemsPerDay.get(tooltipDate) || [];
         const count = itemsForDay.length;
+        const dayRating = mode === 'rating' ? calculateAverageRating(itemsForDay) : null;
+        const dayMinutes = calculateTotalMinutes(itemsForDay);
         
-        const color = getColor(count);
+        const splitColors = splitScales ? getSplitCellColors(t, splitScales, itemsForDay, metric) : null;
+        const color = splitColors ? splitColors.fill : getCellColor(t, { mode, metric, colorScale }, itemsForDay, dayRating);
 
         const x = week * (CELL_SIZE + CELL_GAP);
         const y = day * (CELL_SIZE + CELL_GAP);
 
-        const isOutsideYear = cellDate < new Date(Date.UTC(year, 0, 1)) || cellDate > new Date(Date.UTC(year, 11, 31));
+        const isOutsideRange = cellDate < rangeStart || cellDate > rangeEnd;
         
-        if (isOutsideYear) continue;
+        if (isOutsideRange) continue;
 
-        const historyUrl = `https://trakt.tv/users/${username}/history`;
+        const historyUrl = `https://trakt.tv/users/${encodeURIComponent(username)}/history`;
 
         // Tooltip content
-        const dayName = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][cellDate.getDay()];
-        const dayNum = cellDate.getDate();
-        const monthName = MONTHS[cellDate.getMonth()];
-        const tooltipTitle = `${dayName}, ${dayNum}. ${monthName} ${year}: ${count} item${count !== 1 ? 's' : ''} watched`;
-        
-        const lineHeight = 18;
-        const tooltipHeight = 38 + itemsForDay.length * lineHeight;
+        const dayName = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][cellDate.getUTCDay()];
+        const dayNum = cellDate.getUTCDate();
+        const monthName = MONTHS[cellDate.getUTCMonth()];
+        const isUnrated = mode === 'rating' && count > 0 && dayRating === null;
+        const ratingSuffix = dayRating !== null ? ` (Ø ${dayRating}/10)` : isUnrated ? ' (unrated)' : '';
+        const timeSuffix = metric === 'minutes' && count > 0 ? ` · ${dayMinutes > 0 ? formatDuration(dayMinutes) : 'runtime unknown'}` : '';
+        const tooltipTitle = `${dayName}, ${dayNum}. ${monthName} ${yearVal}: ${count} item${count !== 1 ? 's' : ''} watched${timeSuffix}${ratingSuffix}`;
         
-        const formattedItems = itemsForDay.map(item => {
-          if (item.type === 'episode' && item.episode) {
-            return `• ${item.title} ${item.episode} (${item.year})`;
-          }
-          return `• ${item.title} (${item.year})`;
-        });
+        const bingesForDay = bingesPerDay.get(tooltipDate) || [];
+        const tooltip = tooltips ? layoutTooltip(
+          { title: tooltipTitle, binges: bingesForDay, items: itemsForDay, mode, metric },
+          { x, y, size: CELL_SIZE },
+          { offsetX: 51, offsetY: yearOffset + 50, width: SVG_WIDTH, height: SVG_HEIGHT }
+        ) : null;
         
-        const tooltipWidth = Math.max(280, Math.max(...[tooltipTitle, ...formattedItems].map(s => s.length * 7)));
-
-        // Position tooltip
-        const tooltipX = Math.min(x, SVG_WIDTH - 51 - tooltipWidth - 10);
-        
-        // Check if this cell is part of the streak
-        const isStreakCell = streak.length > 0 && streak.startDate && streak.endDate && 
-          tooltipDate >= streak.startDate && tooltipDate <= streak.endDate;
-        const cellClass = isStreakCell ? `cell streak-cell streak-cell-${year}` : 'cell';
-
-        svg += `
-    <g class="cell-group">
-      <a href="${historyUrl}" target="_blank">
+        // Check if this cell is part of the streak, current streak, drought or biggest binge
+        const isBiggestBingeCell = biggestBinge !== null && biggestBinge.days.includes(tooltipDate);
+        const cellAnimation = getCellAnimation(animate && count > 0, tooltipDate, row);
+        const cellClass = [
+          'cell',
+          cellAnimation.className,
+          isDayInSpan(tooltipDate, streak) && `streak-cell streak-cell-${yearIndex}`,
+          isDayInSpan(tooltipDate, currentStreak) && `current-streak-cell current-streak-cell-${yearIndex}`,
+          isDayInSpan(tooltipDate, drought) && `drought-cell drought-cell-${yearIndex}`,
+          isBiggestBingeCell && `binge-cell binge-cell-${yearIndex}`
+        ].filter(Boolean).join(' ');
+
+        const cellGroup = `
+    <g class="cell-group" role="listitem">
+      <a href="${historyUrl}" target="_blank" aria-label="${escapeXml(tooltipTitle)}">
         <rect class="${cellClass}"
           x="${x}"
           y="${y}"
           width="${CELL_SIZE}"
           height="${CELL_SIZE}"
           rx="2"
-          fill="${color}"
-        />
-        <g class="tooltip-group" transform="translate(${tooltipX}, ${y - tooltipHeight - 8})">
-          <rect x="0" y="0" width="${tooltipWidth}" height="${tooltipHeight}" rx="6" fill="${t.tooltipBg}" stroke="${t.tooltipBorder}" stroke-width="1"/>
-          <text font-family="'Segoe UI', Inter, Arial, sans-serif" font-size="12" fill="${t.tooltipText}">
-            <tspan x="10" dy="22" font-weight="600">${escapeXml(tooltipTitle)}</tspan>`;
-      
-      itemsForDay.forEach((item) => {
-        let displayText;
-        if (item.type === 'episode' && item.episode) {
-          displayText = `• ${item.title} ${item.episode} (${item.year})`;
-        } else {
-          displayText = `• ${item.title} (${item.year})`;
-        }
-        svg += `
-            <tspan x="10" dy="${lineHeight}">${escapeXml(displayText)}</tspan>`;
-      });
-
-      svg += `
-          </text>
-        </g>
+          fill="${color}"${isUnrated ? getUnratedOutline(t) : ''}${cellAnimation.style}
+        />${splitColors?.overlay ? `
+        <path class="${['movie-half', cellAnimation.className].filter(Boolean).join(' ')}" d="M${x + CELL_SIZE} ${y}V${y + CELL_SIZE}H${x}Z" fill="${splitColors.overlay}"${cellAnimation.style} pointer-events="none" aria-hidden="true"/>` : ''}${bingesForDay.length > 0 ? `
+        <circle class="binge-marker" cx="${x + CELL_SIZE / 2}" cy="${y + CELL_SIZE / 2}" r="2" fill="${t.bg}" fill-opacity="0.8" pointer-events="none" aria-hidden="true"/>` : ''}${tooltip ? generateTooltip(t, tooltip) : ''}
       </a>
     </g>`;
+
+        if (!tooltip || tooltip.placement === 'above') {
+          svg += cellGroup;
+        } else {
+          overlayCells += cellGroup;
+        }
       }
     }
 
     svg += `
   </g>`;
+
+    if (TOP_TITLES_HEIGHT > 0) {
+      svg += `
+
+  <!-- Top Titles ${escapeXml(row.label)} -->
+  <g transform="translate(25, ${yearOffset + 177})" font-family="'Segoe UI', Inter, Arial, sans-serif">${generateTopTitles(t, yearEntries, { topN, contentType, width: SVG_WIDTH - 50 })}
+  </g>`;
+    }
+
+    tooltipLayers += generateTooltipLayer(overlayCells, `Daily activity ${row.label}`, 51, yearOffset + 50);
   });
 
+  svg += tooltipLayers;
+
   svg += `
 </svg>`;
 
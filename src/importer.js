@@ -0,0 +1,165 @@
+/**
+ * Offline History Importer
+ * Reads watch history from a Trakt export, a raw /history JSON dump or a CSV file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { indexRatings, filterHistoryByType } from './fetcher.js';
+
+/**
+ * Split a CSV line into fields (supports quoted fields with commas and "" escapes)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse a CSV date, treating date-only values as UTC noon so they stay on the same day
+ * in every timezone within ±12 hours of UTC
+ */
+function parseCsvDate(value) {
+  const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    return new Date(Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]), 12));
+  }
+  return new Date(value);
+}
+
+/**
+ * Convert CSV rows (date, title, type, runtime) into Trakt-style history items
+ * Episode titles may carry an episode code, e.g. "Severance S02E03"; runtime (minutes) is optional
+ */
+function parseHistoryCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  const history = [];
+
+  lines.forEach((line, index) => {
+    const [dateValue, title, typeValue = 'movie', runtimeValue = ''] = parseCsvLine(line);
+    const date = parseCsvDate(dateValue || '');
+
+    if (isNaN(date.getTime())) {
+      // Skip header row silently, warn about other unparsable rows
+      if (index > 0) console.warn(`   Skipping CSV line ${index + 1}: invalid date "${dateValue}"`);
+      return;
+    }
+
+    const type = ['episode', 'episodes', 'show', 'shows', 'tv'].includes(typeValue.toLowerCase()) ? 'episode' : 'movie';
+    const item = { id: `csv-${index}`, watched_at: date.toISOString(), type };
+    const runtime = Number.parseInt(runtimeValue) || null;
+
+    if (type === 'episode') {
+      const match = title.match(/^(.*?)\s+S(\d+)E(\d+)$/i);
+      item.show = { title: match ? match[1] : title, year: null, ids: {} };
+      item.episode = match
+        ? { season: Number(match[2]), number: Number(match[3]), title: null, runtime, ids: {} }
+        : { season: null, number: null, title: null, runtime, ids: {} };
+    } else {
+      item.movie = { title, year: null, runtime, ids: {} };
+    }
+
+    history.push(item);
+  });
+
+  return history;
+}
+
+/**
+ * Extract history items from parsed JSON (raw /history array or an object wrapping it)
+ */
+function extractHistoryJson(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.history)) return data.history;
+  throw new Error('Unrecognized JSON format: expected an array of history items');
+}
+
+/**
+ * Read all history and rating files of an unpacked Trakt account export
+ */
+function readExportDirectory(dir) {
+  const history = [];
+  const ratingItems = [];
+  const files = fs.readdirSync(dir, { recursive: true })
+    .map(file => String(file))
+    .filter(file => file.endsWith('.json'));
+
+  files.forEach(file => {
+    const name = path.basename(file).toLowerCase();
+    if (!name.includes('history') && !name.includes('ratings')) return;
+
+    const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (!Array.isArray(data)) return;
+
+    if (name.includes('ratings')) {
+      ratingItems.push(...data);
+    } else {
+      history.push(...data);
+    }
+  });
+
+  if (history.length === 0) {
+    throw new Error(`No history files found in ${dir}`);
+  }
+
+  return { history, ratingItems };
+}
+
+/**
+ * Load watch history from a local file or an unpacked Trakt export directory
+ * @param {string} inputPath - Path to a .json/.csv file or export directory
+ * @param {string} type - Content type: 'movies', 'shows', or 'all'
+ * @returns {Object} { history, ratings } - Raw history items and a ratings Map (null if none found)
+ */
+export function loadHistoryFile(inputPath, type = 'all') {
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Input not found: ${inputPath}`);
+  }
+
+  console.log(`📂 Reading history from ${inputPath}...`);
+
+  let history;
+  let ratingItems = [];
+
+  if (fs.statSync(inputPath).isDirectory()) {
+    ({ history, ratingItems } = readExportDirectory(inputPath));
+  } else if (inputPath.toLowerCase().endsWith('.csv')) {
+    history = parseHistoryCsv(fs.readFileSync(inputPath, 'utf8'));
+  } else {
+    history = extractHistoryJson(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+  }
+
+  // Apply the content type filter the API endpoints would otherwise do
+  const filtered = filterHistoryByType(history, type)
+    .filter(item => item.watched_at && (item.type === 'movie' || item.type === 'episode'))
+    .sort((a, b) => new Date(b.watched_at) - new Date(a.watched_at));
+
+  const ratings = ratingItems.length > 0 ? indexRatings(ratingItems) : null;
+
+  console.log(`   ✓ Total items read: ${filtered.length}${ratings ? `, ${ratings.size} ratings` : ''}`);
+  return { history: filtered, ratings };
+}
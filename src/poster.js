@@ -0,0 +1,300 @@
+/**
+ * Print Poster Exporter
+ * Lays a graph out as a vector PDF on standard paper, with a title, a legend
+ * and static tables for what the SVG only shows in hover tooltips
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import SVGtoPDF from 'svg-to-pdfkit';
+import wawoff2 from 'wawoff2';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+
+// Paper sizes as named by PDFKit, used in landscape
+export const PAPER_SIZES = { a4: 'A4', a3: 'A3', letter: 'LETTER' };
+
+const MARGIN = 40;
+const TEXT_COLOR = '#1f2328';
+const MUTED_COLOR = '#59636e';
+const RULE_COLOR = '#d1d9e0';
+const TABLE_FONT_SIZE = 8;
+const TABLE_ROW_HEIGHT = 14;
+const BUSIEST_DAYS = 10;
+
+/**
+ * Load the embedded Inter fonts as TrueType
+ * PDFKit can't subset the composite glyphs (",", ":", "é", ...) of WOFF2 fonts, so they are decompressed first
+ * @returns {Promise<Object>} { regular, semibold } font buffers
+ */
+async function loadPosterFonts() {
+  const load = async file => Buffer.from(await wawoff2.decompress(fs.readFileSync(path.join(FONTS_DIR, file))));
+  return {
+    regular: await load('Inter-Regular.woff2'),
+    semibold: await load('Inter-SemiBold.woff2')
+  };
+}
+
+/**
+ * Format minutes as whole hours, e.g. "42h"
+ */
+function formatHours(minutes) {
+  return minutes > 0 ? `${Math.max(1, Math.round(minutes / 60))}h` : '–';
+}
+
+/**
+ * Format a streak or drought as "N days (start – end)"
+ */
+function formatSpan(span) {
+  if (!span) return '–';
+  const days = `${span.length} day${span.length !== 1 ? 's' : ''}`;
+  return span.length > 1 ? `${days} (${span.startDate} – ${span.endDate})` : `${days} (${span.startDate})`;
+}
+
+/**
+ * List the items watched on a day, with episodes grouped by show, e.g. "Severance ×6, Dune (2021)"
+ */
+function formatWatched(watched) {
+  const groups = new Map();
+  watched.forEach((item, i) => {
+    const key = item.type === 'episode' ? `show:${item.title}` : `item:${i}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.values()].map(items => {
+    const [item] = items;
+    if (items.length > 1) return `${item.title} ×${items.length}`;
+    if (item.type === 'episode' && item.episode) return `${item.title} ${item.episode}`;
+    return item.year ? `${item.title} (${item.year})` : item.title;
+  }).join(', ');
+}
+
+/**
+ * Shorten text with an ellipsis until it fits into width in the current font
+ */
+function fitText(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+  let fitted = text;
+  while (fitted.length > 1 && doc.widthOfString(`${fitted}…`) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * Draw a table, continuing on a new page when it reaches the bottom margin
+ * @param {PDFDocument} doc - Document
+ * @param {number} y - Top of the table
+ * @param {Object} table - { heading, columns: [{ label, width }], rows: [[cell, ...]] }, the last column takes the rest
+ * @returns {number} Bottom of the table
+ */
+function drawTable(doc, y, { heading, columns, rows }) {
+  const left = MARGIN;
+  const width = doc.page.width - MARGIN * 2;
+  const fixedWidth = columns.slice(0, -1).reduce((sum, column) => sum + column.width, 0);
+  const widths = [...columns.slice(0, -1).map(column => column.width), width - fixedWidth];
+  const bottom = doc.page.height - MARGIN;
+
+  const drawRow = (cells, font, color) => {
+    doc.font(font).fontSize(TABLE_FONT_SIZE).fillColor(color);
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(fitText(doc, String(cell ?? '–'), widths[i] - 6), x, y + 3, { lineBreak: false });
+      x += widths[i];
+    });
+    y += TABLE_ROW_HEIGHT;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+  };
+  const drawHeader = () => drawRow(columns.map(column => column.label), 'Inter-SemiBold', MUTED_COLOR);
+
+  // Keep the heading with the first rows
+  if (y + 20 + TABLE_ROW_HEIGHT * 3 > bottom) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  doc.font('Inter-SemiBold').fontSize(11).fillColor(TEXT_COLOR).text(heading, left, y, { lineBreak: false });
+  y += 20;
+  drawHeader();
+
+  rows.forEach(cells => {
+    if (y + TABLE_ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = MARGIN;
+      drawHeader();
+    }
+    drawRow(cells, 'Inter', TEXT_COLOR);
+  });
+
+  return y;
+}
+
+/**
+ * Draw the legend below the graph: color levels, unrated days, the movie hue of split graphs and binge markers
+ * @returns {number} Bottom of the legend
+ */
+function drawLegend(doc, y, t, { mode, split }) {
+  const swatch = 9;
+  let x = MARGIN;
+
+  const label = text => {
+    doc.font('Inter').fontSize(TABLE_FONT_SIZE).fillColor(MUTED_COLOR).text(text, x, y + 1, { lineBreak: false });
+    x += doc.widthOfString(text) + 6;
+  };
+  const swatches = colors => {
+    colors.forEach(color => {
+      doc.roundedRect(x, y, swatch, swatch, 1.5).fillColor(color).fill();
+      x += swatch + 3;
+    });
+    x += 3;
+  };
+
+  if (mode === 'rating') {
+    label('Lowest rated');
+    swatches(t.colors.slice(1));
+    label('Best rated');
+    // Days with only unrated items: empty fill with an outline, as in the graph
+    x += 12;
+    doc.roundedRect(x + 0.5, y + 0.5, swatch - 1, swatch - 1, 1.5).lineWidth(0.75).fillAndStroke(t.colors[0], t.textMuted);
+    x += swatch + 6;
+    label('Watched, all unrated');
+  } else {
+    label('None');
+    swatches(t.colors);
+    label(split ? 'Most episodes' : 'Most watched');
+  }
+  if (split) {
+    x += 12;
+    swatches(t.movieColors.slice(1));
+    label('Most movies');
+  }
+  if (mode !== 'rating') {
+    x += 12;
+    doc.roundedRect(x, y, swatch, swatch, 1.5).fillColor(t.colors[3]).fill();
+    doc.circle(x + swatch / 2, y + swatch / 2, 1.5).fillColor(t.bg).fillOpacity(0.8).fill().fillOpacity(1);
+    x += swatch + 6;
+    label('Binge session (episodes of one show back to back)');
+  }
+
+  return y + swatch + 14;
+}
+
+/**
+ * Export a graph as a print-ready PDF poster
+ * @param {string} svgContent - Graph SVG (static: not animated and without tooltips, light theme recommended)
+ * @param {string} outputPath - Output path of the PDF
+ * @param {Object} options - Poster options
+ * @param {string} options.paper - a4, a3 or letter (default: a4)
+ * @param {string} options.title - Poster title, e.g. the graph's accessible name
+ * @param {Array<string>} options.summary - Summary lines printed under the title
+ * @param {Object} options.dataset - Dataset from buildDataset, for the tables
+ * @param {Object} options.theme - Theme colors the graph was rendered with
+ * @param {string} options.mode - Graph mode: count or rating
+ * @param {boolean} options.split - Whether movies use their own hue
+ * @returns {Promise<void>}
+ */
+export async function exportPoster(svgContent, outputPath, options = {}) {
+  const { paper = 'a4', title = '', summary = [], dataset, theme: t, mode = 'count', split = false } = options;
+
+  try {
+    const fonts = await loadPosterFonts();
+    const doc = new PDFDocument({ size: PAPER_SIZES[paper], layout: 'landscape', margin: MARGIN, info: { Title: title } });
+    doc.registerFont('Inter', fonts.regular);
+    doc.registerFont('Inter-SemiBold', fonts.semibold);
+
+    const written = new Promise((resolve, reject) => {
+      const stream = fs.createWriteStream(outputPath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+    });
+
+    // Title and summary
+    const contentWidth = doc.page.width - MARGIN * 2;
+    doc.font('Inter-SemiBold').fontSize(20).fillColor(TEXT_COLOR).text(title, MARGIN, MARGIN, { width: contentWidth });
+    doc.moveDown(0.3);
+    doc.font('Inter').fontSize(9).fillColor(MUTED_COLOR);
+    summary.forEach(line => doc.text(line, { width: contentWidth }));
+    let y = doc.y + 14;
+
+    // Graph, as large as the page allows while leaving room for the legend
+    const svgWidth = Number((svgContent.match(/width="(\d+)"/) || [])[1]) || 1000;
+    const svgHeight = Number((svgContent.match(/height="(\d+)"/) || [])[1]) || 290;
+    const maxHeight = doc.page.height - MARGIN - y - 30;
+    const scale = Math.min(contentWidth / svgWidth, maxHeight / svgHeight);
+    const graphX = MARGIN + (contentWidth - svgWidth * scale) / 2;
+    // Drawn at 1px = 1pt, then scaled to fit with the page transform
+    // SVG features svg-to-pdfkit can't draw are left out, collected to be reported
+    const warnings = new Set();
+    doc.save().translate(graphX, y).scale(scale);
+    SVGtoPDF(doc, svgContent, 0, 0, {
+      width: svgWidth,
+      height: svgHeight,
+      assumePt: true,
+      fontCallback: (family, bold) => (bold ? 'Inter-SemiBold' : 'Inter'),
+      // Embedded images make for long messages
+      warningCallback: warning => warnings.add(warning.length > 160 ? `${warning.slice(0, 159)}…` : warning)
+    });
+    doc.restore();
+    y += svgHeight * scale + 12;
+
+    y = drawLegend(doc, y, t, { mode, split });
+
+    // Tables in place of the hover tooltips
+    const years = dataset.years;
+    y = drawTable(doc, y + 6, {
+      heading: 'Overview',
+      columns: [
+        { label: '', width: 90 },
+        { label: 'Items', width: 45 },
+        { label: 'Movies', width: 45 },
+        { label: 'Episodes', width: 50 },
+        { label: 'Days active', width: 55 },
+        { label: 'Watch time', width: 55 },
+        { label: 'Longest streak', width: 150 },
+        { label: 'Longest drought', width: 150 },
+        { label: 'Busiest day' }
+      ],
+      rows: years.map(row => [
+        row.label, row.items, row.movies, row.episodes, row.daysActive, formatHours(row.minutes),
+        formatSpan(row.longestStreak), formatSpan(row.longestDrought),
+        row.busiestDay ? `${row.busiestDay.date} (${row.busiestDay.count})` : '–'
+      ])
+    });
+
+    const weekdays = Object.keys(years[0]?.weekdays || {});
+    y = drawTable(doc, y + 16, {
+      heading: 'Items by weekday',
+      columns: [{ label: '', width: 90 }, ...weekdays.map(weekday => ({ label: weekday, width: 45 })), { label: '' }],
+      rows: years.map(row => [row.label, ...weekdays.map(weekday => row.weekdays[weekday]), ''])
+    });
+
+    const busiestDays = years
+      .flatMap(row => row.days)
+      .filter(day => day.items > 0)
+      .sort((a, b) => b.items - a.items || a.date.localeCompare(b.date))
+      .slice(0, BUSIEST_DAYS);
+    if (busiestDays.length > 0) {
+      drawTable(doc, y + 16, {
+        heading: 'Busiest days',
+        columns: [{ label: 'Date', width: 90 }, { label: 'Items', width: 45 }, { label: 'Watch time', width: 55 }, { label: 'Watched' }],
+        rows: busiestDays.map(day => [day.date, day.items, formatHours(day.minutes), formatWatched(day.watched)])
+      });
+    }
+
+    doc.end();
+    await written;
+
+    console.log(`   🖨️  PDF poster exported: ${outputPath} (${paper.toUpperCase()})`);
+    if (warnings.size > 0) {
+      console.warn(`   ⚠️  ${warnings.size} SVG feature${warnings.size !== 1 ? 's' : ''} could not be drawn in the PDF:`);
+      warnings.forEach(warning => console.warn(`      • ${warning}`));
+    }
+  } catch (error) {
+    console.error(`   ❌ PDF export failed: ${outputPath}: ${error.message}`);
+    throw error;
+  }
+}
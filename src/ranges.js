@@ -0,0 +1,124 @@
+/**
+ * Date Ranges
+ * Helpers for the calendar windows a graph can cover (calendar years, rolling windows, custom ranges)
+ * A range is { start, end, label } with inclusive YYYY-MM-DD day strings
+ */
+
+import { getDayString } from './timezone.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Format a date as YYYY-MM-DD using its UTC fields
+ */
+function formatUTCDay(date) {
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD day string into a Date at UTC midnight
+ * @param {string} day - Day string
+ * @returns {Date} UTC midnight of that day
+ */
+export function parseDay(day) {
+  const match = DAY_PATTERN.exec(day);
+  if (!match) {
+    throw new Error(`Invalid date "${day}", expected YYYY-MM-DD`);
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (formatUTCDay(date) !== day) {
+    throw new Error(`Invalid date "${day}"`);
+  }
+  return date;
+}
+
+/**
+ * Shift a YYYY-MM-DD day string by a number of days
+ * @param {string} day - Day string
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted day string
+ */
+export function addDays(day, days) {
+  return formatUTCDay(new Date(parseDay(day).getTime() + days * MS_PER_DAY));
+}
+
+/**
+ * Get today's date as a YYYY-MM-DD string
+ * @param {string|null} timeZone - IANA timezone (null for the system timezone)
+ */
+export function getToday(timeZone = null) {
+  return getDayString(new Date(), timeZone);
+}
+
+/**
+ * Create the range for a calendar year
+ * @param {number} year - Year
+ * @returns {Object} Range from Jan 1 to Dec 31
+ */
+export function createYearRange(year) {
+  return { start: `${year}-01-01`, end: `${year}-12-31`, label: String(year) };
+}
+
+/**
+ * Create a rolling range of the last N days, ending today
+ * @param {number} days - Number of days including today
+ * @param {string} today - End day (default: today)
+ * @returns {Object} Range
+ */
+export function createLastDaysRange(days, today = getToday()) {
+  return { start: addDays(today, -(days - 1)), end: today, label: `Last ${days} Days` };
+}
+
+/**
+ * Create a custom range between two days
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string|null} to - Last day (YYYY-MM-DD, default: today)
+ * @returns {Object} Range
+ */
+export function createDateRange(from, to = null) {
+  const end = to || getToday();
+  if (parseDay(from) > parseDay(end)) {
+    throw new Error(`Range start ${from} is after range end ${end}`);
+  }
+  return { start: from, end, label: `${from} – ${end}` };
+}
+
+/**
+ * Resolve range options into a range
+ * @param {Object} options - { range: 'last-365' | 'last-<days>', from, to }
+ * @param {string|null} timeZone - Timezone deciding which day is today
+ * @returns {Object|null} Range or null for calendar years
+ */
+export function resolveRange({ range = null, from = null, to = null } = {}, timeZone = null) {
+  if (range) {
+    const match = /^last-(\d+)$/.exec(range);
+    if (!match || Number(match[1]) < 1) {
+      throw new Error(`Invalid range "${range}", expected e.g. last-365`);
+    }
+    return createLastDaysRange(Number(match[1]), getToday(timeZone));
+  }
+  if (from) {
+    return createDateRange(from, to || getToday(timeZone));
+  }
+  if (to) {
+    throw new Error('--to requires --from');
+  }
+  return null;
+}
+
+/**
+ * Get all calendar years a range touches
+ * @param {Object} range - Range
+ * @returns {Array<number>} Years, newest first
+ */
+export function getRangeYears(range) {
+  const years = [];
+  for (let year = Number(range.end.slice(0, 4)); year >= Number(range.start.slice(0, 4)); year--) {
+    years.push(year);
+  }
+  return years;
+}
@@ -0,0 +1,97 @@
+/**
+ * README Embed Block
+ * Writes the <picture> snippet for the generated graphs into a markdown file,
+ * between markers so later runs can replace it
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const README_START_MARKER = '<!-- TRAKT-GRAPH:START -->';
+export const README_END_MARKER = '<!-- TRAKT-GRAPH:END -->';
+
+/**
+ * Escape text for an HTML attribute
+ */
+function escapeAttribute(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Get the path of an image relative to the markdown file, with forward slashes
+ */
+function toMarkdownPath(imagePath, readmePath) {
+  const relative = path.relative(path.dirname(path.resolve(readmePath)), path.resolve(imagePath));
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Build the markup of one graph: a <picture> with dark and light sources, or a plain <img> for one theme
+ */
+function buildGraphMarkup({ images, alt }, readmePath) {
+  // One line per sentence: the title gets a period so it doesn't run into the first summary
+  const altText = escapeAttribute(alt.trim().split('\n').map(line => (/[.!?]$/.test(line) ? line : `${line}.`)).join(' '));
+  const srcOf = theme => escapeAttribute(toMarkdownPath(images[theme], readmePath));
+
+  if (images.dark && images.light) {
+    return `    <picture>
+      <source media="(prefers-color-scheme: dark)" srcset="${srcOf('dark')}" />
+      <source media="(prefers-color-scheme: light)" srcset="${srcOf('light')}" />
+      <img alt="${altText}" src="${srcOf('light')}" />
+    </picture>`;
+  }
+  return `    <img alt="${altText}" src="${srcOf(images.dark ? 'dark' : 'light')}" />`;
+}
+
+/**
+ * Build the embed block for the graphs of a run, linked to the Trakt profile
+ * @param {Array} graphs - Array of { images: { dark, light }, alt }, image paths as written
+ * @param {Object} options - { username, readmePath }
+ * @returns {string} Block including the start and end markers
+ */
+export function buildEmbedBlock(graphs, { username, readmePath }) {
+  const profileUrl = `https://trakt.tv/users/${encodeURIComponent(username)}/`;
+  return `${README_START_MARKER}
+<p align="center">
+  <a href="${profileUrl}" target="_blank">
+${graphs.map(graph => buildGraphMarkup(graph, readmePath)).join('\n    <br />\n')}
+  </a>
+</p>
+${README_END_MARKER}`;
+}
+
+/**
+ * Write the embed block into a markdown file
+ * Replaces the block between the markers, or appends it if the file has none yet
+ * @param {string} readmePath - Markdown file (created if missing)
+ * @param {string} block - Block from buildEmbedBlock
+ * @returns {string} 'created', 'updated', 'appended' or 'unchanged'
+ */
+export function updateReadme(readmePath, block) {
+  if (!fs.existsSync(readmePath)) {
+    fs.writeFileSync(readmePath, `${block}\n`);
+    return 'created';
+  }
+
+  const content = fs.readFileSync(readmePath, 'utf8');
+  const start = content.indexOf(README_START_MARKER);
+  const end = content.indexOf(README_END_MARKER);
+
+  if (start === -1 && end === -1) {
+    const separator = content === '' || content.endsWith('\n\n') ? '' : content.endsWith('\n') ? '\n' : '\n\n';
+    fs.writeFileSync(readmePath, `${content}${separator}${block}\n`);
+    return 'appended';
+  }
+  if (start === -1 || end < start) {
+    throw new Error(`${readmePath} has an unmatched ${start === -1 ? README_END_MARKER : README_START_MARKER} marker`);
+  }
+
+  const updated = content.slice(0, start) + block + content.slice(end + README_END_MARKER.length);
+  if (updated === content) return 'unchanged';
+  fs.writeFileSync(readmePath, updated);
+  return 'updated';
+}
@@ -0,0 +1,120 @@
+/**
+ * Output Safeguard
+ * Compares a run against the previous one to avoid overwriting a good graph with an empty or truncated one
+ */
+
+import fs from 'fs';
+import { getEntryDay } from './stats.js';
+
+// Exit code used when the new data looks broken and nothing was written
+export const EXIT_CODE_SUSPICIOUS_DATA = 3;
+
+// Maximum allowed relative drop in entries per year before a run is rejected
+const DEFAULT_MAX_DROP = 0.5;
+
+/**
+ * Build a summary of the data used for a run
+ * @param {Object} data - Run data
+ * @param {string} data.username - Trakt username
+ * @param {string} data.contentType - 'movies', 'shows', or 'all'
+ * @param {Object|null} data.genreFilter - { include, exclude } genre slugs (null for no filter)
+ * @param {Object|null} data.range - Range options { range, from, to } (null for calendar years)
+ * @param {Array<number>} data.years - Generated years
+ * @param {Array} data.entries - Processed entries for all generated years
+ * @param {Object} data.stats - All-time stats from fetchUserStats
+ * @returns {Object} Run summary
+ */
+export function buildRunSummary({ username, contentType, genreFilter = null, range = null, years, entries, stats }) {
+  const yearCounts = {};
+  years.forEach(year => yearCounts[year] = 0);
+  entries.forEach(entry => {
+    const year = Number(getEntryDay(entry).slice(0, 4));
+    yearCounts[year] = (yearCounts[year] || 0) + 1;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    username,
+    contentType,
+    genreFilter,
+    range,
+    totalEntries: entries.length,
+    yearCounts,
+    stats: {
+      moviesAllTime: stats.moviesAllTime,
+      episodesAllTime: stats.episodesAllTime
+    }
+  };
+}
+
+/**
+ * Load the summary of the previous run
+ * @param {string} summaryPath - Path of the summary file
+ * @returns {Object|null} Previous run summary or null
+ */
+export function loadRunSummary(summaryPath) {
+  if (!fs.existsSync(summaryPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not read previous run summary ${summaryPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the summary of the current run
+ * @param {string} summaryPath - Path of the summary file
+ * @param {Object} summary - Run summary from buildRunSummary
+ */
+export function saveRunSummary(summaryPath, summary) {
+  fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2) + '\n');
+}
+
+/**
+ * Describe which entries a run selected (content type, genre filter and range)
+ * Summaries from before genre filters and ranges were recorded count as unfiltered calendar years
+ */
+function getSelection(summary) {
+  return JSON.stringify([summary.contentType, summary.genreFilter ?? null, summary.range ?? null]);
+}
+
+/**
+ * Compare the current run against the previous one
+ * @param {Object|null} previous - Previous run summary
+ * @param {Object} current - Current run summary
+ * @param {Object} options - Check options
+ * @param {number} options.maxDrop - Maximum allowed relative drop of entries per year (0-1)
+ * @returns {Array<string>} Problems found (empty if the data looks fine)
+ */
+export function checkRunSummary(previous, current, options = {}) {
+  const { maxDrop = DEFAULT_MAX_DROP } = options;
+  const problems = [];
+
+  if (!previous) return problems;
+  if (previous.username?.toLowerCase() !== current.username?.toLowerCase()) return problems;
+
+  // All-time stats fell back to zeros
+  const previousAllTime = (previous.stats?.moviesAllTime || 0) + (previous.stats?.episodesAllTime || 0);
+  const currentAllTime = current.stats.moviesAllTime + current.stats.episodesAllTime;
+  if (previousAllTime > 0 && currentAllTime === 0) {
+    problems.push(`All-time stats are zero (previously ${previousAllTime} plays)`);
+  }
+
+  // Entries per year dropped sharply (only comparable for the same content type, genre filter and range)
+  if (getSelection(previous) === getSelection(current)) {
+    Object.entries(current.yearCounts).forEach(([year, count]) => {
+      const previousCount = previous.yearCounts?.[year];
+      if (previousCount > 0 && count < previousCount * (1 - maxDrop)) {
+        problems.push(`${year}: ${count} entries, previously ${previousCount}`);
+      }
+    });
+
+    if (previous.totalEntries > 0 && current.totalEntries === 0) {
+      problems.push(`No entries found (previously ${previous.totalEntries})`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,111 @@
+/**
+ * Color Scales
+ * Map a day's value (items or minutes watched) to one of the four cell color levels
+ * A scale is { type, thresholds }: 'linear', 'log', 'quantile', or 'fixed' with user-defined thresholds
+ */
+
+export const SCALE_TYPES = ['linear', 'log', 'quantile'];
+const LEVELS = 4;
+
+// Fixed thresholds that all lie below this many minutes look like item counts under the minutes metric
+const MIN_MINUTES_THRESHOLD = 30;
+
+/**
+ * Parse a scale option ("linear", "log", "quantile" or fixed thresholds like "1,3,6,10")
+ * Fixed thresholds are the lowest value of each level; values below the first one use level 1
+ * @param {string|Array<number>} value - Scale option
+ * @returns {Object} { type, thresholds } (thresholds only for 'fixed')
+ */
+export function parseScale(value) {
+  if (!Array.isArray(value)) {
+    const normalized = String(value).trim().toLowerCase();
+    if (SCALE_TYPES.includes(normalized)) return { type: normalized, thresholds: null };
+  }
+
+  const thresholds = (Array.isArray(value) ? value : String(value).split(',')).map(v => Number(String(v).trim()));
+  const ascending = thresholds.every((v, i) => i === 0 || v > thresholds[i - 1]);
+  if (thresholds.length !== LEVELS || !ascending || thresholds.some(v => !Number.isInteger(v) || v < 1)) {
+    throw new Error(`Invalid scale "${value}", expected one of: ${SCALE_TYPES.join(', ')}, or ${LEVELS} ascending thresholds like 1,3,6,10`);
+  }
+  return { type: 'fixed', thresholds };
+}
+
+/**
+ * Check that fixed thresholds fit the metric they are read in
+ * Thresholds are items per day, or minutes per day with the minutes metric, where a list written
+ * for items (e.g. 1,3,5,8) would put nearly every day at the top level
+ * @param {Object} scale - Scale from parseScale
+ * @param {string} metric - 'items' or 'minutes'
+ * @returns {string|null} Warning, or null if the scale fits
+ */
+export function checkScaleUnit(scale, metric) {
+  if (scale.type !== 'fixed' || metric !== 'minutes' || scale.thresholds[LEVELS - 1] >= MIN_MINUTES_THRESHOLD) return null;
+  return `Scale thresholds ${scale.thresholds.join(',')} are read as minutes with the minutes metric, so nearly every day gets the top color (e.g. use 30,60,120,240)`;
+}
+
+/**
+ * Clamp a level to 1-4
+ */
+function clampLevel(level) {
+  return Math.min(LEVELS, Math.max(1, level));
+}
+
+/**
+ * Build the value -> level function of a scale
+ */
+function createLevelFunction(scale, values, maxValue) {
+  switch (scale.type) {
+    case 'fixed':
+      return value => clampLevel(scale.thresholds.filter(threshold => value >= threshold).length);
+    case 'log':
+      return value => clampLevel(Math.ceil((Math.log1p(value) / Math.log1p(maxValue)) * LEVELS));
+    case 'quantile': {
+      // Upper bounds of levels 1-3 at the quartiles of the active days
+      const sorted = [...values].sort((a, b) => a - b);
+      const bounds = [1, 2, 3].map(i => sorted[Math.ceil((sorted.length * i) / LEVELS) - 1]);
+      return value => 1 + bounds.filter(bound => value > bound).length;
+    }
+    default:
+      return value => clampLevel(Math.ceil((value / maxValue) * LEVELS));
+  }
+}
+
+/**
+ * Get the value range behind each level
+ * Fixed scales use their thresholds, all others the whole values from 1 to the busiest day
+ * @returns {Array} Four { min, max } ranges (max null = open-ended), or null for a level no value maps to
+ */
+function getLevelRanges(scale, getLevel, maxValue) {
+  if (scale.type === 'fixed') {
+    return scale.thresholds.map((threshold, i) => ({
+      min: i === 0 ? 1 : threshold,
+      max: i < LEVELS - 1 ? scale.thresholds[i + 1] - 1 : null
+    }));
+  }
+
+  const ranges = new Array(LEVELS).fill(null);
+  for (let value = 1; value <= Math.ceil(maxValue); value++) {
+    const index = getLevel(value) - 1;
+    if (!ranges[index]) ranges[index] = { min: value, max: value };
+    ranges[index].max = value;
+  }
+  return ranges;
+}
+
+/**
+ * Create a color scale for the day values of one graph
+ * @param {Object} scale - Scale from parseScale
+ * @param {Array<number>} values - Value of every day with activity
+ * @returns {Object} { getLevel(value) -> 0-4, ranges } (0 = nothing watched)
+ */
+export function createColorScale(scale, values) {
+  const activeValues = values.filter(value => value > 0);
+  const maxValue = Math.max(0, ...activeValues);
+  const levelOf = createLevelFunction(scale, activeValues, maxValue);
+  const getLevel = value => (value > 0 ? levelOf(value) : 0);
+
+  return {
+    getLevel,
+    ranges: maxValue > 0 || scale.type === 'fixed' ? getLevelRanges(scale, getLevel, maxValue) : null
+  };
+}
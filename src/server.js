@@ -0,0 +1,318 @@
+/**
+ * Graph Server
+ * Renders graphs on demand over HTTP, e.g. /graph/<username>.svg?year=2025&theme=dark&type=movies,
+ * so they can be embedded live instead of being committed by a scheduled workflow
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fetchProfileData, fetchUserStats, fetchTraktHistory, fetchUserRatings, processTraktHistory, imageToBase64, filterHistoryByType, TRAKT_LOGO_URL } from './fetcher.js';
+import { syncHistoryCache } from './cache.js';
+import { generateSvg, generateMultiYearSvg } from './generator.js';
+import { renderImage } from './exporter.js';
+import { loadTheme, BUILTIN_THEMES, DEFAULT_THEME } from './themes.js';
+import { resolveRange, getToday } from './ranges.js';
+import { getEntryDay } from './stats.js';
+import { getSystemTimeZone, isValidTimeZone } from './timezone.js';
+
+// Trakt usernames and slugs: letters, digits, "_", "-" and ".", but no leading dot and no ".."
+const GRAPH_ROUTE = /^\/graph\/((?![^/]*\.\.)[A-Za-z0-9_-][A-Za-z0-9_.-]*)\.(svg|png)$/;
+const CONTENT_TYPES = { svg: 'image/svg+xml; charset=utf-8', png: 'image/png' };
+
+// Users' Trakt data and rendered graphs kept in memory; the least recently used are dropped first
+const MAX_CACHED_USERS = 100;
+const MAX_CACHED_GRAPHS = 500;
+// Rows of one multi-year graph
+const MAX_YEARS = 10;
+
+/**
+ * Create an error that is answered with an HTTP status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Pick a query value from a list of allowed values
+ */
+function queryOneOf(params, key, allowed, fallback) {
+  const value = params.get(key);
+  if (value === null) return fallback;
+  const normalized = value.toLowerCase();
+  if (!allowed.includes(normalized)) {
+    throw httpError(400, `Invalid ${key} "${value}", expected one of: ${allowed.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Read the graph options of a request from its query string
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} defaultTimeZone - Timezone when the request sets none
+ * @returns {Object} { years, dateRange, theme, contentType, mode, metric, palette, weekStart, split, timeZone }
+ */
+export function parseGraphQuery(params, defaultTimeZone) {
+  const timeZone = params.get('timezone') || defaultTimeZone;
+  if (!isValidTimeZone(timeZone)) {
+    throw httpError(400, `Unknown timezone "${timeZone}", expected an IANA name like Europe/Berlin`);
+  }
+
+  let dateRange = null;
+  try {
+    dateRange = resolveRange({ range: params.get('range'), from: params.get('from'), to: params.get('to') }, timeZone);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  const currentYear = Number(getToday(timeZone).slice(0, 4));
+  let years = [currentYear];
+  if (params.get('year')) {
+    years = [...new Set(params.get('year').split(',').map(year => Number.parseInt(year.trim(), 10)))].sort((a, b) => b - a);
+    if (years.length === 0 || years.length > MAX_YEARS || years.some(year => isNaN(year) || year < 1900 || year > currentYear + 1)) {
+      throw httpError(400, `Invalid year "${params.get('year')}", expected up to ${MAX_YEARS} comma-separated years`);
+    }
+  }
+
+  return {
+    years,
+    dateRange,
+    theme: queryOneOf(params, 'theme', ['dark', 'light'], 'dark'),
+    contentType: queryOneOf(params, 'type', ['movies', 'shows', 'all'], 'all'),
+    mode: queryOneOf(params, 'mode', ['count', 'rating'], 'count'),
+    metric: queryOneOf(params, 'metric', ['items', 'minutes'], 'items'),
+    // Only built-in palettes: theme files are read from disk
+    palette: queryOneOf(params, 'palette', Object.keys(BUILTIN_THEMES), DEFAULT_THEME),
+    weekStart: queryOneOf(params, 'weekStart', ['sunday', 'monday'], 'sunday'),
+    split: queryOneOf(params, 'split', ['true', 'false'], 'false') === 'true',
+    timeZone
+  };
+}
+
+/**
+ * Get a cache entry while it is fresh, marking it as the most recently used
+ * @param {Map} cache - Entries { promise, expiresAt } in order of use
+ * @returns {Object|null} Entry, or null if missing or expired
+ */
+function getFreshEntry(cache, key) {
+  const entry = cache.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry;
+}
+
+/**
+ * Add a cache entry for a pending promise
+ * Expired entries are dropped, then the least recently used ones down to the size limit,
+ * and the entry is removed again if its promise fails so the next request tries again
+ * @param {Map} cache - Entries { promise, expiresAt } in order of use
+ * @param {number} maxSize - Most entries to keep
+ */
+function addEntry(cache, key, promise, expiresAt, maxSize) {
+  const now = Date.now();
+  cache.forEach((entry, entryKey) => {
+    if (entry.expiresAt <= now) cache.delete(entryKey);
+  });
+  cache.delete(key);
+  while (cache.size >= maxSize) cache.delete(cache.keys().next().value);
+
+  const entry = { promise, expiresAt };
+  cache.set(key, entry);
+  promise.catch(() => {
+    if (cache.get(key) === entry) cache.delete(key);
+  });
+}
+
+/**
+ * Turn a failed Trakt request into the HTTP error of the graph request
+ */
+function toHttpError(error) {
+  if (error.status === 404) return httpError(404, 'Trakt user not found');
+  if (error.status === 401 || error.status === 403) return httpError(403, 'Trakt profile is private');
+  return httpError(502, `Could not fetch the Trakt data: ${error.message}`);
+}
+
+/**
+ * Create the graph server
+ * Trakt data is kept per user and rendered graphs per request, both for ttl seconds and up to
+ * MAX_CACHED_USERS and MAX_CACHED_GRAPHS entries
+ * @param {Object} options - Server options
+ * @param {number} options.ttl - Seconds to keep Trakt data and rendered graphs (also sent as max-age)
+ * @param {string|null} options.timeZone - Default timezone for day boundaries (default: system)
+ * @param {boolean} options.useCache - Sync history through the local disk cache, which keeps a file per user (default: false)
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createGraphServer(options = {}) {
+  const { ttl = 3600, timeZone = getSystemTimeZone(), useCache = false } = options;
+  const ttlMs = ttl * 1000;
+  const users = new Map();
+  const graphs = new Map();
+  let logoPromise = null;
+
+  /**
+   * Load the profile, stats and full history of a user, or reuse them while fresh
+   * Concurrent requests for one user share the same fetch
+   */
+  function loadUser(username) {
+    const key = username.toLowerCase();
+    const cached = getFreshEntry(users, key);
+    if (cached) return cached.promise;
+
+    const promise = (async () => {
+      // The cache sync compares the history against these stats, so they are only fetched once
+      const stats = await fetchUserStats(username);
+      const history = useCache
+        ? await syncHistoryCache(username, 'all', { extended: true, stats })
+        : await fetchTraktHistory(username, 'all', null, { extended: true });
+      const profile = await fetchProfileData(username);
+      const profileImageBase64 = profile.profileImage ? await imageToBase64(profile.profileImage) : null;
+      return { displayName: profile.displayName, profileImageBase64, stats, history, ratings: null };
+    })();
+    addEntry(users, key, promise, Date.now() + ttlMs, MAX_CACHED_USERS);
+    return promise;
+  }
+
+  /**
+   * Fetch the ratings of a user once per user entry, for rating mode graphs
+   */
+  async function loadRatings(username, user) {
+    if (!user.ratings) {
+      user.ratings = fetchUserRatings(username, 'all');
+      // Failures are not kept, the next rating mode request tries again
+      user.ratings.catch(() => { user.ratings = null; });
+    }
+    return user.ratings;
+  }
+
+  /**
+   * Render the SVG of a graph request
+   */
+  async function renderSvg(username, query) {
+    const { years, dateRange, theme, contentType, mode, metric, palette, weekStart, split, timeZone: requestTimeZone } = query;
+    let user;
+    let ratings = null;
+    try {
+      user = await loadUser(username);
+      if (mode === 'rating') ratings = await loadRatings(username, user);
+    } catch (error) {
+      throw toHttpError(error);
+    }
+    if (!logoPromise) logoPromise = imageToBase64(TRAKT_LOGO_URL);
+
+    // Streaks and droughts use the full history so they can cross year boundaries
+    const history = filterHistoryByType(user.history, contentType);
+    const { entries: historyEntries } = processTraktHistory(history, null, { ratings, timeZone: requestTimeZone, allYears: true });
+    const entries = historyEntries.filter(entry => {
+      const day = getEntryDay(entry);
+      return dateRange ? day >= dateRange.start && day <= dateRange.end : years.includes(Number(day.slice(0, 4)));
+    });
+
+    const svgOptions = {
+      theme,
+      weekStart,
+      username,
+      profileImage: user.profileImageBase64,
+      displayName: user.displayName,
+      logoBase64: await logoPromise,
+      contentType,
+      mode,
+      metric,
+      split,
+      historyEntries,
+      today: getToday(requestTimeZone),
+      palette: loadTheme(palette),
+      moviesCount: entries.filter(entry => entry.type === 'movie').length,
+      episodesCount: entries.filter(entry => entry.type === 'episode').length,
+      followers: user.stats.followers
+    };
+
+    if (dateRange) return generateSvg(entries, { ...svgOptions, range: dateRange });
+    return years.length > 1
+      ? generateMultiYearSvg(entries, { ...svgOptions, years })
+      : generateSvg(entries, { ...svgOptions, year: years[0] });
+  }
+
+  /**
+   * Render a graph or reuse it while fresh
+   * @returns {Promise<Object>} { body, etag, contentType }
+   */
+  function getGraph(username, format, query) {
+    const key = JSON.stringify([username.toLowerCase(), format, query]);
+    const cached = getFreshEntry(graphs, key);
+    if (cached) return cached.promise;
+
+    const promise = (async () => {
+      const svg = await renderSvg(username, query);
+      const body = format === 'png' ? (await renderImage(svg, { format: 'png' })).buffer : Buffer.from(svg);
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      return { body, etag, contentType: CONTENT_TYPES[format] };
+    })();
+    addEntry(graphs, key, promise, Date.now() + ttlMs, MAX_CACHED_GRAPHS);
+    return promise;
+  }
+
+  /**
+   * Answer a request with plain text, e.g. an error
+   */
+  function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(`${text}\n`);
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const started = Date.now();
+    res.on('finish', () => console.log(`🌐 ${req.method} ${req.url} → ${res.statusCode} (${Date.now() - started}ms)`));
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendText(res, 405, 'Method not allowed');
+      return;
+    }
+    const match = GRAPH_ROUTE.exec(url.pathname);
+    if (!match) {
+      sendText(res, 404, 'Not found, try /graph/<username>.svg or /graph/<username>.png');
+      return;
+    }
+
+    const [, username, format] = match;
+    try {
+      const graph = await getGraph(username, format, parseGraphQuery(url.searchParams, timeZone));
+      const headers = {
+        'Content-Type': graph.contentType,
+        'Cache-Control': `public, max-age=${ttl}`,
+        'ETag': graph.etag
+      };
+      const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim());
+      if (ifNoneMatch.includes(graph.etag) || ifNoneMatch.includes('*')) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { ...headers, 'Content-Length': graph.body.length });
+      res.end(req.method === 'HEAD' ? undefined : graph.body);
+    } catch (error) {
+      if (!error.status) console.error(`❌ ${req.url}: ${error.message}`);
+      sendText(res, error.status || 500, error.status ? error.message : 'Could not render the graph');
+    }
+  });
+}
+
+/**
+ * Start the graph server
+ * @param {Object} options - createGraphServer options plus port and host
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startGraphServer(options = {}) {
+  const { port = 3000, host = '0.0.0.0' } = options;
+  const server = createGraphServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
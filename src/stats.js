@@ -2,69 +2,136 @@
  * Statistics calculations for Trakt watch history entries
  */
 
+import { getDayString } from './timezone.js';
+import { addDays, parseDay } from './ranges.js';
+
 /**
- * Helper to get local YYYY-MM-DD date string
+ * Get the YYYY-MM-DD day an entry counts towards
+ * Uses the day bucketed in the graph timezone by processTraktHistory,
+ * falling back to the system timezone for entries without one
  */
-function getLocalDateString(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+export function getEntryDay(entry) {
+  return entry.day || getDayString(entry.date);
 }
 
 /**
- * Calculate the longest streak of consecutive days with items watched
+ * Split the active days of a history into streaks of consecutive days
  * @param {Array} entries - Array of diary entries with date property
- * @returns {Object} Streak info: { length, startDate, endDate }
+ * @returns {Array} Array of { length, startDate, endDate }, oldest first
  */
-export function calculateStreak(entries) {
-  if (!entries || entries.length === 0) {
-    return { length: 0, startDate: null, endDate: null };
-  }
+export function calculateStreaks(entries) {
+  if (!entries || entries.length === 0) return [];
 
   // Get unique dates, sorted
   const uniqueDates = [...new Set(
-    entries.map(e => getLocalDateString(e.date))
+    entries.map(getEntryDay)
   )].sort();
 
-  if (uniqueDates.length === 0) {
-    return { length: 0, startDate: null, endDate: null };
-  }
+  const streaks = [];
+  let current = null;
 
-  let maxStreak = 1;
-  let currentStreak = 1;
-  let maxStart = uniqueDates[0];
-  let maxEnd = uniqueDates[0];
-  let currentStart = uniqueDates[0];
-
-  for (let i = 1; i < uniqueDates.length; i++) {
-    const prevDate = new Date(uniqueDates[i - 1]);
-    const currDate = new Date(uniqueDates[i]);
-    
-    // Calculate difference in days
-    const diffTime = currDate.getTime() - prevDate.getTime();
-    const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
-
-    if (diffDays === 1) {
+  for (const date of uniqueDates) {
+    if (current && addDays(current.endDate, 1) === date) {
       // Consecutive day
-      currentStreak++;
-      if (currentStreak > maxStreak) {
-        maxStreak = currentStreak;
-        maxStart = currentStart;
-        maxEnd = uniqueDates[i];
-      }
+      current.length++;
+      current.endDate = date;
     } else {
       // Streak broken
-      currentStreak = 1;
-      currentStart = uniqueDates[i];
+      current = { length: 1, startDate: date, endDate: date };
+      streaks.push(current);
     }
   }
 
-  return {
-    length: maxStreak,
-    startDate: maxStart,
-    endDate: maxEnd
-  };
+  return streaks;
+}
+
+/**
+ * Keep only entries whose day falls inside a range
+ * @param {Array} entries - Array of diary entries
+ * @param {Object} range - { start, end } YYYY-MM-DD days (inclusive)
+ * @returns {Array} Entries inside the range
+ */
+export function filterEntriesToRange(entries, range) {
+  return entries.filter(entry => {
+    const day = getEntryDay(entry);
+    return day >= range.start && day <= range.end;
+  });
+}
+
+/**
+ * Check whether a span of days overlaps a range (no range matches everything)
+ */
+function overlapsRange(span, range) {
+  return !range || (span.startDate <= range.end && span.endDate >= range.start);
+}
+
+/**
+ * Keep a span (streak, drought) only if it has days and overlaps the range
+ * @returns {Object|null} The span or null
+ */
+export function spanInRange(span, range) {
+  return span.length > 0 && overlapsRange(span, range) ? span : null;
+}
+
+/**
+ * Calculate the longest streak of consecutive days with items watched
+ * Pass the full history with a range to find the longest streak touching that range,
+ * including the days it runs beyond the range (e.g. from December into January)
+ * @param {Array} entries - Array of diary entries with date property
+ * @param {Object|null} range - Only consider streaks overlapping { start, end }
+ * @returns {Object} Streak info: { length, startDate, endDate }
+ */
+export function calculateStreak(entries, range = null) {
+  return calculateStreaks(entries)
+    .filter(streak => overlapsRange(streak, range))
+    .reduce((longest, streak) => (streak.length > longest.length ? streak : longest),
+      { length: 0, startDate: null, endDate: null });
+}
+
+/**
+ * Calculate the ongoing streak
+ * A streak is still ongoing if its last day is today or yesterday (today may not be over yet)
+ * @param {Array} entries - Array of diary entries with date property
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {Object} Streak info: { length, startDate, endDate }, length 0 if there is none
+ */
+export function calculateCurrentStreak(entries, today) {
+  const streaks = calculateStreaks(entries);
+  const last = streaks[streaks.length - 1];
+  if (!last || last.endDate < addDays(today, -1) || last.startDate > today) {
+    return { length: 0, startDate: null, endDate: null };
+  }
+  return last;
+}
+
+/**
+ * Calculate the longest run of days without activity between two active days
+ * With today given, the days since the last active day count as an ongoing drought,
+ * which ends with the range if the range is already over
+ * @param {Array} entries - Array of diary entries with date property
+ * @param {Object|null} range - Only consider droughts overlapping { start, end }
+ * @param {string|null} today - Today as YYYY-MM-DD
+ * @returns {Object} Drought info: { length, startDate, endDate }
+ */
+export function calculateLongestDrought(entries, range = null, today = null) {
+  const streaks = calculateStreaks(entries);
+  const droughts = [];
+  const ongoingEnd = today && range && range.end < today ? range.end : today;
+
+  streaks.forEach((streak, i) => {
+    const next = streaks[i + 1];
+    const endDate = next ? addDays(next.startDate, -1) : ongoingEnd;
+    if (!endDate || endDate <= streak.endDate) return;
+
+    const startDate = addDays(streak.endDate, 1);
+    const length = Math.round((parseDay(endDate) - parseDay(startDate)) / (1000 * 60 * 60 * 24)) + 1;
+    droughts.push({ length, startDate, endDate });
+  });
+
+  return droughts
+    .filter(drought => overlapsRange(drought, range))
+    .reduce((longest, drought) => (drought.length > longest.length ? drought : longest),
+      { length: 0, startDate: null, endDate: null });
 }
 
 /**
@@ -76,12 +143,25 @@ export function calculateDaysActive(entries) {
   if (!entries || entries.length === 0) return 0;
   
   const uniqueDates = new Set(
-    entries.map(e => getLocalDateString(e.date))
+    entries.map(getEntryDay)
   );
   
   return uniqueDates.size;
 }
 
+/**
+ * Count entries per weekday
+ * @param {Array} entries - Array of diary entries
+ * @returns {Array<number>} Seven counts, Sunday first
+ */
+export function calculateWeeklyDistribution(entries) {
+  const distribution = [0, 0, 0, 0, 0, 0, 0];
+  entries.forEach(entry => {
+    distribution[parseDay(getEntryDay(entry)).getUTCDay()]++;
+  });
+  return distribution;
+}
+
 /**
  * Group entries by date string
  * @param {Array} entries - Array of diary entries
@@ -91,7 +171,7 @@ export function groupEntriesByDate(entries) {
   const grouped = new Map();
   
   for (const entry of entries) {
-    const dateKey = getLocalDateString(entry.date);
+    const dateKey = getEntryDay(entry);
     if (!grouped.has(dateKey)) {
       grouped.set(dateKey, []);
     }
@@ -100,7 +180,8 @@ export function groupEntriesByDate(entries) {
       year: entry.year,
       rating: entry.rating,
       type: entry.type,
-      episode: entry.episode
+      episode: entry.episode,
+      runtime: entry.runtime
     });
   }
   
@@ -119,3 +200,123 @@ export function calculateAverageRating(entries) {
   const sum = rated.reduce((acc, e) => acc + e.rating, 0);
   return Math.round((sum / rated.length) * 10) / 10;
 }
+
+/**
+ * Calculate total watch time across all entries
+ * Entries without a known runtime count as 0 minutes
+ * @param {Array} entries - Array of diary entries
+ * @returns {number} Total minutes watched
+ */
+export function calculateTotalMinutes(entries) {
+  return entries.reduce((acc, e) => acc + (e.runtime || 0), 0);
+}
+
+/**
+ * Count entries per genre
+ * An entry with several genres counts towards each of them
+ * @param {Array} entries - Array of diary entries with genres
+ * @param {number} limit - Maximum number of genres to return
+ * @returns {Array} Array of { genre, count }, most watched first
+ */
+export function calculateTopGenres(entries, limit = 5) {
+  const counts = new Map();
+  entries.forEach(e => {
+    (e.genres || []).forEach(genre => counts.set(genre, (counts.get(genre) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([genre, count]) => ({ genre, count }))
+    .sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre))
+    .slice(0, limit);
+}
+
+/**
+ * Rank the most watched shows (by episodes) and most rewatched movies (by plays)
+ * @param {Array} entries - Array of diary entries
+ * @param {number} limit - Maximum number of titles per list
+ * @returns {Object} { shows, movies } arrays of { title, year, slug, count }, most watched first
+ */
+export function calculateTopTitles(entries, limit = 5) {
+  const shows = new Map();
+  const movies = new Map();
+
+  entries.forEach(e => {
+    const titles = e.type === 'episode' ? shows : movies;
+    const key = e.slug || `${e.title} (${e.year})`;
+    if (!titles.has(key)) {
+      titles.set(key, { title: e.title, year: e.year, slug: e.slug || null, count: 0 });
+    }
+    titles.get(key).count++;
+  });
+
+  const rank = titles => titles
+    .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title))
+    .slice(0, limit);
+
+  return {
+    shows: rank([...shows.values()]),
+    // A movie watched once is not a rewatch
+    movies: rank([...movies.values()].filter(movie => movie.count > 1))
+  };
+}
+
+/**
+ * Detect binge sessions: episodes of the same show watched back to back
+ * @param {Array} entries - Array of diary entries
+ * @param {Object} options - Detection options
+ * @param {number} options.gapMinutes - Maximum time between two episodes of one session
+ * @param {number} options.minEpisodes - Minimum episodes for a session to count as a binge
+ * @returns {Array} Array of { title, slug, count, start, end, days }, in watch order
+ */
+export function detectBinges(entries, options = {}) {
+  const { gapMinutes = 90, minEpisodes = 3 } = options;
+  const maxGap = gapMinutes * 60 * 1000;
+  const sessions = [];
+  let current = null;
+
+  [...entries]
+    .sort((a, b) => a.date.getTime() - b.date.getTime())
+    .forEach(e => {
+      // Anything else watched in between ends the session
+      if (e.type !== 'episode') {
+        current = null;
+        return;
+      }
+      const key = e.slug || e.title;
+      if (current && current.key === key && e.date.getTime() - current.end.getTime() <= maxGap) {
+        current.count++;
+        current.end = e.date;
+        current.days.add(getEntryDay(e));
+        return;
+      }
+      current = { key, title: e.title, slug: e.slug || null, count: 1, start: e.date, end: e.date, days: new Set([getEntryDay(e)]) };
+      sessions.push(current);
+    });
+
+  return sessions
+    .filter(session => session.count >= minEpisodes)
+    .map(({ key, days, ...session }) => ({ ...session, days: [...days].sort() }));
+}
+
+/**
+ * Find the binge session with the most episodes (earliest one on ties)
+ * @param {Array} binges - Sessions from detectBinges
+ * @returns {Object|null} Biggest binge or null
+ */
+export function findBiggestBinge(binges) {
+  return binges.reduce((biggest, binge) => (!biggest || binge.count > biggest.count ? binge : biggest), null);
+}
+
+/**
+ * Find the day with the most items watched (earliest one on ties)
+ * @param {Array} entries - Array of diary entries
+ * @returns {Object|null} { date, count } or null if nothing was watched
+ */
+export function calculateBusiestDay(entries) {
+  let busiest = null;
+  for (const [date, items] of [...groupEntriesByDate(entries).entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    if (!busiest || items.length > busiest.count) {
+      busiest = { date, count: items.length };
+    }
+  }
+  return busiest;
+}
@@ -0,0 +1,224 @@
+/**
+ * Color Themes
+ * Built-in palettes and user theme files for the generated graphs
+ */
+
+import fs from 'fs';
+
+// Keys a theme variant may define
+const THEME_KEYS = ['bg', 'cardBorder', 'text', 'textMuted', 'tooltipBg', 'tooltipBorder', 'tooltipText', 'colors', 'movieColors', 'accent', 'gradient'];
+
+// Card, text and tooltip colors shared by most palettes
+const BASE = {
+  dark: {
+    bg: '#0d1117',
+    cardBorder: '#21262d',
+    text: '#e6edf3',
+    textMuted: '#7d8590',
+    tooltipBg: '#161b22',
+    tooltipBorder: '#30363d',
+    tooltipText: '#f0f6fc'
+  },
+  light: {
+    bg: '#ffffff',
+    cardBorder: '#d1d9e0',
+    text: '#1f2328',
+    textMuted: '#656d76',
+    tooltipBg: '#ffffff',
+    tooltipBorder: '#d1d9e0',
+    tooltipText: '#1f2328'
+  }
+};
+
+/**
+ * Built-in palettes
+ * colors: 5 cell levels (empty to most active), movieColors: second hue for movies in split graphs,
+ * accent: streak highlight, gradient: username gradient stops
+ */
+export const BUILTIN_THEMES = {
+  // Trakt style (red accent)
+  trakt: {
+    dark: {
+      ...BASE.dark,
+      colors: ['#161b22', '#5c1015', '#8b1a22', '#c41e2a', '#ed1c24'],
+      movieColors: ['#161b22', '#0c2d6b', '#1f4fa3', '#3b7ddd', '#6cb6ff'],
+      accent: '#ed1c24',
+      gradient: ['#ED1C24', '#FF6B6B']
+    },
+    light: {
+      ...BASE.light,
+      colors: ['#ebedf0', '#ffc9cc', '#ff8a8f', '#ed4c55', '#ed1c24'],
+      movieColors: ['#ebedf0', '#c8dcff', '#8ab4f8', '#3b7ddd', '#1a4fa3'],
+      accent: '#ed1c24',
+      gradient: ['#ED1C24', '#FF6B6B']
+    }
+  },
+  github: {
+    dark: {
+      ...BASE.dark,
+      colors: ['#161b22', '#0e4429', '#006d32', '#26a641', '#39d353'],
+      movieColors: ['#161b22', '#3c1e70', '#6e40c9', '#a371f7', '#d2a8ff'],
+      accent: '#39d353',
+      gradient: ['#26a641', '#7ee787']
+    },
+    light: {
+      ...BASE.light,
+      colors: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'],
+      movieColors: ['#ebedf0', '#e2d1ff', '#c297ff', '#8250df', '#5a32a3'],
+      accent: '#2da44e',
+      gradient: ['#216e39', '#40c463']
+    }
+  },
+  // Blue scale with orange accent, distinguishable with red-green color blindness
+  colorblind: {
+    dark: {
+      ...BASE.dark,
+      colors: ['#161b22', '#0b3a6e', '#1664b8', '#4393e6', '#9ecbff'],
+      movieColors: ['#161b22', '#5a2d0c', '#9a4a12', '#db6d28', '#ffa657'],
+      accent: '#f0883e',
+      gradient: ['#4393e6', '#9ecbff']
+    },
+    light: {
+      ...BASE.light,
+      colors: ['#ebedf0', '#c6dbef', '#6baed6', '#2171b5', '#08306b'],
+      movieColors: ['#ebedf0', '#fdd0a2', '#fd8d3c', '#d94801', '#7f2704'],
+      accent: '#d35400',
+      gradient: ['#08306b', '#2171b5']
+    }
+  },
+  'high-contrast': {
+    dark: {
+      bg: '#000000',
+      cardBorder: '#ffffff',
+      text: '#ffffff',
+      textMuted: '#d9d9d9',
+      tooltipBg: '#000000',
+      tooltipBorder: '#ffffff',
+      tooltipText: '#ffffff',
+      colors: ['#262626', '#665c00', '#a89600', '#e0c800', '#ffff00'],
+      movieColors: ['#262626', '#66005c', '#a8009a', '#e000cd', '#ff33ff'],
+      accent: '#00e5ff',
+      gradient: ['#ffff00', '#ffff00']
+    },
+    light: {
+      bg: '#ffffff',
+      cardBorder: '#000000',
+      text: '#000000',
+      textMuted: '#2b2b2b',
+      tooltipBg: '#ffffff',
+      tooltipBorder: '#000000',
+      tooltipText: '#000000',
+      colors: ['#e6e6e6', '#a3a3ff', '#5c5cff', '#1a1acc', '#000066'],
+      movieColors: ['#e6e6e6', '#ffc2a3', '#ff8a5c', '#cc4a1a', '#662000'],
+      accent: '#d10000',
+      gradient: ['#000066', '#000066']
+    }
+  },
+  monochrome: {
+    dark: {
+      ...BASE.dark,
+      colors: ['#161b22', '#3d444d', '#656c76', '#9198a1', '#e6edf3'],
+      movieColors: ['#161b22', '#4d4030', '#7a6548', '#a88c62', '#e6d3b3'],
+      accent: '#e6edf3',
+      gradient: ['#e6edf3', '#9198a1']
+    },
+    light: {
+      ...BASE.light,
+      colors: ['#ebedf0', '#c8ccd1', '#9198a1', '#59636e', '#1f2328'],
+      movieColors: ['#ebedf0', '#ddd0bb', '#b39d7a', '#7a6548', '#3d3224'],
+      accent: '#1f2328',
+      gradient: ['#1f2328', '#59636e']
+    }
+  }
+};
+
+export const DEFAULT_THEME = 'trakt';
+
+/**
+ * Check a theme variant's overrides and keep only known keys
+ */
+function validateVariant(variant, source) {
+  if (variant === undefined) return {};
+  if (!variant || typeof variant !== 'object') {
+    throw new Error(`${source}: expected an object`);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(variant)) {
+    if (!THEME_KEYS.includes(key)) {
+      console.warn(`${source}: unknown theme key "${key}", ignoring`);
+      continue;
+    }
+    if ((key === 'colors' || key === 'movieColors') && (!Array.isArray(value) || value.length !== 5)) {
+      throw new Error(`${source}: "${key}" must be an array of 5 colors`);
+    }
+    if (key === 'gradient' && (!Array.isArray(value) || value.length < 2)) {
+      throw new Error(`${source}: "gradient" must be an array of at least 2 colors`);
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Load a user theme file
+ * The file may extend a built-in palette and override keys for both variants
+ * (top level) or per variant ("dark" / "light"), e.g.
+ * { "extends": "github", "accent": "#ff0000", "dark": { "bg": "#000000" } }
+ * @param {string} themePath - Path to a JSON theme file
+ * @returns {Object} Theme definition { dark, light }
+ */
+export function loadThemeFile(themePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(themePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read theme file ${themePath}: ${error.message}`);
+  }
+
+  const { extends: baseName = DEFAULT_THEME, dark, light, name, ...shared } = raw;
+  const base = BUILTIN_THEMES[baseName];
+  if (!base) {
+    throw new Error(`${themePath}: unknown base theme "${baseName}"`);
+  }
+
+  const sharedOverrides = validateVariant(shared, themePath);
+  return {
+    dark: { ...base.dark, ...sharedOverrides, ...validateVariant(dark, `${themePath} (dark)`) },
+    light: { ...base.light, ...sharedOverrides, ...validateVariant(light, `${themePath} (light)`) }
+  };
+}
+
+/**
+ * Resolve a palette name or theme file path into a theme definition
+ * @param {string|Object} palette - Built-in name, path to a theme file, or a definition
+ * @returns {Object} Theme definition { dark, light }
+ */
+export function loadTheme(palette = DEFAULT_THEME) {
+  if (palette && typeof palette === 'object') return palette;
+  if (BUILTIN_THEMES[palette]) return BUILTIN_THEMES[palette];
+  if (fs.existsSync(palette)) return loadThemeFile(palette);
+  throw new Error(`Unknown theme "${palette}". Built-in themes: ${Object.keys(BUILTIN_THEMES).join(', ')}`);
+}
+
+/**
+ * Get the colors for one variant of a theme
+ * @param {string|Object} palette - Built-in name, path to a theme file, or a definition
+ * @param {string} variant - 'dark' or 'light'
+ * @returns {Object} Theme colors
+ */
+export function resolveTheme(palette = DEFAULT_THEME, variant = 'dark') {
+  const definition = loadTheme(palette);
+  return definition[variant] || definition.dark;
+}
+
+/**
+ * Generate <stop> elements for the username gradient
+ * @param {Array<string>} gradient - Gradient colors
+ * @returns {string} SVG stop elements
+ */
+export function generateGradientStops(gradient) {
+  return gradient.map((color, i) =>
+    `<stop offset="${Math.round((i / (gradient.length - 1)) * 100)}%" stop-color="${color}"/>`
+  ).join('\n      ');
+}
@@ -0,0 +1,58 @@
+/**
+ * Timezone Helpers
+ * Buckets watch timestamps into calendar days of one explicit IANA timezone
+ */
+
+// Cached Intl formatters per timezone
+const formatters = new Map();
+
+/**
+ * Get the timezone of the running process
+ * @returns {string} IANA timezone name
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check whether a timezone name is supported
+ * @param {string} timeZone - IANA timezone name (e.g. "Europe/Berlin")
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get (and cache) a formatter producing numeric date parts in a timezone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the YYYY-MM-DD calendar day of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string|null} timeZone - IANA timezone name (null for the system timezone)
+ * @returns {string} Day string
+ */
+export function getDayString(date, timeZone = null) {
+  const parts = {};
+  getFormatter(timeZone || getSystemTimeZone()).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
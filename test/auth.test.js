@@ -0,0 +1,112 @@
+/**
+ * OAuth device login tests, against a local stand-in for the Trakt API
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startStandIn, page } from './helpers/trakt-stand-in.js';
+
+const standIn = await startStandIn();
+process.env.TRAKT_API_URL = standIn.url;
+process.env.TRAKT_API_KEY = 'test-client-id';
+process.env.TRAKT_CLIENT_SECRET = 'test-secret';
+const { login, loadToken, saveToken, refreshToken, getAccessToken } = await import('../src/auth.js');
+const { authenticate, fetchTraktHistory } = await import('../src/fetcher.js');
+
+after(() => standIn.close());
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Point the token file into a temporary directory and reset the stand-in
+ */
+function setup(t, handle) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  process.env.TRAKT_TOKEN_FILE = path.join(dir, 'token.json');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  standIn.requests.length = 0;
+  standIn.handle = handle;
+}
+
+/**
+ * Token response as Trakt sends it
+ */
+function tokenBody(accessToken, expiresIn = 90 * DAY) {
+  return { access_token: accessToken, refresh_token: `refresh-${accessToken}`, created_at: Math.floor(Date.now() / 1000), expires_in: expiresIn, scope: 'public' };
+}
+
+test('login polls the device token until the user authorizes and stores the token', async (t) => {
+  const polls = [{ status: 400 }, { status: 400 }, { body: tokenBody('abc') }];
+  setup(t, ({ path: endpoint }) => endpoint === '/oauth/device/code'
+    ? { body: { device_code: 'dev', user_code: 'USER1', verification_url: 'https://trakt.tv/activate', expires_in: 600, interval: 0.01 } }
+    : polls.shift());
+
+  const token = await login();
+  assert.equal(token.accessToken, 'abc');
+  assert.deepEqual(loadToken(), token);
+  assert.equal(fs.statSync(process.env.TRAKT_TOKEN_FILE).mode & 0o777, 0o600);
+  assert.deepEqual(standIn.requests.map(request => request.path), ['/oauth/device/code', '/oauth/device/token', '/oauth/device/token', '/oauth/device/token']);
+  assert.deepEqual(standIn.requests[1].body, { code: 'dev', client_id: 'test-client-id', client_secret: 'test-secret' });
+});
+
+test('login slows down when asked to and stops on a denied or expired code', async (t) => {
+  const device = { device_code: 'dev', user_code: 'USER1', verification_url: 'https://trakt.tv/activate', expires_in: 600, interval: 0.01 };
+  const polls = [{ status: 429 }, { status: 418 }];
+  setup(t, ({ path: endpoint }) => (endpoint === '/oauth/device/code' ? { body: device } : polls.shift()));
+
+  const started = Date.now();
+  await assert.rejects(login(), /Authorization denied by user/);
+  assert.ok(Date.now() - started >= 1000);
+  assert.equal(loadToken(), null);
+
+  polls.push({ status: 410 });
+  await assert.rejects(login(), /Device code expired/);
+});
+
+test('getAccessToken returns the stored token while it is valid', async (t) => {
+  setup(t, () => ({ status: 500 }));
+  assert.equal(await getAccessToken(), null);
+  saveToken({ accessToken: 'abc', refreshToken: 'refresh-abc', expiresAt: Date.now() + 30 * DAY * 1000 });
+  assert.equal(await getAccessToken(), 'abc');
+  assert.equal(standIn.requests.length, 0);
+});
+
+test('getAccessToken refreshes a token that is about to expire', async (t) => {
+  setup(t, () => ({ body: tokenBody('new') }));
+  saveToken({ accessToken: 'old', refreshToken: 'refresh-old', expiresAt: Date.now() + 60 * 60 * 1000 });
+
+  assert.equal(await getAccessToken(), 'new');
+  assert.equal(standIn.requests[0].path, '/oauth/token');
+  assert.equal(standIn.requests[0].body.refresh_token, 'refresh-old');
+  assert.equal(standIn.requests[0].body.grant_type, 'refresh_token');
+  assert.equal(loadToken().refreshToken, 'refresh-new');
+});
+
+test('refreshToken asks to log in again when the refresh is rejected', async (t) => {
+  setup(t, () => ({ status: 401, body: { error: 'invalid_grant' } }));
+  await assert.rejects(refreshToken({ refreshToken: 'revoked' }), /Token refresh failed \(401\)\. Run "node src\/cli\.js login" again/);
+});
+
+test('authenticate sends the token and reads the own history from the sync endpoints', async (t) => {
+  setup(t, ({ path: endpoint }) => (endpoint === '/users/settings'
+    ? { body: { user: { username: 'Jane' }, account: { timezone: 'Europe/Berlin' } } }
+    : page([])));
+
+  assert.deepEqual(await authenticate('abc'), { username: 'Jane', timezone: 'Europe/Berlin' });
+  await fetchTraktHistory('jane', 'movies');
+  await fetchTraktHistory('john', 'movies');
+  assert.deepEqual(standIn.requests.map(request => request.path), ['/users/settings', '/sync/history/movies', '/users/john/history/movies']);
+  assert.ok(standIn.requests.every(request => request.headers.authorization === 'Bearer abc'));
+});
+
+test('authenticate drops a rejected token', async (t) => {
+  setup(t, ({ path: endpoint }) => (endpoint === '/users/settings' ? { status: 401 } : page([])));
+
+  await assert.rejects(authenticate('expired'), /\(401\)/);
+  await fetchTraktHistory('john', 'movies');
+  assert.equal(standIn.requests[1].headers.authorization, undefined);
+});
@@ -0,0 +1,134 @@
+/**
+ * History cache tests, against a local stand-in for the Trakt API
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startStandIn, historyItem, page } from './helpers/trakt-stand-in.js';
+
+const standIn = await startStandIn();
+process.env.TRAKT_API_URL = standIn.url;
+const { syncHistoryCache, loadHistoryCache, saveHistoryCache, mergeHistory, getCacheInfo, clearHistoryCache } = await import('../src/cache.js');
+
+after(() => standIn.close());
+
+/**
+ * Serve a user's movie history and play count from the stand-in, in a temporary cache directory
+ * @param {Object} trakt - { history, plays } as Trakt currently has them, can be changed by the test
+ */
+function setup(t, trakt) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  process.env.TRAKT_CACHE_DIR = dir;
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  standIn.requests.length = 0;
+  standIn.handle = ({ path: endpoint, query }) => {
+    if (endpoint === '/users/jane/stats') return { body: { movies: { watched: trakt.history.length, plays: trakt.plays ?? trakt.history.length } } };
+    const startAt = query.get('start_at');
+    return page(trakt.history.filter(item => !startAt || item.watched_at >= startAt));
+  };
+}
+
+const historyRequests = () => standIn.requests.filter(request => request.path.endsWith('/history/movies'));
+const ids = items => items.map(item => item.id);
+
+test('mergeHistory de-duplicates by history id, newest first', () => {
+  const merged = mergeHistory(
+    [historyItem(1, '2025-01-01T12:00:00Z'), historyItem(2, '2025-02-01T12:00:00Z')],
+    [historyItem(2, '2025-02-01T12:00:00Z'), historyItem(3, '2025-03-01T12:00:00Z')]
+  );
+  assert.deepEqual(ids(merged), [3, 2, 1]);
+});
+
+test('syncHistoryCache fetches the full history once and stores it with the play count', async (t) => {
+  const trakt = { history: [historyItem(2, '2025-03-01T12:00:00Z'), historyItem(1, '2025-01-01T12:00:00Z')] };
+  setup(t, trakt);
+
+  assert.deepEqual(ids(await syncHistoryCache('jane', 'movies')), [2, 1]);
+  assert.equal(historyRequests()[0].query.get('start_at'), null);
+  const cache = loadHistoryCache('jane', 'movies');
+  assert.deepEqual(ids(cache.items), [2, 1]);
+  assert.equal(cache.plays, 2);
+  assert.equal(cache.authenticated, false);
+});
+
+test('syncHistoryCache only fetches the last 30 days before the newest cached play again', async (t) => {
+  const old = historyItem(1, '2025-01-01T12:00:00Z');
+  const removed = historyItem(2, '2025-03-10T12:00:00Z');
+  const newest = historyItem(3, '2025-03-31T12:00:00Z');
+  const trakt = { history: [newest, removed, old] };
+  setup(t, trakt);
+  await syncHistoryCache('jane', 'movies');
+
+  // A play removed within the window, one added with an earlier date and a new one
+  trakt.history = [historyItem(5, '2025-04-02T12:00:00Z'), newest, historyItem(4, '2025-03-20T12:00:00Z'), old];
+  standIn.requests.length = 0;
+
+  assert.deepEqual(ids(await syncHistoryCache('jane', 'movies')), [5, 3, 4, 1]);
+  assert.equal(historyRequests().length, 1);
+  assert.equal(historyRequests()[0].query.get('start_at'), '2025-03-01T12:00:00.000Z');
+  assert.deepEqual(ids(loadHistoryCache('jane', 'movies').items), [5, 3, 4, 1]);
+});
+
+test('syncHistoryCache falls back to the full history when older plays changed', async (t) => {
+  const trakt = { history: [historyItem(3, '2025-06-01T12:00:00Z'), historyItem(2, '2025-02-01T12:00:00Z'), historyItem(1, '2025-01-01T12:00:00Z')] };
+  setup(t, trakt);
+  await syncHistoryCache('jane', 'movies');
+
+  // A play months before the sync window was removed
+  trakt.history = trakt.history.filter(item => item.id !== 1);
+  standIn.requests.length = 0;
+
+  assert.deepEqual(ids(await syncHistoryCache('jane', 'movies')), [3, 2]);
+  assert.deepEqual(historyRequests().map(request => request.query.get('start_at')), ['2025-05-02T12:00:00.000Z', null]);
+  assert.equal(loadHistoryCache('jane', 'movies').plays, 2);
+});
+
+test('syncHistoryCache accepts a play count that disagrees the same way as at the last sync', async (t) => {
+  // Trakt counts a play the history does not list
+  const trakt = { history: [historyItem(1, '2025-01-01T12:00:00Z')], plays: 2 };
+  setup(t, trakt);
+  await syncHistoryCache('jane', 'movies');
+  standIn.requests.length = 0;
+
+  await syncHistoryCache('jane', 'movies', { stats: { moviePlays: 2, episodePlays: 0 } });
+  assert.equal(historyRequests().length, 1);
+  assert.notEqual(historyRequests()[0].query.get('start_at'), null);
+  assert.equal(standIn.requests.some(request => request.path.endsWith('/stats')), false);
+});
+
+test('syncHistoryCache rebuilds a cache synced while logged in or without runtimes', async (t) => {
+  const trakt = { history: [historyItem(1, '2025-01-01T12:00:00Z')] };
+  setup(t, trakt);
+
+  saveHistoryCache('jane', 'movies', trakt.history, false, 1, true);
+  await syncHistoryCache('jane', 'movies');
+  assert.equal(historyRequests()[0].query.get('start_at'), null);
+  assert.equal(loadHistoryCache('jane', 'movies').authenticated, false);
+
+  standIn.requests.length = 0;
+  await syncHistoryCache('jane', 'movies', { extended: true });
+  assert.equal(historyRequests()[0].query.get('start_at'), null);
+  assert.equal(historyRequests()[0].query.get('extended'), 'full');
+  assert.equal(loadHistoryCache('jane', 'movies').extended, true);
+});
+
+test('getCacheInfo and clearHistoryCache list and delete cache files per user', async (t) => {
+  setup(t, { history: [] });
+  saveHistoryCache('Jane', 'movies', [historyItem(2, '2025-03-01T12:00:00Z'), historyItem(1, '2025-01-01T12:00:00Z')], true, 2, true);
+  saveHistoryCache('john', 'all', []);
+
+  const [info] = getCacheInfo('jane');
+  assert.equal(info.username, 'Jane');
+  assert.equal(info.count, 2);
+  assert.equal(info.authenticated, true);
+  assert.equal(info.newest, '2025-03-01T12:00:00Z');
+  assert.equal(info.oldest, '2025-01-01T12:00:00Z');
+  assert.equal(getCacheInfo().length, 2);
+
+  assert.equal(clearHistoryCache('JANE'), 1);
+  assert.deepEqual(getCacheInfo().map(entry => entry.username), ['john']);
+});
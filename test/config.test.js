@@ -0,0 +1,128 @@
+/**
+ * Config file tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { findConfigFile, loadConfig, normalizeGraphOptions, parseGenreFilter, parseFormats } from '../src/config.js';
+
+const CLI_PATH = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+/**
+ * Create a temporary directory removed after the test
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('findConfigFile prefers JSON over YAML', (t) => {
+  const dir = tempDir(t);
+  assert.equal(findConfigFile(dir), null);
+  fs.writeFileSync(path.join(dir, 'trakt-graph.config.yml'), '');
+  assert.equal(findConfigFile(dir), path.join(dir, 'trakt-graph.config.yml'));
+  fs.writeFileSync(path.join(dir, 'trakt-graph.config.json'), '');
+  assert.equal(findConfigFile(dir), path.join(dir, 'trakt-graph.config.json'));
+});
+
+test('loadConfig splits run settings, graph defaults and outputs', (t) => {
+  const configPath = path.join(tempDir(t), 'trakt-graph.config.yaml');
+  fs.writeFileSync(configPath, [
+    'username: jane',
+    'cache: false',
+    'timezone: Europe/Berlin',
+    'type: shows',
+    'years: 2025,2024',
+    'outputs:',
+    '  - output: images/shows',
+    '  - output: images/movies',
+    '    type: movies',
+    '    theme: both',
+    '    format: [svg, jpg]'
+  ].join('\n'));
+
+  const config = loadConfig(configPath);
+  assert.equal(config.username, 'jane');
+  assert.equal(config.cache, false);
+  assert.equal(config.timezone, 'Europe/Berlin');
+  assert.deepEqual(config.defaults, { contentType: 'shows', years: [2025, 2024] });
+  assert.deepEqual(config.outputs, [
+    { outputBasePath: path.normalize('images/shows') },
+    { outputBasePath: path.normalize('images/movies'), contentType: 'movies', themes: ['dark', 'light'], formats: ['svg', 'jpeg'] }
+  ]);
+});
+
+test('loadConfig names the output of an invalid setting', (t) => {
+  const dir = tempDir(t);
+  const write = (name, config) => {
+    fs.writeFileSync(path.join(dir, name), typeof config === 'string' ? config : JSON.stringify(config));
+    return path.join(dir, name);
+  };
+
+  assert.throws(() => loadConfig(path.join(dir, 'missing.json')), /Config file not found/);
+  assert.throws(() => loadConfig(write('broken.json', '{')), /Could not parse/);
+  assert.throws(() => loadConfig(write('empty.json', { username: 'jane' })), /at least one entry in "outputs"/);
+  assert.throws(() => loadConfig(write('nameless.json', { outputs: [{ type: 'movies' }] })), /Output #1 .* is missing "output"/);
+  assert.throws(() => loadConfig(write('invalid.json', { outputs: [{ output: 'a' }, { output: 'b', mode: 'stars' }] })),
+    /Output #2 \(b\): Invalid mode "stars", expected one of: count, rating/);
+});
+
+test('normalizeGraphOptions converts config keys and leaves unset ones out', () => {
+  assert.deepEqual(normalizeGraphOptions({}), {});
+  assert.deepEqual(normalizeGraphOptions({ gradient: 'false', png: true, theme: 'light', weekStart: 'monday', years: [2024, '2025'] }), {
+    usernameGradient: false,
+    exportPng: true,
+    themes: ['light'],
+    weekStart: 'monday',
+    years: [2024, 2025]
+  });
+  assert.deepEqual(normalizeGraphOptions({ scale: [1, 3, 6, 10] }), { scale: { type: 'fixed', thresholds: [1, 3, 6, 10] } });
+  assert.deepEqual(normalizeGraphOptions({ split: 'true', animate: false }), { split: true, animate: false });
+  assert.deepEqual(normalizeGraphOptions({ width: 1200.4, transparent: true }), { imageWidth: 1200, transparent: true });
+  assert.throws(() => normalizeGraphOptions({ density: -1 }), /Invalid density "-1", expected a positive number/);
+  assert.throws(() => normalizeGraphOptions({ paper: 'a5' }), /Invalid paper "a5"/);
+  assert.throws(() => normalizeGraphOptions({ years: 'soon' }), /Invalid years "soon"/);
+  assert.throws(() => normalizeGraphOptions({ theme: 'sepia' }), /Invalid theme "sepia", expected one of: dark, light, both/);
+});
+
+test('parseGenreFilter and parseFormats read lists from strings or arrays', () => {
+  assert.deepEqual(parseGenreFilter('Horror, science fiction,!anime'), { include: ['horror', 'science-fiction'], exclude: ['anime'] });
+  assert.deepEqual(parseGenreFilter(['!anime']), { include: [], exclude: ['anime'] });
+  assert.equal(parseGenreFilter(' , !'), null);
+
+  assert.deepEqual(parseFormats('svg, JSON,json'), ['svg', 'json']);
+  assert.throws(() => parseFormats('svg,gif'), /Invalid format "svg,gif"/);
+  assert.throws(() => parseFormats(''), /Invalid format/);
+});
+
+test('graph options layer defaults < config < command line < per-output config', async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'history.json'), JSON.stringify([
+    { id: 1, watched_at: '2025-03-01T12:00:00Z', type: 'movie', movie: { title: 'Heat', year: 1995, ids: { trakt: 1 } } },
+    { id: 2, watched_at: '2025-03-02T12:00:00Z', type: 'episode', episode: { season: 1, number: 1, ids: { trakt: 2 } }, show: { title: 'Severance', ids: {} } }
+  ]));
+  fs.writeFileSync(path.join(dir, 'trakt-graph.config.json'), JSON.stringify({
+    username: 'jane',
+    input: 'history.json',
+    years: 2025,
+    type: 'shows',
+    outputs: [{ output: 'config-type' }, { output: 'output-type', type: 'all' }]
+  }));
+
+  await promisify(execFile)(process.execPath, [CLI_PATH, '--type', 'movies'], { cwd: dir, env: { ...process.env, TRAKT_API_KEY: '' } });
+
+  const summary = name => JSON.parse(fs.readFileSync(path.join(dir, `${name}-summary.json`), 'utf8'));
+  // The command line overrides the config defaults, the output's own settings override both
+  assert.equal(summary('config-type').contentType, 'movies');
+  assert.equal(summary('config-type').totalEntries, 1);
+  assert.equal(summary('output-type').contentType, 'all');
+  assert.equal(summary('output-type').totalEntries, 2);
+  assert.ok(fs.existsSync(path.join(dir, 'output-type-light.svg')));
+});
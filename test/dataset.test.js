@@ -0,0 +1,90 @@
+/**
+ * Graph dataset tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDataPaths, buildDataset, formatDatasetJson, formatDatasetCsv } from '../src/dataset.js';
+
+/**
+ * Build an entry as processTraktHistory does
+ */
+function entry(day, fields = {}, time = '12:00') {
+  return { day, date: new Date(`${day}T${time}:00Z`), type: 'movie', title: 'Heat', year: 1995, rating: null, runtime: null, ...fields };
+}
+
+const entries = [
+  entry('2025-01-01', { title: 'Crouching Tiger, Hidden Dragon', year: 2000, runtime: 120, rating: 8 }),
+  entry('2025-01-02', { type: 'episode', title: 'Severance', year: 2022, episode: 'S02E03', episodeTitle: 'Who Is Alive?', runtime: 50, rating: 6 }, '09:00'),
+  entry('2025-01-02', { type: 'episode', title: 'Severance', year: 2022, episode: 'S02E04', runtime: 55 }, '10:00'),
+  entry('2024-12-31', { title: 'Say "Cheese"', year: null })
+];
+
+test('getDataPaths derives the data files from the output path', () => {
+  assert.deepEqual(getDataPaths('images/jane'), {
+    json: 'images/jane-data.json',
+    csv: { days: 'images/jane-days.csv', years: 'images/jane-years.csv' }
+  });
+});
+
+test('buildDataset describes every row and day of the graph, newest row first', () => {
+  const dataset = buildDataset(entries.filter(item => item.day >= '2025-01-01'), {
+    years: [2024, 2025],
+    username: 'jane',
+    contentType: 'all',
+    genreFilter: { include: ['drama'], exclude: [] },
+    timeZone: 'UTC',
+    historyEntries: entries,
+    today: '2025-01-10'
+  });
+
+  assert.equal(dataset.username, 'jane');
+  assert.equal(dataset.timezone, 'UTC');
+  assert.deepEqual(dataset.genres, { include: ['drama'], exclude: [] });
+  assert.deepEqual(dataset.years.map(row => [row.label, row.start, row.end, row.days.length]), [
+    ['2025', '2025-01-01', '2025-12-31', 365],
+    ['2024', '2024-01-01', '2024-12-31', 366]
+  ]);
+
+  const [row] = dataset.years;
+  assert.deepEqual(
+    { items: row.items, movies: row.movies, episodes: row.episodes, minutes: row.minutes, daysActive: row.daysActive, averageRating: row.averageRating },
+    { items: 3, movies: 1, episodes: 2, minutes: 225, daysActive: 2, averageRating: 7 }
+  );
+  // Streaks count the full history, so the one from 2024 keeps going, and the drought lasts until today
+  assert.deepEqual(row.longestStreak, { length: 3, startDate: '2024-12-31', endDate: '2025-01-02' });
+  assert.deepEqual(row.longestDrought, { length: 8, startDate: '2025-01-03', endDate: '2025-01-10' });
+  assert.deepEqual(row.busiestDay, { date: '2025-01-02', count: 2 });
+  assert.equal(row.weekdays.Thu, 2);
+
+  const day = row.days[1];
+  assert.deepEqual({ ...day, watched: day.watched.length }, { date: '2025-01-02', items: 2, movies: 0, episodes: 2, minutes: 105, averageRating: 6, watched: 2 });
+  assert.deepEqual(day.watched[0], {
+    watchedAt: '2025-01-02T09:00:00.000Z', type: 'episode', title: 'Severance', year: 2022,
+    episode: 'S02E03', episodeTitle: 'Who Is Alive?', runtime: 50, rating: 6
+  });
+  assert.equal(dataset.years[1].items, 0);
+});
+
+test('buildDataset uses one row for a date range', () => {
+  const dataset = buildDataset(entries, { range: { start: '2024-12-31', end: '2025-01-02', label: 'Holidays' }, today: '2025-01-02' });
+  assert.deepEqual(dataset.years.map(row => [row.label, row.items, row.days.length]), [['Holidays', 4, 3]]);
+  assert.equal(formatDatasetJson(dataset), `${JSON.stringify(dataset, null, 2)}\n`);
+});
+
+test('formatDatasetCsv writes one line per day and per row, quoting where needed', () => {
+  const dataset = buildDataset(entries, { range: { start: '2024-12-31', end: '2025-01-03', label: 'Holidays' }, today: '2025-01-03' });
+  const { days, years } = formatDatasetCsv(dataset);
+
+  assert.deepEqual(days.trimEnd().split('\n'), [
+    'date,items,movies,episodes,minutes,average_rating,watched',
+    '2024-12-31,1,1,0,0,,"Say ""Cheese"""',
+    '2025-01-01,1,1,0,120,8,"Crouching Tiger, Hidden Dragon (2000)"',
+    '2025-01-02,2,0,2,105,6,Severance S02E03; Severance S02E04',
+    '2025-01-03,0,0,0,0,,'
+  ]);
+
+  const [header, row] = years.trimEnd().split('\n');
+  assert.match(header, /^label,start,end,items,.*,busiest_day,busiest_day_items,sun,mon,tue,wed,thu,fri,sat$/);
+  assert.equal(row, 'Holidays,2024-12-31,2025-01-03,4,2,2,225,3,7,3,2024-12-31,2025-01-02,3,1,2025-01-03,2025-01-03,2025-01-02,2,0,0,1,1,2,0,0');
+});
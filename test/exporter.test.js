@@ -0,0 +1,63 @@
+/**
+ * Raster exporter tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { renderImage, svgToImage, RASTER_FORMATS } from '../src/exporter.js';
+
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50"><rect x="10" y="10" width="80" height="30" rx="6" fill="#ed1c24"/></svg>';
+
+test('renderImage encodes every raster format', async () => {
+  for (const format of RASTER_FORMATS) {
+    const { buffer, width, height } = await renderImage(svg, { format, scale: 1 });
+    const metadata = await sharp(buffer).metadata();
+    assert.equal(metadata.format, format === 'avif' ? 'heif' : format, format);
+    assert.deepEqual([metadata.width, metadata.height, width, height], [100, 50, 100, 50], format);
+  }
+});
+
+/**
+ * Render the test SVG as PNG and read back its size
+ */
+async function sizeOf(options) {
+  const { buffer } = await renderImage(svg, options);
+  const { width, height } = await sharp(buffer).metadata();
+  return [width, height];
+}
+
+test('renderImage sizes by scale, width or density', async () => {
+  assert.deepEqual(await sizeOf({}), [200, 100]);
+  assert.deepEqual(await sizeOf({ scale: 3 }), [300, 150]);
+  assert.deepEqual(await sizeOf({ width: 250, scale: 3 }), [250, 125]);
+  assert.deepEqual(await sizeOf({ density: 144, scale: 3 }), [200, 100]);
+});
+
+test('JPEG images have no alpha channel, so transparent corners turn white', async () => {
+  const { buffer } = await renderImage(svg, { format: 'jpeg', scale: 1 });
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.channels, 3);
+  assert.ok(data.subarray(0, 3).every(value => value > 240));
+
+  const png = await sharp((await renderImage(svg, { scale: 1 })).buffer).raw().toBuffer({ resolveWithObject: true });
+  assert.equal(png.info.channels, 4);
+  assert.equal(png.data[3], 0);
+});
+
+test('svgToImage writes the image and reports failures', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const outputPath = path.join(dir, 'graph.webp');
+  await svgToImage(svg, outputPath, { format: 'webp', width: 400 });
+  assert.equal((await sharp(outputPath).metadata()).width, 400);
+
+  await assert.rejects(svgToImage('not an svg', path.join(dir, 'broken.png')));
+  assert.match(error.mock.calls[0].arguments[0], /PNG export failed/);
+});
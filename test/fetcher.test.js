@@ -0,0 +1,128 @@
+/**
+ * Trakt fetcher tests, against a local stand-in for the Trakt API
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStandIn, historyItem, page } from './helpers/trakt-stand-in.js';
+
+const standIn = await startStandIn();
+process.env.TRAKT_API_URL = standIn.url;
+process.env.TRAKT_API_KEY = 'test-client-id';
+const { fetchTraktHistory, fetchUserRatings, processTraktHistory, configureRequests } = await import('../src/fetcher.js');
+
+after(() => standIn.close());
+
+/**
+ * Reset the stand-in and silence the fetcher's progress output
+ * @returns {Object} Mocked console.log and console.warn
+ */
+function setup(t, handle, requestOptions = { retries: 3 }) {
+  standIn.requests.length = 0;
+  standIn.handle = handle;
+  configureRequests({ timeout: 30, ...requestOptions });
+  return { log: t.mock.method(console, 'log', () => {}), warn: t.mock.method(console, 'warn', () => {}) };
+}
+
+const ratingsBody = {
+  '/users/jane/ratings/movies': [{ type: 'movie', rating: 9, movie: { ids: { trakt: 1 } } }],
+  '/users/jane/ratings/episodes': [{ type: 'episode', rating: 4, episode: { ids: { trakt: 7 } } }]
+};
+
+test('fetchUserRatings indexes movie and episode ratings by Trakt id', async (t) => {
+  setup(t, ({ path }) => ({ body: ratingsBody[path] }));
+  const ratings = await fetchUserRatings('jane', 'all');
+  assert.deepEqual([...ratings], [['movie:1', 9], ['episode:7', 4]]);
+  assert.deepEqual(standIn.requests.map(request => request.path), Object.keys(ratingsBody));
+});
+
+test('fetchUserRatings fails instead of returning no ratings', async (t) => {
+  setup(t, () => ({ status: 403 }));
+  await assert.rejects(fetchUserRatings('jane', 'movies'), error => error.status === 403);
+});
+
+test('processTraktHistory only uses the user\'s own ratings, not the community rating', (t) => {
+  setup(t, () => ({}));
+  const history = [
+    historyItem(1, '2025-03-01T12:00:00Z', { movie: { title: 'Heat', year: 1995, rating: 8.4, ids: { trakt: 1 } } }),
+    historyItem(2, '2025-03-02T12:00:00Z', { movie: { title: 'Ronin', year: 1998, rating: 7.2, ids: { trakt: 2 } } })
+  ];
+  const { entries } = processTraktHistory(history, 2025, { ratings: new Map([['movie:1', 10]]), timeZone: 'UTC' });
+  assert.deepEqual(entries.map(entry => entry.rating), [10, null]);
+  assert.deepEqual(processTraktHistory(history, 2025, { timeZone: 'UTC' }).entries.map(entry => entry.rating), [null, null]);
+});
+
+test('traktFetch sends the API headers', async (t) => {
+  setup(t, () => page([]));
+  await fetchTraktHistory('jane doe', 'movies');
+  const [request] = standIn.requests;
+  assert.equal(request.path, '/users/jane%20doe/history/movies');
+  assert.equal(request.headers['trakt-api-version'], '2');
+  assert.equal(request.headers['trakt-api-key'], 'test-client-id');
+  assert.equal(request.headers.authorization, undefined);
+});
+
+test('traktFetch retries server errors and rate limited requests', async (t) => {
+  const responses = [
+    { status: 503, headers: { 'Retry-After': '0' } },
+    { status: 429, headers: { 'Retry-After': '0' } },
+    page([historyItem(1, '2025-03-01T12:00:00Z')])
+  ];
+  const { warn } = setup(t, () => responses.shift());
+  const history = await fetchTraktHistory('jane', 'movies');
+  assert.deepEqual(history.map(item => item.id), [1]);
+  assert.equal(standIn.requests.length, 3);
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Service Unavailable \(503\), retrying in 0\.0s \(1\/3\)/);
+});
+
+test('traktFetch gives up after the configured retries', async (t) => {
+  setup(t, () => ({ status: 502, headers: { 'Retry-After': '0' } }), { retries: 1 });
+  await assert.rejects(fetchTraktHistory('jane', 'movies'), /Bad Gateway \(502\) - giving up on \/users\/jane\/history\/movies\?page=1&limit=100 after 2 attempts/);
+  assert.equal(standIn.requests.length, 2);
+});
+
+test('traktFetch does not retry client errors', async (t) => {
+  setup(t, () => ({ status: 404 }));
+  await assert.rejects(fetchTraktHistory('jane', 'movies'), error => error.status === 404);
+  assert.equal(standIn.requests.length, 1);
+});
+
+test('traktFetch waits as long as Retry-After asks', async (t) => {
+  const responses = [{ status: 429, headers: { 'Retry-After': '1' } }, page([])];
+  const { warn } = setup(t, () => responses.shift());
+  const started = Date.now();
+  await fetchTraktHistory('jane', 'movies');
+  assert.ok(Date.now() - started >= 950);
+  assert.match(warn.mock.calls[0].arguments[0], /retrying in 1\.0s/);
+});
+
+test('traktFetch waits for an exhausted rate limit to reset before the next request', async (t) => {
+  const until = new Date(Date.now() + 1000).toISOString();
+  const { log } = setup(t, () => ({ ...page([]), headers: { 'X-Pagination-Page-Count': '1', 'X-Ratelimit': JSON.stringify({ remaining: 0, until }) } }));
+  await fetchTraktHistory('jane', 'movies');
+  await fetchTraktHistory('jane', 'shows');
+  assert.ok(Date.parse(until) - Date.now() <= 50);
+  assert.ok(log.mock.calls.some(call => /Rate limit reached, waiting 1s/.test(call.arguments[0])));
+});
+
+test('traktFetch times out slow requests', async (t) => {
+  setup(t, () => ({ ...page([]), delay: 1000 }), { timeout: 0.2, retries: 0 });
+  await assert.rejects(fetchTraktHistory('jane', 'movies'), /timed out after 0\.2s - giving up/);
+});
+
+test('fetchTraktHistory stops paging at the target year of the graph timezone', async (t) => {
+  const pages = {
+    1: [historyItem(2, '2024-12-31T23:30:00Z')],
+    2: [historyItem(1, '2024-12-30T12:00:00Z')]
+  };
+  setup(t, ({ query }) => ({ body: pages[query.get('page')], headers: { 'X-Pagination-Page-Count': '3' } }));
+
+  const history = await fetchTraktHistory('jane', 'movies', 2025, { timeZone: 'Europe/Berlin' });
+  assert.deepEqual(history.map(item => item.id), [2]);
+  assert.equal(standIn.requests.length, 2);
+
+  standIn.requests.length = 0;
+  assert.deepEqual(await fetchTraktHistory('jane', 'movies', 2025, { timeZone: 'UTC' }), []);
+  assert.equal(standIn.requests.length, 1);
+});
@@ -0,0 +1,317 @@
+/**
+ * SVG generator tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSvg, generateMultiYearSvg, generateAltText } from '../src/generator.js';
+import { filterHistoryByGenre } from '../src/fetcher.js';
+import { parseScale } from '../src/scales.js';
+import { BUILTIN_THEMES } from '../src/themes.js';
+
+const { colors, movieColors, textMuted } = BUILTIN_THEMES.trakt.dark;
+
+/**
+ * Build an entry as processTraktHistory does
+ */
+function entry(day, fields = {}, time = '12:00') {
+  return { day, date: new Date(`${day}T${time}:00Z`), type: 'movie', title: 'Heat', year: 1995, rating: null, runtime: null, genres: ['drama'], ...fields };
+}
+
+/**
+ * Build an episode of a show
+ */
+function episode(day, number, fields = {}, time = '12:00') {
+  return entry(day, { type: 'episode', title: 'Severance', year: 2022, episode: `S01E${String(number).padStart(2, '0')}`, runtime: 50, ...fields }, time);
+}
+
+const options = { year: 2025, username: 'jane', displayName: 'Jane', today: '2025-12-31' };
+
+/**
+ * Find the cell of a day by the start of its label, e.g. "Sat, 1. Mar 2025"
+ * @returns {Object} { label, className, fill, outlined, tooltip (lines), markup }
+ */
+function findCell(svg, day) {
+  const start = svg.indexOf(`aria-label="${day}`);
+  assert.notEqual(start, -1, `no cell for ${day}`);
+  const markup = svg.slice(start, svg.indexOf('</a>', start));
+  const rect = markup.match(/<rect class="([^"]*)"[^>]*?fill="([^"]*)"([^>]*)\/>/);
+  return {
+    label: markup.match(/aria-label="([^"]*)"/)[1],
+    className: rect[1],
+    fill: rect[2],
+    outlined: rect[3].includes(`stroke="${textMuted}"`),
+    tooltip: [...markup.matchAll(/<tspan[^>]*>([^<]*)<\/tspan>/g)].map(match => match[1]),
+    markup
+  };
+}
+
+/**
+ * Get the content of every text element, in document order
+ */
+function getTexts(svg) {
+  return [...svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g)].map(match => match[1]);
+}
+
+test('rating mode colors days by their rounded average rating and outlines unrated days', () => {
+  const svg = generateSvg([
+    entry('2025-03-01', { rating: 3 }),
+    entry('2025-03-02', { rating: 4 }),
+    entry('2025-03-02', { rating: 5 }),
+    entry('2025-03-03', { rating: 8 }),
+    entry('2025-03-04', { rating: 10 }),
+    entry('2025-03-05')
+  ], { ...options, mode: 'rating' });
+
+  assert.equal(findCell(svg, 'Sat, 1. Mar 2025').fill, colors[1]);
+  // 4.5 rounds to 5, in the 5–6 band
+  assert.equal(findCell(svg, 'Sun, 2. Mar 2025').fill, colors[2]);
+  assert.equal(findCell(svg, 'Mon, 3. Mar 2025').fill, colors[3]);
+  assert.equal(findCell(svg, 'Tue, 4. Mar 2025').fill, colors[4]);
+
+  const rated = findCell(svg, 'Mon, 3. Mar 2025');
+  assert.equal(rated.label, 'Mon, 3. Mar 2025: 1 item watched (Ø 8/10)');
+  assert.deepEqual(rated.tooltip.slice(1), ['• Heat (1995) – 8/10']);
+  assert.equal(rated.outlined, false);
+
+  const unrated = findCell(svg, 'Wed, 5. Mar 2025');
+  assert.equal(unrated.label, 'Wed, 5. Mar 2025: 1 item watched (unrated)');
+  assert.equal(unrated.fill, colors[0]);
+  assert.equal(unrated.outlined, true);
+  assert.equal(findCell(svg, 'Thu, 6. Mar 2025').outlined, false);
+});
+
+test('rating mode shows the rating bands, average and distribution', () => {
+  const svg = generateSvg([entry('2025-03-01', { rating: 3 }), entry('2025-03-02', { rating: 8 }), entry('2025-03-03')], { ...options, mode: 'rating' });
+  const texts = getTexts(svg);
+
+  assert.deepEqual(texts.slice(texts.indexOf('Rating'), texts.indexOf('Rating') + 6), ['Rating', '1–4', '5–6', '7–8', '9–10', 'Unrated']);
+  assert.ok(texts.includes('5.5 Avg Rating'));
+  assert.ok(texts.includes('Rating Distribution (1 unrated)'));
+  assert.ok(!texts.includes('Per day'));
+
+  assert.ok(getTexts(generateSvg([entry('2025-03-01')], { ...options, mode: 'rating' })).includes('No Ratings'));
+});
+
+test('multi-year graphs stack one row per year, newest first, also in rating mode', () => {
+  const entries = [entry('2024-06-01', { rating: 9 }), entry('2025-03-01', { rating: 3 }), entry('2025-03-02')];
+  const single = generateSvg(entries, options);
+  const counts = generateMultiYearSvg(entries, { ...options, years: [2024, 2025] });
+  const texts = getTexts(counts);
+  assert.ok(texts.indexOf('2025') < texts.indexOf('2024'));
+  assert.equal(findCell(counts, 'Sat, 1. Jun 2024').fill, colors[4]);
+  assert.ok(Number(counts.match(/<svg[^>]* height="(\d+)"/)[1]) > Number(single.match(/<svg[^>]* height="(\d+)"/)[1]));
+
+  const ratings = generateMultiYearSvg(entries, { ...options, years: [2024, 2025], mode: 'rating' });
+  assert.equal(findCell(ratings, 'Sat, 1. Jun 2024').fill, colors[4]);
+  assert.equal(findCell(ratings, 'Sat, 1. Mar 2025').fill, colors[1]);
+  assert.equal(findCell(ratings, 'Sun, 2. Mar 2025').outlined, true);
+  assert.ok(getTexts(ratings).includes('Unrated'));
+});
+
+test('the minutes metric colors days by watch time and marks unknown runtimes', () => {
+  const svg = generateSvg([
+    entry('2025-03-01', { runtime: 30 }),
+    entry('2025-03-02', { runtime: 240 }),
+    episode('2025-03-03', 1, { runtime: 45 }),
+    episode('2025-03-03', 2, { runtime: 90 }),
+    entry('2025-03-04')
+  ], { ...options, metric: 'minutes' });
+
+  assert.equal(findCell(svg, 'Sun, 2. Mar 2025').fill, colors[4]);
+  const mixed = findCell(svg, 'Mon, 3. Mar 2025');
+  assert.equal(mixed.label, 'Mon, 3. Mar 2025: 2 items watched · 2h 15m');
+  assert.deepEqual(mixed.tooltip.slice(1), ['• Severance S01E01 (2022) · 45m', '• Severance S01E02 (2022) · 1h 30m']);
+
+  // Days without any known runtime still count as active, on the lowest level
+  const unknown = findCell(svg, 'Tue, 4. Mar 2025');
+  assert.equal(unknown.fill, colors[1]);
+  assert.equal(unknown.label, 'Tue, 4. Mar 2025: 1 item watched · runtime unknown');
+
+  const texts = getTexts(svg);
+  assert.ok(texts.includes('7 Hours Watched'));
+  assert.deepEqual(texts.slice(texts.indexOf('Per day') + 1, texts.indexOf('Per day') + 5), ['1m–1h', '1h 1m–2h', '2h 1m–3h', '3h 1m–4h']);
+});
+
+test('genre filters keep or drop entries by their genres, and the item count lists the top genres', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const history = [
+    { id: 1, type: 'movie', movie: { title: 'Alien', genres: ['science-fiction', 'horror'] } },
+    { id: 2, type: 'movie', movie: { title: 'Heat', genres: ['crime', 'drama'] } },
+    { id: 3, type: 'episode', episode: { title: 'Pilot' }, show: { title: 'Severance', genres: ['drama', 'science-fiction'] } },
+    { id: 4, type: 'movie', movie: { title: 'Untagged' } }
+  ];
+  assert.deepEqual(filterHistoryByGenre(history, { include: ['science-fiction'], exclude: [] }).map(item => item.id), [1, 3]);
+  assert.deepEqual(filterHistoryByGenre(history, { include: [], exclude: ['horror'] }).map(item => item.id), [2, 3, 4]);
+  assert.equal(filterHistoryByGenre(history, null), history);
+
+  const texts = getTexts(generateSvg([
+    entry('2025-03-01', { genres: ['science-fiction', 'horror'] }),
+    entry('2025-03-02', { genres: ['science-fiction'] })
+  ], options));
+  assert.deepEqual(texts.slice(texts.indexOf('Top Genres') + 1, texts.indexOf('Top Genres') + 5), ['Science Fiction', '2', 'Horror', '1']);
+});
+
+test('the top titles section grows the graph and links each title', () => {
+  const entries = [
+    episode('2025-03-01', 1, { slug: 'severance' }),
+    episode('2025-03-02', 2, { slug: 'severance' }),
+    episode('2025-03-03', 1, { title: 'The Bear', slug: 'the-bear' }),
+    entry('2025-03-04', { slug: 'heat-1995' }),
+    entry('2025-04-04', { slug: 'heat-1995' }),
+    entry('2025-04-05', { title: 'Alien', slug: 'alien-1979' })
+  ];
+  const plain = generateSvg(entries, options);
+  const svg = generateSvg(entries, { ...options, topN: 3 });
+  const heightOf = markup => Number(markup.match(/<svg[^>]* height="(\d+)"/)[1]);
+
+  assert.equal(heightOf(svg) - heightOf(plain), 24 + 3 * 18 + 12);
+  const texts = getTexts(svg);
+  assert.ok(texts.includes('Top Shows') && texts.includes('Most Rewatched Movies'));
+  assert.match(svg, /href="https:\/\/trakt\.tv\/shows\/severance"/);
+  assert.match(svg, /href="https:\/\/trakt\.tv\/movies\/heat-1995"/);
+  // Movies only watched once are no rewatches
+  assert.doesNotMatch(svg, /alien-1979/);
+  assert.doesNotMatch(plain, /Top Shows/);
+});
+
+test('the biggest binge is a stat, and its days are marked and listed first in the tooltip', () => {
+  const svg = generateSvg([
+    episode('2025-03-01', 1, {}, '20:00'),
+    episode('2025-03-01', 2, {}, '20:50'),
+    episode('2025-03-01', 3, {}, '21:40'),
+    episode('2025-03-01', 4, {}, '22:30'),
+    episode('2025-03-05', 5)
+  ], options);
+
+  assert.ok(getTexts(svg).includes('4 Episode Binge'));
+  const binge = findCell(svg, 'Sat, 1. Mar 2025');
+  assert.match(binge.className, /\bbinge-cell\b/);
+  assert.match(binge.markup, /class="binge-marker"/);
+  assert.equal(binge.tooltip[1], 'Binge: Severance – 4 episodes in a row');
+  assert.doesNotMatch(findCell(svg, 'Wed, 5. Mar 2025').className, /binge-cell/);
+});
+
+test('the current streak and longest drought are stats and highlighted cells', () => {
+  const entries = [entry('2025-02-27'), entry('2025-03-01'), entry('2025-03-02'), entry('2025-03-03'), entry('2025-03-11'), entry('2025-03-12')];
+  const svg = generateSvg(entries, { ...options, today: '2025-03-13' });
+  const texts = getTexts(svg);
+
+  assert.ok(texts.includes('2 Day Current Streak'));
+  assert.ok(texts.includes('7 Day Drought'));
+  assert.match(findCell(svg, 'Wed, 12. Mar 2025').className, /\bcurrent-streak-cell\b/);
+  assert.match(findCell(svg, 'Tue, 4. Mar 2025').className, /\bdrought-cell\b/);
+  assert.match(findCell(svg, 'Sat, 1. Mar 2025').className, /\bstreak-cell\b/);
+
+  // Without activity yesterday or today there is no current streak, and the days since count as drought
+  const later = getTexts(generateSvg(entries, { ...options, today: '2025-03-20' }));
+  assert.ok(!later.some(text => text.includes('Current Streak')));
+  assert.ok(later.includes('8 Day Drought'));
+});
+
+test('the legend labels the value range of each color level of the scale', () => {
+  const entries = [1, 2, 3, 4, 8].flatMap((count, day) => Array.from({ length: count }, () => entry(`2025-03-0${day + 1}`)));
+  const legendOf = scale => {
+    const texts = getTexts(generateSvg(entries, { ...options, scale: parseScale(scale) }));
+    return texts.slice(texts.indexOf('Per day') + 1, texts.indexOf('Per day') + 5);
+  };
+
+  assert.deepEqual(legendOf('linear'), ['1–2', '3–4', '5–6', '7–8']);
+  assert.deepEqual(legendOf('1,2,4,6'), ['1', '2–3', '4–5', '6+']);
+  assert.equal(findCell(generateSvg(entries, { ...options, scale: parseScale('1,2,4,6') }), 'Tue, 4. Mar 2025').fill, colors[3]);
+
+  const empty = getTexts(generateSvg([], options));
+  assert.ok(empty.includes('Less') && empty.includes('More'));
+});
+
+test('split graphs color movies and episodes in their own hues', () => {
+  const entries = [entry('2025-03-01'), episode('2025-03-02', 1), episode('2025-03-03', 2), entry('2025-03-03')];
+  const svg = generateSvg(entries, { ...options, split: true });
+
+  assert.equal(findCell(svg, 'Sat, 1. Mar 2025').fill, movieColors[4]);
+  assert.equal(findCell(svg, 'Sun, 2. Mar 2025').fill, colors[4]);
+  const mixed = findCell(svg, 'Mon, 3. Mar 2025');
+  assert.equal(mixed.fill, colors[4]);
+  assert.match(mixed.markup, new RegExp(`class="movie-half"[^>]*fill="${movieColors[4]}"`));
+
+  const texts = getTexts(svg);
+  assert.ok(texts.includes('2 Movies · 2 Episodes'));
+  assert.ok(texts.includes('Episodes') && texts.includes('Movies'));
+
+  // Split only applies to count mode graphs of all content
+  assert.doesNotMatch(generateSvg(entries, { ...options, split: true, contentType: 'movies' }), /movie-half/);
+  assert.doesNotMatch(generateSvg(entries, { ...options, split: true, mode: 'rating' }), /movie-half/);
+});
+
+test('animated graphs fill cells in by date and count stats up to their final value', () => {
+  const entries = [entry('2025-01-01'), entry('2025-07-02'), entry('2025-07-03')];
+  const svg = generateSvg(entries, { ...options, animate: true });
+
+  assert.match(svg, /@keyframes cell-fill/);
+  const first = findCell(svg, 'Wed, 1. Jan 2025').markup;
+  assert.match(first, /class="cell[^"]*cell-fill"/);
+  assert.match(first, /style="animation-delay: 0\.00s"/);
+  assert.match(findCell(svg, 'Wed, 2. Jul 2025').markup, /style="animation-delay: 1\.50s"/);
+
+  assert.equal((svg.match(/<g class="count-frame"[^>]*><text[^>]*>\d+ Days Active<\/text>/g) || []).length, 19);
+  assert.match(svg, /<g class="count-final"><text[^>]*>3 Days Active<\/text>/);
+
+  const still = generateSvg(entries, options);
+  assert.doesNotMatch(still, /@keyframes|cell-fill|count-frame/);
+});
+
+test('graphs have an accessible name and summary, also available as alt text', () => {
+  const entries = [episode('2025-03-01', 1), episode('2025-03-02', 2), entry('2025-03-02', { runtime: 130 })];
+  const svg = generateSvg(entries, options);
+
+  assert.match(svg, /<svg[^>]* role="graphics-document document" aria-labelledby="trakt-graph-title" aria-describedby="trakt-graph-desc"/);
+  assert.match(svg, /<title id="trakt-graph-title">Trakt activity of Jane – 2025<\/title>/);
+  const summary = '2025: 3 items watched (1 movie, 2 episodes) on 2 days, 4 hours in total. Longest streak: 2 days (2025-03-01 to 2025-03-02). Busiest day: 2025-03-02 with 2 items.';
+  assert.match(svg, new RegExp(`<desc id="trakt-graph-desc">${summary.replace(/[().]/g, '\\$&')}</desc>`));
+  assert.match(svg, /role="list" aria-label="Daily activity"/);
+
+  assert.equal(generateAltText(entries, options), `Trakt activity of Jane – 2025\n${summary}\n`);
+  assert.equal(generateAltText(entries, { ...options, years: [2024, 2025] }), `Trakt activity of Jane – 2025, 2024\n${summary}\n2024: nothing watched.\n`);
+});
+
+test('long days collapse into show groups and "+N more", long lines are shortened', () => {
+  const items = [
+    ...Array.from({ length: 12 }, (_, i) => episode('2025-03-05', i + 1, {}, `0${Math.floor(i / 2)}:${i % 2 ? '30' : '00'}`)),
+    ...['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'].map((letter, i) => entry('2025-03-05', { title: `Movie ${letter}` }, `1${i}:00`)),
+    entry('2025-03-06', { title: 'A Very Long Movie Title That Goes On And On Without Any End In Sight, Part Two' })
+  ];
+  const svg = generateSvg(items, { ...options, bingeGap: 0 });
+
+  const busy = findCell(svg, 'Wed, 5. Mar 2025').tooltip;
+  assert.equal(busy.length, 1 + 10);
+  assert.equal(busy[1], '• Severance ×12 episodes');
+  assert.equal(busy[10], '+2 more');
+
+  const [long] = findCell(svg, 'Thu, 6. Mar 2025').tooltip.slice(1);
+  assert.match(long, /^• A Very Long Movie Title.*…$/);
+  assert.ok(long.length < 80);
+});
+
+test('tooltips without room above the cell open beside it, drawn above the rest of the graph', () => {
+  const tall = Array.from({ length: 9 }, (_, i) => entry('2025-03-02', { title: `Movie ${i + 1}` }));
+  const svg = generateSvg([...tall, entry('2025-03-05')], options);
+  const layer = svg.slice(svg.indexOf('<!-- Cells with tooltips below or beside them -->'));
+
+  // The tall tooltip of the top row cell goes sideways, the short one of the Wednesday cell fits above it
+  assert.match(layer, /aria-label="Sun, 2\. Mar 2025/);
+  assert.doesNotMatch(layer, /aria-label="Wed, 5\. Mar 2025/);
+  const sunday = findCell(layer, 'Sun, 2. Mar 2025');
+  assert.equal(sunday.tooltip.length, 1 + 9);
+  const [, cellX] = sunday.markup.match(/<rect class="[^"]*"\s+x="(\d+)"/);
+  const [, tooltipX] = sunday.markup.match(/class="tooltip-group"[^>]*translate\((\d+), -?\d+\)/);
+  assert.ok(Number(tooltipX) >= Number(cellX) + 14);
+  const [, tooltipY] = findCell(svg, 'Wed, 5. Mar 2025').markup.match(/class="tooltip-group"[^>]*translate\(\d+, (-?\d+)\)/);
+  assert.ok(Number(tooltipY) < 0);
+});
+
+test('usernames are encoded in the profile links and escaped in the text', () => {
+  const svg = generateSvg([entry('2025-03-01')], { ...options, username: 'jane doe&co', displayName: '' });
+  assert.match(svg, /href="https:\/\/trakt\.tv\/users\/jane%20doe%26co\/history"/);
+  assert.doesNotMatch(svg, /users\/jane doe/);
+  assert.match(svg, /Trakt activity of jane doe&amp;co – 2025/);
+});
@@ -0,0 +1,66 @@
+/**
+ * Local stand-in for the Trakt API
+ * Tests point TRAKT_API_URL at it before importing the modules that read it
+ */
+
+import http from 'http';
+
+/**
+ * Start a stand-in server on a free local port
+ * Every request is recorded and answered by standIn.handle(request), which returns
+ * { status, headers, body, delay } (body objects are sent as JSON, delay in ms)
+ * @returns {Promise<Object>} { url, requests, handle, close }
+ */
+export async function startStandIn() {
+  const standIn = {
+    url: null,
+    requests: [],
+    handle: () => ({ status: 404 }),
+    close: null
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    const url = new URL(req.url, 'http://localhost');
+    const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: text ? JSON.parse(text) : null };
+    standIn.requests.push(request);
+
+    const { status = 200, headers = {}, body = null, delay = 0 } = await standIn.handle(request);
+    if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    if (res.destroyed) return;
+    const payload = body === null || typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(payload ?? undefined);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  standIn.url = `http://127.0.0.1:${server.address().port}`;
+  standIn.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return standIn;
+}
+
+/**
+ * Build a raw Trakt history item
+ * @param {number} id - History id
+ * @param {string} watchedAt - ISO timestamp
+ * @param {Object} fields - Overrides, e.g. { type: 'episode' }
+ * @returns {Object} History item as returned by /users/:id/history
+ */
+export function historyItem(id, watchedAt, fields = {}) {
+  const { type = 'movie', ...rest } = fields;
+  const item = type === 'movie'
+    ? { movie: { title: `Movie ${id}`, year: 2020, runtime: 120, genres: ['drama'], ids: { trakt: id, slug: `movie-${id}` } } }
+    : { show: { title: 'Severance', year: 2022, runtime: 50, genres: ['drama'], ids: { trakt: 1, slug: 'severance' } }, episode: { season: 1, number: id, title: `Episode ${id}`, runtime: 55, ids: { trakt: id } } };
+  return { id, watched_at: watchedAt, action: 'watch', type, ...item, ...rest };
+}
+
+/**
+ * Answer with one page of paginated results
+ */
+export function page(items) {
+  return { body: items, headers: { 'X-Pagination-Page-Count': '1' } };
+}
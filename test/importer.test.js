@@ -0,0 +1,106 @@
+/**
+ * Offline history importer tests
+ */
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadHistoryFile } from '../src/importer.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a file into the test directory
+ */
+function write(name, content) {
+  const filePath = path.join(dir, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+const movie = (id, watchedAt, traktId = id) => ({ id, watched_at: watchedAt, type: 'movie', movie: { title: `Movie ${id}`, year: 2000, ids: { trakt: traktId } } });
+const episode = (id, watchedAt) => ({ id, watched_at: watchedAt, type: 'episode', episode: { season: 1, number: id, ids: { trakt: 100 + id } }, show: { title: 'Severance', ids: {} } });
+
+test('CSV rows become history items, newest first', () => {
+  const csvPath = write('history.csv', [
+    'date,title,type,runtime',
+    '2025-01-02,"Crouching Tiger, Hidden Dragon",movie,120',
+    '2025-01-03T21:15:00Z,Severance S02E03,episode,55',
+    '2025-01-04,Bluey,tv'
+  ].join('\n'));
+
+  const { history, ratings } = loadHistoryFile(csvPath);
+  assert.equal(ratings, null);
+  assert.deepEqual(history.map(item => item.type), ['episode', 'episode', 'movie']);
+
+  const [bluey, severance, film] = history;
+  assert.deepEqual(film.movie, { title: 'Crouching Tiger, Hidden Dragon', year: null, runtime: 120, ids: {} });
+  // Date-only rows sit at UTC noon so they keep their day in every timezone within ±12 hours
+  assert.equal(film.watched_at, '2025-01-02T12:00:00.000Z');
+  assert.equal(severance.show.title, 'Severance');
+  assert.deepEqual([severance.episode.season, severance.episode.number, severance.episode.runtime], [2, 3, 55]);
+  assert.equal(bluey.show.title, 'Bluey');
+  assert.equal(bluey.episode.season, null);
+});
+
+test('CSV rows with invalid dates are skipped with a warning', () => {
+  const csvPath = write('history.csv', 'date,title\nsomeday,Heat\n2025-01-02,Heat\n');
+  assert.equal(loadHistoryFile(csvPath).history.length, 1);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('CSV quotes may escape quotes', () => {
+  const csvPath = write('history.csv', '2025-01-02,"The ""Best"" Movie",movie');
+  assert.equal(loadHistoryFile(csvPath).history[0].movie.title, 'The "Best" Movie');
+});
+
+test('JSON dumps are read as an array or wrapped in { history }', () => {
+  const items = [movie(1, '2025-01-01T10:00:00.000Z'), episode(2, '2025-01-05T10:00:00.000Z')];
+  assert.deepEqual(loadHistoryFile(write('a.json', items)).history.map(item => item.id), [2, 1]);
+  assert.deepEqual(loadHistoryFile(write('b.json', { history: items })).history.map(item => item.id), [2, 1]);
+  assert.throws(() => loadHistoryFile(write('c.json', { items })), /Unrecognized JSON format/);
+});
+
+test('content type filter and invalid items are applied like the API would', () => {
+  const items = [
+    movie(1, '2025-01-01T10:00:00.000Z'),
+    episode(2, '2025-01-02T10:00:00.000Z'),
+    { id: 3, type: 'movie', movie: { title: 'No date' } },
+    { id: 4, watched_at: '2025-01-03T10:00:00.000Z', type: 'show' }
+  ];
+  const jsonPath = write('history.json', items);
+  assert.deepEqual(loadHistoryFile(jsonPath, 'all').history.map(item => item.id), [2, 1]);
+  assert.deepEqual(loadHistoryFile(jsonPath, 'movies').history.map(item => item.id), [1]);
+  assert.deepEqual(loadHistoryFile(jsonPath, 'shows').history.map(item => item.id), [2]);
+});
+
+test('Trakt export directories are read recursively with their ratings', () => {
+  write('export/watched-history-1.json', [movie(1, '2025-01-01T10:00:00.000Z', 9)]);
+  write('export/nested/watched-history-2.json', [episode(2, '2025-01-02T10:00:00.000Z')]);
+  write('export/ratings-movies.json', [{ rating: 8, type: 'movie', movie: { ids: { trakt: 9 } } }]);
+  write('export/lists-watchlist.json', [movie(3, '2025-01-03T10:00:00.000Z')]);
+
+  const { history, ratings } = loadHistoryFile(path.join(dir, 'export'));
+  assert.deepEqual(history.map(item => item.id), [2, 1]);
+  assert.deepEqual([...ratings], [['movie:9', 8]]);
+});
+
+test('missing inputs and exports without history fail', () => {
+  assert.throws(() => loadHistoryFile(path.join(dir, 'missing.json')), /Input not found/);
+  write('empty/ratings-movies.json', []);
+  assert.throws(() => loadHistoryFile(path.join(dir, 'empty')), /No history files found/);
+});
@@ -0,0 +1,80 @@
+/**
+ * PDF poster tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { exportPoster, PAPER_SIZES } from '../src/poster.js';
+import { buildDataset } from '../src/dataset.js';
+import { generateSvg } from '../src/generator.js';
+import { resolveTheme } from '../src/themes.js';
+
+const entries = Array.from({ length: 40 }, (_, i) => {
+  const day = `2025-03-${String(1 + (i % 20)).padStart(2, '0')}`;
+  return { day, date: new Date(`${day}T${String(10 + (i % 10)).padStart(2, '0')}:00:00Z`), type: 'episode', title: 'Severance', year: 2022, episode: `S01E${String(i + 1).padStart(2, '0')}`, runtime: 50, rating: null };
+});
+
+/**
+ * Export a poster of the test entries into a temporary directory
+ * @returns {string} PDF content
+ */
+async function exportTestPoster(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const theme = resolveTheme('trakt', 'light');
+  const graphOptions = { year: 2025, username: 'jane', theme: 'light', today: '2025-12-31' };
+  const outputPath = path.join(dir, 'poster.pdf');
+  await exportPoster(generateSvg(entries, { ...graphOptions, animate: false, tooltips: false }), outputPath, {
+    title: 'Jane\'s 2025 on Trakt',
+    summary: ['40 episodes on 20 days'],
+    dataset: buildDataset(entries, graphOptions),
+    theme,
+    ...options
+  });
+  return fs.readFileSync(outputPath, 'latin1');
+}
+
+/**
+ * Get the distinct page sizes of a PDF as [width, height] in points
+ */
+function getPageSizes(pdf) {
+  const sizes = [...pdf.matchAll(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/g)].map(([, width, height]) => `${Math.round(width)}x${Math.round(height)}`);
+  return [...new Set(sizes)];
+}
+
+test('exportPoster lays the graph out in landscape on the paper size', async (t) => {
+  const pdf = await exportTestPoster(t);
+  assert.match(pdf, /^%PDF-/);
+  assert.deepEqual(getPageSizes(pdf), ['842x595']);
+  assert.match(pdf, /\/Title \d+ 0 R/);
+  assert.match(pdf, /\(Jane's 2025 on Trakt\)/);
+  // Inter is embedded for the title, tables and graph text
+  assert.match(pdf, /\/FontName \/[A-Z]{6}\+Inter-Regular/);
+
+  assert.deepEqual(getPageSizes(await exportTestPoster(t, { paper: 'letter' })), ['792x612']);
+  assert.deepEqual(getPageSizes(await exportTestPoster(t, { paper: 'a3' })), ['1191x842']);
+  assert.deepEqual(Object.keys(PAPER_SIZES), ['a4', 'a3', 'letter']);
+});
+
+test('exportPoster reports the output it could not write', async (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  await assert.rejects(exportPoster('<svg width="10" height="10"/>', path.join(os.tmpdir(), 'missing-dir', 'poster.pdf'), {
+    dataset: buildDataset([], { year: 2025 }),
+    theme: resolveTheme('trakt', 'light')
+  }));
+  assert.match(error.mock.calls[0].arguments[0], /PDF export failed/);
+});
+
+test('the poster graph has no hover tooltips or animation', () => {
+  const options = { year: 2025, username: 'jane', theme: 'light', today: '2025-12-31' };
+  const interactive = generateSvg(entries, { ...options, animate: true });
+  const print = generateSvg(entries, { ...options, animate: false, tooltips: false });
+
+  assert.match(interactive, /class="tooltip/);
+  assert.doesNotMatch(print, /class="tooltip|@keyframes|:hover/);
+});
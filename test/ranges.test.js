@@ -0,0 +1,57 @@
+/**
+ * Date range tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDay, addDays, createYearRange, createLastDaysRange, createDateRange, resolveRange, getRangeYears, getToday } from '../src/ranges.js';
+
+test('parseDay returns UTC midnight of valid days', () => {
+  assert.equal(parseDay('2024-02-29').toISOString(), '2024-02-29T00:00:00.000Z');
+});
+
+test('parseDay rejects malformed and impossible days', () => {
+  assert.throws(() => parseDay('2025-1-5'), /expected YYYY-MM-DD/);
+  assert.throws(() => parseDay('2025-02-30'), /Invalid date "2025-02-30"/);
+  assert.throws(() => parseDay('2025-13-01'), /Invalid date/);
+});
+
+test('addDays crosses month, year and leap day boundaries', () => {
+  assert.equal(addDays('2025-01-31', 1), '2025-02-01');
+  assert.equal(addDays('2025-01-01', -1), '2024-12-31');
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2025-03-10', 0), '2025-03-10');
+});
+
+test('createYearRange covers the calendar year', () => {
+  assert.deepEqual(createYearRange(2025), { start: '2025-01-01', end: '2025-12-31', label: '2025' });
+});
+
+test('createLastDaysRange ends today and includes it', () => {
+  assert.deepEqual(createLastDaysRange(7, '2025-01-03'), { start: '2024-12-28', end: '2025-01-03', label: 'Last 7 Days' });
+  assert.deepEqual(createLastDaysRange(1, '2025-01-03'), { start: '2025-01-03', end: '2025-01-03', label: 'Last 1 Days' });
+});
+
+test('createDateRange rejects a start after the end', () => {
+  assert.deepEqual(createDateRange('2025-03-01', '2025-03-31'), { start: '2025-03-01', end: '2025-03-31', label: '2025-03-01 – 2025-03-31' });
+  assert.throws(() => createDateRange('2025-04-01', '2025-03-31'), /after range end/);
+});
+
+test('resolveRange reads rolling and custom ranges', () => {
+  const today = getToday('UTC');
+  assert.deepEqual(resolveRange({ range: 'last-30' }, 'UTC'), createLastDaysRange(30, today));
+  assert.deepEqual(resolveRange({ from: '2025-01-01', to: '2025-06-30' }), createDateRange('2025-01-01', '2025-06-30'));
+  assert.equal(resolveRange({ from: '2025-01-01' }, 'UTC').end, today);
+  assert.equal(resolveRange({}), null);
+});
+
+test('resolveRange rejects invalid options', () => {
+  assert.throws(() => resolveRange({ range: 'last-0' }), /Invalid range/);
+  assert.throws(() => resolveRange({ range: 'next-7' }), /Invalid range/);
+  assert.throws(() => resolveRange({ to: '2025-01-01' }), /--to requires --from/);
+});
+
+test('getRangeYears lists the touched years newest first', () => {
+  assert.deepEqual(getRangeYears({ start: '2023-11-01', end: '2025-02-01' }), [2025, 2024, 2023]);
+  assert.deepEqual(getRangeYears(createYearRange(2025)), [2025]);
+});
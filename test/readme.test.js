@@ -0,0 +1,79 @@
+/**
+ * README embed block tests
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildEmbedBlock, updateReadme, README_START_MARKER, README_END_MARKER } from '../src/readme.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('buildEmbedBlock links both themes relative to the markdown file', () => {
+  const block = buildEmbedBlock([{
+    images: { dark: 'images/trakt-dark.svg', light: 'images/trakt-light.svg' },
+    alt: 'Trakt activity of Jane\n12 items watched'
+  }], { username: 'jane doe', readmePath: 'README.md' });
+
+  assert.ok(block.startsWith(`${README_START_MARKER}\n`));
+  assert.ok(block.endsWith(`\n${README_END_MARKER}`));
+  assert.match(block, /<a href="https:\/\/trakt\.tv\/users\/jane%20doe\/" target="_blank">/);
+  assert.match(block, /<source media="\(prefers-color-scheme: dark\)" srcset="images\/trakt-dark\.svg" \/>/);
+  assert.match(block, /<img alt="Trakt activity of Jane\. 12 items watched\." src="images\/trakt-light\.svg" \/>/);
+});
+
+test('buildEmbedBlock writes a plain image for one theme and escapes attributes', () => {
+  const block = buildEmbedBlock([
+    { images: { dark: 'out/a-dark.png' }, alt: 'Tom & "Jerry" <3!' },
+    { images: { light: 'out/b-light.svg' }, alt: 'Second graph.' }
+  ], { username: 'jane', readmePath: 'docs/README.md' });
+
+  assert.doesNotMatch(block, /<picture>/);
+  assert.match(block, /<img alt="Tom &amp; &quot;Jerry&quot; &lt;3!" src="\.\.\/out\/a-dark\.png" \/>/);
+  assert.match(block, /<br \/>\n {4}<img alt="Second graph\." src="\.\.\/out\/b-light\.svg" \/>/);
+});
+
+test('updateReadme creates, appends to, updates and keeps markdown files', () => {
+  const readmePath = path.join(dir, 'README.md');
+  const block = `${README_START_MARKER}\none\n${README_END_MARKER}`;
+  const changed = `${README_START_MARKER}\ntwo\n${README_END_MARKER}`;
+
+  assert.equal(updateReadme(readmePath, block), 'created');
+  assert.equal(fs.readFileSync(readmePath, 'utf8'), `${block}\n`);
+
+  fs.writeFileSync(readmePath, '# Profile\nHello');
+  assert.equal(updateReadme(readmePath, block), 'appended');
+  assert.equal(fs.readFileSync(readmePath, 'utf8'), `# Profile\nHello\n\n${block}\n`);
+
+  assert.equal(updateReadme(readmePath, changed), 'updated');
+  assert.equal(fs.readFileSync(readmePath, 'utf8'), `# Profile\nHello\n\n${changed}\n`);
+  assert.equal(updateReadme(readmePath, changed), 'unchanged');
+});
+
+test('updateReadme only replaces the text between the markers', () => {
+  const readmePath = path.join(dir, 'README.md');
+  fs.writeFileSync(readmePath, `Intro\n${README_START_MARKER}\nold\n${README_END_MARKER}\nOutro\n`);
+  updateReadme(readmePath, `${README_START_MARKER}\nnew\n${README_END_MARKER}`);
+  assert.equal(fs.readFileSync(readmePath, 'utf8'), `Intro\n${README_START_MARKER}\nnew\n${README_END_MARKER}\nOutro\n`);
+});
+
+test('updateReadme refuses files with unmatched markers', () => {
+  const readmePath = path.join(dir, 'README.md');
+  const block = `${README_START_MARKER}\nnew\n${README_END_MARKER}`;
+
+  fs.writeFileSync(readmePath, `Intro\n${README_START_MARKER}\nold\n`);
+  assert.throws(() => updateReadme(readmePath, block), /unmatched <!-- TRAKT-GRAPH:START --> marker/);
+  fs.writeFileSync(readmePath, `${README_END_MARKER}\n${README_START_MARKER}\n`);
+  assert.throws(() => updateReadme(readmePath, block), /unmatched/);
+  assert.equal(fs.readFileSync(readmePath, 'utf8'), `${README_END_MARKER}\n${README_START_MARKER}\n`);
+});
@@ -0,0 +1,83 @@
+/**
+ * Output safeguard tests
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildRunSummary, loadRunSummary, saveRunSummary, checkRunSummary } from '../src/safeguard.js';
+
+const stats = { moviesAllTime: 10, episodesAllTime: 90 };
+
+/**
+ * Build a run summary with the given entries per year
+ */
+function summary(yearCounts, fields = {}) {
+  const entries = Object.entries(yearCounts).flatMap(([year, count]) =>
+    Array.from({ length: count }, () => ({ day: `${year}-06-01`, date: new Date(`${year}-06-01T12:00:00Z`) })));
+  return buildRunSummary({ username: 'jane', contentType: 'all', years: Object.keys(yearCounts).map(Number), entries, stats, ...fields });
+}
+
+test('buildRunSummary counts entries per generated year, including empty ones', () => {
+  const result = buildRunSummary({
+    username: 'jane',
+    contentType: 'shows',
+    years: [2025, 2024],
+    entries: [{ day: '2025-01-01', date: new Date('2024-12-31T23:30:00Z') }],
+    stats
+  });
+  assert.deepEqual(result.yearCounts, { 2024: 0, 2025: 1 });
+  assert.equal(result.totalEntries, 1);
+  assert.deepEqual(result.stats, stats);
+});
+
+test('checkRunSummary accepts a first run and runs for another user', () => {
+  assert.deepEqual(checkRunSummary(null, summary({ 2025: 0 })), []);
+  assert.deepEqual(checkRunSummary(summary({ 2025: 100 }, { username: 'john' }), summary({ 2025: 0 })), []);
+});
+
+test('checkRunSummary flags sharp drops per year and empty data', () => {
+  const previous = summary({ 2025: 100, 2024: 50 });
+  assert.deepEqual(checkRunSummary(previous, summary({ 2025: 60, 2024: 50 })), []);
+  assert.deepEqual(checkRunSummary(previous, summary({ 2025: 40, 2024: 50 })), ['2025: 40 entries, previously 100']);
+  assert.deepEqual(checkRunSummary(previous, summary({ 2025: 40, 2024: 50 }), { maxDrop: 0.7 }), []);
+  assert.deepEqual(checkRunSummary(previous, summary({ 2025: 0, 2024: 0 })), [
+    '2024: 0 entries, previously 50',
+    '2025: 0 entries, previously 100',
+    'No entries found (previously 150)'
+  ]);
+});
+
+test('checkRunSummary flags all-time stats that fell back to zero', () => {
+  const problems = checkRunSummary(summary({ 2025: 10 }), summary({ 2025: 10 }, { stats: { moviesAllTime: 0, episodesAllTime: 0 } }));
+  assert.deepEqual(problems, ['All-time stats are zero (previously 100 plays)']);
+});
+
+test('checkRunSummary only compares entries of the same content type, genre filter and range', () => {
+  assert.deepEqual(checkRunSummary(summary({ 2025: 100 }), summary({ 2025: 5 }, { contentType: 'movies' })), []);
+  const horror = { include: ['horror'], exclude: [] };
+  assert.deepEqual(checkRunSummary(summary({ 2025: 100 }), summary({ 2025: 5 }, { genreFilter: horror })), []);
+  assert.deepEqual(checkRunSummary(summary({ 2025: 100 }, { genreFilter: horror }), summary({ 2025: 5 }, { genreFilter: horror })), ['2025: 5 entries, previously 100']);
+  assert.deepEqual(checkRunSummary(summary({ 2025: 100 }), summary({ 2025: 5 }, { range: { range: 'last-90-days' } })), []);
+  // All-time stats do not depend on the selection
+  assert.equal(checkRunSummary(summary({ 2025: 10 }), summary({ 2025: 10 }, { genreFilter: horror, stats: { moviesAllTime: 0, episodesAllTime: 0 } })).length, 1);
+});
+
+test('run summaries survive a save and load, unreadable ones load as null', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const summaryPath = path.join(dir, 'summary.json');
+
+  assert.equal(loadRunSummary(summaryPath), null);
+  const saved = summary({ 2025: 3 });
+  saveRunSummary(summaryPath, saved);
+  assert.deepEqual(loadRunSummary(summaryPath), saved);
+
+  fs.writeFileSync(summaryPath, '{ broken');
+  const warn = mock.method(console, 'warn', () => {});
+  t.after(() => warn.mock.restore());
+  assert.equal(loadRunSummary(summaryPath), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Color scale tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScale, createColorScale, checkScaleUnit } from '../src/scales.js';
+
+test('parseScale accepts scale names in any case', () => {
+  assert.deepEqual(parseScale('LOG'), { type: 'log', thresholds: null });
+  assert.deepEqual(parseScale(' quantile '), { type: 'quantile', thresholds: null });
+});
+
+test('parseScale accepts four ascending thresholds as a string or array', () => {
+  assert.deepEqual(parseScale('1, 3, 6, 10'), { type: 'fixed', thresholds: [1, 3, 6, 10] });
+  assert.deepEqual(parseScale([2, 4, 8, 16]), { type: 'fixed', thresholds: [2, 4, 8, 16] });
+});
+
+test('parseScale rejects invalid thresholds', () => {
+  for (const value of ['1,2,3', '1,3,3,10', '0,1,2,3', '1,2.5,3,4', 'steep']) {
+    assert.throws(() => parseScale(value), /Invalid scale/, value);
+  }
+});
+
+test('linear scale splits the busiest day into four even levels', () => {
+  const scale = createColorScale({ type: 'linear' }, [1, 2, 3, 8]);
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 8].map(scale.getLevel), [0, 1, 1, 2, 2, 3, 4]);
+  assert.deepEqual(scale.ranges, [{ min: 1, max: 2 }, { min: 3, max: 4 }, { min: 5, max: 6 }, { min: 7, max: 8 }]);
+});
+
+test('log scale keeps quiet days apart from one outlier', () => {
+  const scale = createColorScale({ type: 'log' }, [1, 2, 100]);
+  assert.equal(scale.getLevel(1), 1);
+  assert.equal(scale.getLevel(2), 1);
+  assert.equal(scale.getLevel(10), 3);
+  assert.equal(scale.getLevel(100), 4);
+});
+
+test('quantile scale uses the quartiles of the active days', () => {
+  const scale = createColorScale({ type: 'quantile' }, [0, 1, 1, 1, 1, 2, 2, 5, 20]);
+  assert.deepEqual([1, 2, 5, 20].map(scale.getLevel), [1, 3, 4, 4]);
+});
+
+test('fixed scale maps values by threshold and labels open-ended top level', () => {
+  const scale = createColorScale({ type: 'fixed', thresholds: [2, 3, 6, 10] }, [1, 50]);
+  assert.deepEqual([1, 2, 5, 6, 9, 10, 50].map(scale.getLevel), [1, 1, 2, 3, 3, 4, 4]);
+  assert.deepEqual(scale.ranges, [{ min: 1, max: 2 }, { min: 3, max: 5 }, { min: 6, max: 9 }, { min: 10, max: null }]);
+});
+
+test('checkScaleUnit warns about item thresholds read as minutes', () => {
+  const itemThresholds = parseScale('1,3,5,8');
+  assert.match(checkScaleUnit(itemThresholds, 'minutes'), /^Scale thresholds 1,3,5,8 are read as minutes/);
+  assert.equal(checkScaleUnit(itemThresholds, 'items'), null);
+  assert.equal(checkScaleUnit(parseScale('30,60,120,240'), 'minutes'), null);
+  assert.equal(checkScaleUnit(parseScale('linear'), 'minutes'), null);
+});
+
+test('scales without activity have no ranges', () => {
+  const scale = createColorScale({ type: 'linear' }, []);
+  assert.equal(scale.getLevel(0), 0);
+  assert.equal(scale.ranges, null);
+});
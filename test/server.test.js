@@ -0,0 +1,172 @@
+/**
+ * Graph server tests, against a local stand-in for the Trakt API
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStandIn, historyItem, page } from './helpers/trakt-stand-in.js';
+
+const standIn = await startStandIn();
+process.env.TRAKT_API_URL = standIn.url;
+process.env.TRAKT_RETRIES = '0';
+const { createGraphServer, parseGraphQuery } = await import('../src/server.js');
+
+after(() => standIn.close());
+
+const thisYear = new Date().getUTCFullYear();
+
+/**
+ * Answer like Trakt for any user: "ghost" does not exist, "hidden" is private
+ */
+function trakt({ path: endpoint }) {
+  const [, , username, resource = 'profile'] = endpoint.split('/');
+  if (username === 'ghost') return { status: 404 };
+  if (username === 'hidden' && resource !== 'stats') return { status: 401 };
+  switch (resource) {
+    case 'stats': return { body: { movies: { watched: 1, plays: 1 }, episodes: { watched: 0, plays: 0 }, network: { followers: 3 } } };
+    case 'history': return page([historyItem(1, `${thisYear}-01-02T12:00:00Z`, { movie: { title: 'Heat <1995>', year: 1995, runtime: 170, ids: { trakt: 1 } } })]);
+    case 'ratings': return { body: [{ type: 'movie', rating: 8, movie: { ids: { trakt: 1 } } }] };
+    default: return { body: { username, name: `${username} Doe`, images: null } };
+  }
+}
+
+/**
+ * Start a graph server on a free port for one test
+ * @returns {Function} Requests a path: (path, init) => Response
+ */
+async function serve(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  standIn.requests.length = 0;
+  standIn.handle = trakt;
+
+  const server = createGraphServer({ timeZone: 'UTC', ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (requestPath, init) => fetch(`${base}${requestPath}`, init);
+}
+
+const countRequests = (endpoint) => standIn.requests.filter(request => request.path === endpoint).length;
+
+test('parseGraphQuery reads graph options and rejects invalid ones with 400', () => {
+  const query = parseGraphQuery(new URLSearchParams('year=2024,2025,2024&theme=LIGHT&type=movies&split=true'), 'UTC');
+  assert.deepEqual(query.years, [2025, 2024]);
+  assert.equal(query.theme, 'light');
+  assert.equal(query.contentType, 'movies');
+  assert.equal(query.split, true);
+  assert.equal(query.mode, 'count');
+
+  for (const search of ['theme=pink', 'year=abc', 'year=1800', 'timezone=Mars/Base', 'range=last-0', 'palette=./theme.json']) {
+    assert.throws(() => parseGraphQuery(new URLSearchParams(search), 'UTC'), error => error.status === 400, search);
+  }
+});
+
+test('serves SVG and PNG graphs with caching headers', async (t) => {
+  const request = await serve(t, { ttl: 600 });
+
+  const svg = await request('/graph/jane.svg');
+  assert.equal(svg.status, 200);
+  assert.equal(svg.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.equal(svg.headers.get('cache-control'), 'public, max-age=600');
+  assert.match(svg.headers.get('etag'), /^"[0-9a-f]{40}"$/);
+  const body = await svg.text();
+  assert.match(body, /^<svg/);
+  assert.match(body, /Heat &lt;1995&gt;/);
+
+  const png = await request('/graph/jane.png?theme=light');
+  assert.equal(png.status, 200);
+  assert.equal(png.headers.get('content-type'), 'image/png');
+  assert.deepEqual([...Buffer.from(await png.arrayBuffer()).subarray(1, 4)], [...Buffer.from('PNG')]);
+
+  const head = await request('/graph/jane.svg', { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(head.headers.get('etag'), svg.headers.get('etag'));
+  assert.equal(await head.text(), '');
+});
+
+test('answers unknown routes, methods and bad queries without fetching', async (t) => {
+  const request = await serve(t);
+
+  for (const route of ['/', '/graph/jane', '/graph/jane.gif', '/graph/..svg', '/graph/a..b.svg', '/graph/.jane.svg', '/graph/ja%2Fne.svg']) {
+    assert.equal((await request(route)).status, 404, route);
+  }
+  const post = await request('/graph/jane.svg', { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.equal(post.headers.get('allow'), 'GET, HEAD');
+
+  const bad = await request('/graph/jane.svg?type=books');
+  assert.equal(bad.status, 400);
+  assert.match(await bad.text(), /Invalid type "books"/);
+  assert.equal(standIn.requests.length, 0);
+});
+
+test('answers 304 when the ETag still matches', async (t) => {
+  const request = await serve(t);
+  const etag = (await request('/graph/jane.svg')).headers.get('etag');
+
+  const notModified = await request('/graph/jane.svg', { headers: { 'If-None-Match': `"other", ${etag}` } });
+  assert.equal(notModified.status, 304);
+  assert.equal(notModified.headers.get('etag'), etag);
+  assert.equal(await notModified.text(), '');
+  assert.equal((await request('/graph/jane.svg', { headers: { 'If-None-Match': '"other"' } })).status, 200);
+});
+
+test('maps Trakt failures to 404, 403 and 502 and does not keep them', async (t) => {
+  const request = await serve(t);
+
+  const missing = await request('/graph/ghost.svg');
+  assert.equal(missing.status, 404);
+  assert.equal(await missing.text(), 'Trakt user not found\n');
+  assert.equal((await request('/graph/hidden.svg')).status, 403);
+
+  await request('/graph/ghost.svg');
+  assert.equal(countRequests('/users/ghost/history'), 2);
+
+  standIn.handle = () => ({ status: 503 });
+  assert.equal((await request('/graph/jane.svg')).status, 502);
+  standIn.handle = trakt;
+  assert.equal((await request('/graph/jane.svg')).status, 200);
+});
+
+test('fetches a user once per ttl, with the stats only once', async (t) => {
+  const request = await serve(t, { ttl: 3600 });
+
+  await request('/graph/jane.svg');
+  await request('/graph/Jane.svg?theme=light');
+  await request('/graph/jane.png');
+  assert.equal(countRequests('/users/jane/stats'), 1);
+  assert.equal(countRequests('/users/jane/history'), 1);
+  assert.equal(countRequests('/users/jane'), 1);
+
+  // Ratings are fetched with the first rating mode graph only
+  await request('/graph/jane.svg?mode=rating');
+  await request('/graph/jane.svg?mode=rating&theme=light');
+  assert.equal(countRequests('/users/jane/ratings/movies'), 1);
+});
+
+test('fetches again once the ttl is over', async (t) => {
+  const request = await serve(t, { ttl: 0 });
+
+  await request('/graph/jane.svg');
+  await request('/graph/jane.svg');
+  assert.equal(countRequests('/users/jane/stats'), 2);
+  assert.equal(countRequests('/users/jane/history'), 2);
+});
+
+test('keeps the most recently used users when the user cache is full', async (t) => {
+  const request = await serve(t, { ttl: 3600 });
+
+  await request('/graph/user0.svg');
+  await request('/graph/user1.svg');
+  for (let i = 2; i <= 100; i++) {
+    await request(`/graph/user${i}.svg?theme=light`);
+    // user0 stays in use, so user1 is the least recently used one
+    if (i === 50) await request('/graph/user0.svg?theme=light');
+  }
+
+  await request('/graph/user0.svg?type=movies');
+  await request('/graph/user1.svg?type=movies');
+  assert.equal(countRequests('/users/user0/history'), 1);
+  assert.equal(countRequests('/users/user1/history'), 2);
+});
@@ -0,0 +1,158 @@
+/**
+ * Statistics tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getEntryDay, calculateStreaks, filterEntriesToRange, spanInRange, calculateStreak, calculateCurrentStreak,
+  calculateLongestDrought, calculateDaysActive, calculateWeeklyDistribution, groupEntriesByDate,
+  calculateAverageRating, calculateTotalMinutes, calculateTopGenres, calculateTopTitles, detectBinges,
+  findBiggestBinge, calculateBusiestDay
+} from '../src/stats.js';
+
+/**
+ * Build an entry as processTraktHistory does, watched at a UTC time of a graph timezone day
+ */
+function entry(day, fields = {}, time = '12:00') {
+  return { day, date: new Date(`${day}T${time}:00Z`), type: 'movie', title: 'Heat', year: 1995, rating: null, runtime: null, ...fields };
+}
+
+const episode = (day, time, title = 'Severance', fields = {}) => entry(day, { type: 'episode', title, year: 2022, ...fields }, time);
+const days = (...list) => list.map(day => entry(day));
+
+test('getEntryDay prefers the day bucketed in the graph timezone', () => {
+  assert.equal(getEntryDay({ day: '2025-01-01', date: new Date('2024-12-31T20:00:00Z') }), '2025-01-01');
+});
+
+test('calculateStreaks splits active days into runs, oldest first', () => {
+  assert.deepEqual(calculateStreaks(days('2025-01-03', '2025-01-01', '2025-01-02', '2025-01-02', '2025-01-05')), [
+    { length: 3, startDate: '2025-01-01', endDate: '2025-01-03' },
+    { length: 1, startDate: '2025-01-05', endDate: '2025-01-05' }
+  ]);
+  assert.deepEqual(calculateStreaks([]), []);
+});
+
+test('calculateStreak keeps streaks running across the range boundary', () => {
+  const entries = days('2024-12-30', '2024-12-31', '2025-01-01', '2025-01-02', '2025-03-01', '2025-03-02');
+  assert.deepEqual(calculateStreak(entries, { start: '2025-01-01', end: '2025-12-31' }),
+    { length: 4, startDate: '2024-12-30', endDate: '2025-01-02' });
+  assert.equal(calculateStreak(entries, { start: '2026-01-01', end: '2026-12-31' }).length, 0);
+});
+
+test('calculateCurrentStreak is ongoing until the day after its last day', () => {
+  const entries = days('2025-01-02', '2025-01-03', '2025-01-04');
+  assert.deepEqual(calculateCurrentStreak(entries, '2025-01-04'), { length: 3, startDate: '2025-01-02', endDate: '2025-01-04' });
+  assert.equal(calculateCurrentStreak(entries, '2025-01-05').length, 3);
+  assert.equal(calculateCurrentStreak(entries, '2025-01-06').length, 0);
+});
+
+test('calculateLongestDrought finds the longest gap and the ongoing one', () => {
+  const entries = days('2025-01-01', '2025-01-10', '2025-01-12');
+  assert.deepEqual(calculateLongestDrought(entries), { length: 8, startDate: '2025-01-02', endDate: '2025-01-09' });
+  assert.deepEqual(calculateLongestDrought(entries, null, '2025-01-31'), { length: 19, startDate: '2025-01-13', endDate: '2025-01-31' });
+  assert.equal(calculateLongestDrought(entries, { start: '2025-01-11', end: '2025-01-11' }).length, 1);
+});
+
+test('calculateLongestDrought ends the ongoing drought of a past range at the range end', () => {
+  const range = { start: '2024-01-01', end: '2024-12-31' };
+  assert.deepEqual(calculateLongestDrought(days('2024-12-20'), range, '2025-03-01'), { length: 11, startDate: '2024-12-21', endDate: '2024-12-31' });
+  // Activity after the range ends the drought as usual
+  assert.equal(calculateLongestDrought(days('2024-12-20', '2025-02-01'), range, '2025-03-01').endDate, '2025-01-31');
+});
+
+test('spanInRange drops empty spans and spans outside the range', () => {
+  const span = { length: 3, startDate: '2025-01-01', endDate: '2025-01-03' };
+  assert.equal(spanInRange(span, { start: '2025-01-03', end: '2025-01-31' }), span);
+  assert.equal(spanInRange(span, { start: '2025-01-04', end: '2025-01-31' }), null);
+  assert.equal(spanInRange({ length: 0, startDate: null, endDate: null }, null), null);
+});
+
+test('filterEntriesToRange includes both range ends', () => {
+  const entries = days('2024-12-31', '2025-01-01', '2025-12-31', '2026-01-01');
+  assert.deepEqual(filterEntriesToRange(entries, { start: '2025-01-01', end: '2025-12-31' }).map(getEntryDay), ['2025-01-01', '2025-12-31']);
+});
+
+test('calculateDaysActive and calculateWeeklyDistribution count calendar days', () => {
+  // 2025-01-05 is a Sunday, 2025-01-06 a Monday
+  const entries = days('2025-01-05', '2025-01-05', '2025-01-06', '2025-01-12');
+  assert.equal(calculateDaysActive(entries), 3);
+  assert.deepEqual(calculateWeeklyDistribution(entries), [3, 1, 0, 0, 0, 0, 0]);
+});
+
+test('groupEntriesByDate and calculateBusiestDay pick the earliest day on ties', () => {
+  const entries = days('2025-02-02', '2025-02-02', '2025-01-01', '2025-01-01', '2025-03-01');
+  const grouped = groupEntriesByDate(entries);
+  assert.deepEqual([...grouped.keys()], ['2025-02-02', '2025-01-01', '2025-03-01']);
+  assert.equal(grouped.get('2025-01-01').length, 2);
+  assert.deepEqual(calculateBusiestDay(entries), { date: '2025-01-01', count: 2 });
+  assert.equal(calculateBusiestDay([]), null);
+});
+
+test('calculateAverageRating ignores unrated entries', () => {
+  const entries = [entry('2025-01-01', { rating: 8 }), entry('2025-01-02', { rating: 7 }), entry('2025-01-03')];
+  assert.equal(calculateAverageRating(entries), 7.5);
+  assert.equal(calculateAverageRating([entry('2025-01-01')]), null);
+});
+
+test('calculateTotalMinutes counts unknown runtimes as zero', () => {
+  assert.equal(calculateTotalMinutes([entry('2025-01-01', { runtime: 120 }), entry('2025-01-02'), episode('2025-01-03', '20:00', 'Severance', { runtime: 55 })]), 175);
+});
+
+test('calculateTopGenres counts every genre of an entry and sorts ties by name', () => {
+  const entries = [
+    entry('2025-01-01', { genres: ['drama', 'crime'] }),
+    entry('2025-01-02', { genres: ['crime'] }),
+    entry('2025-01-03', { genres: ['action'] }),
+    entry('2025-01-04')
+  ];
+  assert.deepEqual(calculateTopGenres(entries), [{ genre: 'crime', count: 2 }, { genre: 'action', count: 1 }, { genre: 'drama', count: 1 }]);
+  assert.equal(calculateTopGenres(entries, 1).length, 1);
+});
+
+test('calculateTopTitles ranks shows by episodes and only rewatched movies', () => {
+  const entries = [
+    episode('2025-01-01', '20:00', 'Severance', { slug: 'severance' }),
+    episode('2025-01-02', '20:00', 'Severance', { slug: 'severance' }),
+    episode('2025-01-03', '20:00', 'Andor', { slug: 'andor' }),
+    entry('2025-01-04', { title: 'Heat', slug: 'heat-1995' }),
+    entry('2025-01-05', { title: 'Heat', slug: 'heat-1995' }),
+    entry('2025-01-06', { title: 'Ronin', year: 1998, slug: 'ronin-1998' })
+  ];
+  const { shows, movies } = calculateTopTitles(entries);
+  assert.deepEqual(shows.map(show => [show.title, show.count]), [['Severance', 2], ['Andor', 1]]);
+  assert.deepEqual(movies, [{ title: 'Heat', year: 1995, slug: 'heat-1995', count: 2 }]);
+});
+
+test('detectBinges finds back-to-back episodes of one show, across midnight', () => {
+  const entries = [
+    episode('2025-01-01', '22:00'),
+    episode('2025-01-01', '23:00'),
+    episode('2025-01-02', '00:10'),
+    episode('2025-01-02', '01:00')
+  ];
+  assert.deepEqual(detectBinges(entries), [{
+    title: 'Severance',
+    slug: null,
+    count: 4,
+    start: entries[0].date,
+    end: entries[3].date,
+    days: ['2025-01-01', '2025-01-02']
+  }]);
+});
+
+test('detectBinges ends a session on long gaps, other titles and movies', () => {
+  const gap = [episode('2025-01-01', '18:00'), episode('2025-01-01', '19:00'), episode('2025-01-01', '21:00')];
+  assert.deepEqual(detectBinges(gap), []);
+  assert.equal(detectBinges(gap, { gapMinutes: 120 }).length, 1);
+
+  const interrupted = [episode('2025-01-01', '18:00'), episode('2025-01-01', '19:00'), entry('2025-01-01', {}, '19:30'), episode('2025-01-01', '20:00')];
+  assert.deepEqual(detectBinges(interrupted), []);
+  assert.equal(detectBinges(interrupted, { minEpisodes: 2 }).length, 1);
+});
+
+test('findBiggestBinge keeps the earliest session on ties', () => {
+  const first = { title: 'A', count: 4 };
+  assert.equal(findBiggestBinge([{ title: 'B', count: 3 }, first, { title: 'C', count: 4 }]), first);
+  assert.equal(findBiggestBinge([]), null);
+});
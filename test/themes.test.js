@@ -0,0 +1,78 @@
+/**
+ * Color theme tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BUILTIN_THEMES, DEFAULT_THEME, loadTheme, loadThemeFile, resolveTheme, generateGradientStops } from '../src/themes.js';
+
+/**
+ * Write a theme file into a temporary directory removed after the test
+ */
+function writeTheme(t, theme) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trakt-graph-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const themePath = path.join(dir, 'theme.json');
+  fs.writeFileSync(themePath, typeof theme === 'string' ? theme : JSON.stringify(theme));
+  return themePath;
+}
+
+test('every built-in theme defines both variants with 5 levels per hue', () => {
+  assert.ok(BUILTIN_THEMES[DEFAULT_THEME]);
+  for (const [name, theme] of Object.entries(BUILTIN_THEMES)) {
+    for (const variant of ['dark', 'light']) {
+      assert.equal(theme[variant].colors.length, 5, `${name} ${variant}`);
+      assert.equal(theme[variant].movieColors.length, 5, `${name} ${variant}`);
+      assert.ok(theme[variant].accent && theme[variant].bg && theme[variant].gradient.length >= 2, `${name} ${variant}`);
+    }
+  }
+});
+
+test('loadTheme resolves built-in names, definitions and theme files', (t) => {
+  assert.equal(loadTheme(), BUILTIN_THEMES[DEFAULT_THEME]);
+  assert.equal(loadTheme('github'), BUILTIN_THEMES.github);
+  const definition = { dark: { bg: '#000000' } };
+  assert.equal(loadTheme(definition), definition);
+  assert.equal(loadTheme(writeTheme(t, { accent: '#123456' })).dark.accent, '#123456');
+  assert.throws(() => loadTheme('neon'), /Unknown theme "neon"\. Built-in themes: trakt, github/);
+});
+
+test('theme files extend a built-in theme, top-level keys apply to both variants', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const theme = loadThemeFile(writeTheme(t, {
+    extends: 'github',
+    name: 'Night',
+    accent: '#ff0000',
+    sparkle: true,
+    dark: { bg: '#000000' }
+  }));
+
+  assert.equal(theme.dark.accent, '#ff0000');
+  assert.equal(theme.light.accent, '#ff0000');
+  assert.equal(theme.dark.bg, '#000000');
+  assert.equal(theme.light.bg, BUILTIN_THEMES.github.light.bg);
+  assert.deepEqual(theme.dark.colors, BUILTIN_THEMES.github.dark.colors);
+  assert.equal(theme.dark.sparkle, undefined);
+  assert.match(warn.mock.calls[0].arguments[0], /unknown theme key "sparkle", ignoring/);
+});
+
+test('theme files with invalid colors or bases are rejected', (t) => {
+  assert.throws(() => loadThemeFile(writeTheme(t, '{')), /Could not read theme file/);
+  assert.throws(() => loadThemeFile(writeTheme(t, { extends: 'neon' })), /unknown base theme "neon"/);
+  assert.throws(() => loadThemeFile(writeTheme(t, { colors: ['#000'] })), /"colors" must be an array of 5 colors/);
+  assert.throws(() => loadThemeFile(writeTheme(t, { light: { gradient: '#fff' } })), /\(light\): "gradient" must be an array of at least 2 colors/);
+  assert.throws(() => loadThemeFile(writeTheme(t, { dark: 'black' })), /\(dark\): expected an object/);
+});
+
+test('resolveTheme picks a variant, falling back to dark', () => {
+  assert.equal(resolveTheme('trakt', 'light'), BUILTIN_THEMES.trakt.light);
+  assert.equal(resolveTheme({ dark: { bg: '#000000' } }, 'light').bg, '#000000');
+});
+
+test('generateGradientStops spreads the colors evenly', () => {
+  assert.equal(generateGradientStops(['#000', '#888', '#fff']),
+    '<stop offset="0%" stop-color="#000"/>\n      <stop offset="50%" stop-color="#888"/>\n      <stop offset="100%" stop-color="#fff"/>');
+});
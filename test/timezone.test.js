@@ -0,0 +1,47 @@
+/**
+ * Timezone bucketing tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDayString, isValidTimeZone, getSystemTimeZone } from '../src/timezone.js';
+import { processTraktHistory } from '../src/fetcher.js';
+import { getToday } from '../src/ranges.js';
+
+const movie = (id, watchedAt) => ({ id, watched_at: watchedAt, type: 'movie', movie: { title: `Movie ${id}`, year: 2000, ids: { trakt: id } } });
+
+test('getDayString buckets a moment into the calendar day of a timezone', () => {
+  const lateEvening = new Date('2024-12-31T23:30:00Z');
+  assert.equal(getDayString(lateEvening, 'UTC'), '2024-12-31');
+  assert.equal(getDayString(lateEvening, 'Europe/Berlin'), '2025-01-01');
+  assert.equal(getDayString(lateEvening, 'America/Los_Angeles'), '2024-12-31');
+  assert.equal(getDayString(new Date('2025-01-01T05:00:00Z'), 'America/Los_Angeles'), '2024-12-31');
+  assert.equal(getDayString(new Date('2025-03-30T10:30:00Z'), 'Pacific/Kiritimati'), '2025-03-31');
+});
+
+test('getDayString falls back to the system timezone', () => {
+  const date = new Date('2025-06-15T12:00:00Z');
+  assert.equal(getDayString(date), getDayString(date, getSystemTimeZone()));
+  assert.equal(getToday('UTC'), new Date().toISOString().slice(0, 10));
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('processTraktHistory counts plays in the year and day of the graph timezone', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const history = [movie(1, '2024-12-31T23:30:00Z'), movie(2, '2024-12-31T12:00:00Z')];
+
+  const berlin = processTraktHistory(history, 2025, { timeZone: 'Europe/Berlin' });
+  assert.deepEqual(berlin.entries.map(entry => entry.day), ['2025-01-01']);
+
+  const utc = processTraktHistory(history, 2024, { timeZone: 'UTC' });
+  assert.deepEqual(utc.entries.map(entry => entry.day), ['2024-12-31', '2024-12-31']);
+
+  const all = processTraktHistory(history, null, { timeZone: 'Asia/Tokyo', allYears: true });
+  assert.equal(all.year, null);
+  assert.deepEqual(all.entries.map(entry => entry.day), ['2025-01-01', '2024-12-31']);
+});